@@ -11,38 +11,175 @@ var AEConjure = AEConjure || {};
 AEConjure.AIClient = (function () {
     'use strict';
 
-    // Provider configurations
-    var PROVIDERS = {
-        anthropic: {
-            name: 'Anthropic',
-            baseUrl: 'https://api.anthropic.com/v1/messages',
-            models: [
-                { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5' },
-                { id: 'claude-opus-4-6', label: 'Claude Opus 4.6' },
-                { id: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5' }
-            ],
-            defaultModel: 'claude-sonnet-4-5-20250929'
-        },
-        openai: {
-            name: 'OpenAI',
-            baseUrl: 'https://api.openai.com/v1/chat/completions',
-            models: [
-                { id: 'gpt-5-2-codex', label: 'GPT-5.2 Codex' },
-                { id: 'gpt-5.1-Codex-Max', label: 'GPT-5.1 Codex Max' },
-                { id: 'gpt-4-1', label: 'GPT-4.1' }
-            ],
-            defaultModel: 'gpt-5-2-codex'
-        },
-        google: {
-            name: 'Google',
-            baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models/',
-            models: [
-                { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash' },
-                { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro' }
-            ],
-            defaultModel: 'gemini-2.5-flash'
+    // Provider registry. Built-in providers are registered below; extra
+    // providers (Azure OpenAI, gateways, mocks) can be added at runtime with
+    // registerProvider() or dropped into ~/ae-conjure/providers/.
+    var PROVIDERS = {};
+
+    var DEFAULT_MAX_TOKENS = 4096;
+
+    // Thinking budgets for request.reasoning, in tokens (Anthropic
+    // budget_tokens, Gemini thinkingBudget). OpenAI takes the level itself.
+    var REASONING_BUDGETS = { low: 2048, medium: 8192, high: 24576 };
+    var REASONING_LEVELS = ['off', 'low', 'medium', 'high'];
+
+    /**
+     * Whether a chat-completions model is an OpenAI reasoning model (o-series,
+     * gpt-5 and codex apart from the -chat variants). These take
+     * reasoning_effort and reject temperature; other models reject
+     * reasoning_effort.
+     */
+    function isReasoningModel(model) {
+        var id = String(model || '').split('/').pop();
+        return /^(o\d|gpt-5|codex-)/.test(id) && !/-chat/.test(id);
+    }
+
+    /**
+     * Gemini thinking support for a model: 'optional' where the budget can
+     * be set to 0 (2.5 Flash and Flash-Lite), 'always' where thinking cannot
+     * be turned off (2.5 Pro, Gemini 3), or null for models that do not think
+     * and reject a thinkingConfig.
+     */
+    function geminiThinking(model) {
+        var id = String(model || '').replace(/^models\//, '');
+        var match = /^gemini-(\d+(?:\.\d+)?)/.exec(id);
+        if (!match || parseFloat(match[1]) < 2.5 || /-(image|tts|live|audio)/.test(id)) return null;
+        return parseFloat(match[1]) === 2.5 && !/-pro/.test(id) ? 'optional' : 'always';
+    }
+
+    // A reply cut off at the output limit is continued at most this many times
+    var MAX_CONTINUATIONS = 3;
+    var CONTINUE_PROMPT = 'Your reply was cut off by the output length limit. Continue exactly where it stopped, ' +
+        'without repeating anything and without opening a new code block.';
+
+    /**
+     * Register an AI provider.
+     * Registered providers appear in the provider dropdown and get an API key
+     * field in Settings automatically.
+     *
+     * @param {string} key - Unique provider key (stored in settings.provider)
+     * @param {Object} definition
+     * @param {string} definition.name - Display name
+     * @param {Array<{id: string, label: string}>} [definition.models] - Model list
+     * @param {string} [definition.defaultModel] - Model selected by default
+     * @param {Function} [definition.getModels] - Dynamic model list; overrides models
+     *     Model entries are { id, label, pricing: { input, output } } with pricing
+     *     in USD per million tokens (optional)
+     * @param {Object|Function} [definition.auth] - Auth scheme: { type: 'bearer' },
+     *     { type: 'header', name }, { type: 'query', name } or { type: 'none' };
+     *     may be a function returning one of these
+     * @param {boolean} [definition.requiresKey] - False if the provider works without a key
+     * @param {string} [definition.keyLabel] - Label for the Settings key field (default: name)
+     * @param {string} [definition.keyPlaceholder] - Placeholder for the Settings key field
+     * @param {boolean} [definition.keyField] - False to hide the generic Settings key field
+     * @param {Function} definition.buildRequest - (request) => { url, headers, body }
+     *     request: { model, system, messages: [{role, content}], maxTokens, stream }, plus
+     *     temperature and reasoning ('off', 'low', 'medium', 'high') when configured, and
+     *     continuation: messages to append after everything else when a truncated reply
+     *     is being continued.
+     *     content is a string or an array of { text, cache } parts, where cache marks
+     *     the end of a stable prefix; use contentText() if the API has no caching.
+     *     May throw an Error to report a configuration problem.
+     * @param {Function} [definition.listModels] - () => { url, headers } for the provider's
+     *     model-list endpoint; auth is applied as for requests. Used by refreshModels()
+     * @param {Function} [definition.parseModels] - (data) => [{ id, label }] from that endpoint
+     * @param {Object} [definition.modelAliases] - Old model ID => current ID, for saved settings
+     * @param {boolean} [definition.images] - True if buildRequest handles image parts
+     *     { image: { mediaType, data } } (base64); otherwise images are not sent
+     * @param {Function} definition.parseResponse - (data) => { text, usage } or { error };
+     *     truncated: true if the reply stopped at the output token limit
+     * @param {Function} [definition.formatToolResults] - (results) => native messages carrying
+     *     tool results [{ id, name, output, isError }]; providers with it support agent mode.
+     *     buildRequest then also receives request.tools [{ name, description, parameters }]
+     *     and request.nativeTail (native messages to append after request.messages), and
+     *     parseResponse returns toolCalls [{ id, name, input }] and nativeMessage (the
+     *     assistant turn in the provider's format)
+     *     request.responseSchema (JSON schema) asks for a structured JSON reply; adapters
+     *     use the vendor's schema support and return the text, or the parsed object as
+     *     `structured`
+     * @param {Function} [definition.parseStreamEvent] - (event) => { text, usage } or { error };
+     *     providers without it never stream. usage is { inputTokens, outputTokens } plus
+     *     optional cacheReadTokens/cacheWriteTokens; a stream may report each field
+     *     in a different event
+     * @param {Object} [definition.transport] - Replaces HTTP for this provider (mocks, replay):
+     *     { post: (url, body, headers, cancelToken) => Promise<string>, stream: (url, body,
+     *     headers, cancelToken, onData) => Promise } with the same contracts as httpPost()
+     *     and httpPostStream(); without stream the provider never streams
+     * @returns {Object} The stored provider definition
+     */
+    function registerProvider(key, definition) {
+        if (!key || typeof key !== 'string') {
+            throw new Error('registerProvider: key must be a non-empty string');
         }
-    };
+        if (!definition || !definition.name) {
+            throw new Error('registerProvider(' + key + '): name is required');
+        }
+        if (typeof definition.buildRequest !== 'function' || typeof definition.parseResponse !== 'function') {
+            throw new Error('registerProvider(' + key + '): buildRequest and parseResponse are required');
+        }
+
+        var models = definition.models || [];
+        PROVIDERS[key] = {
+            name: definition.name,
+            models: models,
+            defaultModel: definition.defaultModel || (models[0] ? models[0].id : ''),
+            getModels: definition.getModels || null,
+            auth: definition.auth || { type: 'bearer' },
+            requiresKey: definition.requiresKey !== false,
+            keyLabel: definition.keyLabel || definition.name,
+            keyPlaceholder: definition.keyPlaceholder || '',
+            keyField: definition.keyField !== false,
+            buildRequest: definition.buildRequest,
+            parseResponse: definition.parseResponse,
+            parseStreamEvent: definition.parseStreamEvent || null,
+            formatToolResults: definition.formatToolResults || null,
+            images: !!definition.images,
+            listModels: definition.listModels || null,
+            parseModels: definition.parseModels || null,
+            modelAliases: definition.modelAliases || {},
+            transport: definition.transport || null
+        };
+        return PROVIDERS[key];
+    }
+
+    /**
+     * Remove a registered provider.
+     * @param {string} key
+     */
+    function unregisterProvider(key) {
+        delete PROVIDERS[key];
+    }
+
+    /**
+     * Apply a provider's auth scheme to a built request.
+     *
+     * @param {Object|Function} auth - Auth scheme from the provider definition
+     * @param {{ url: string, headers: Object }} built - Request from buildRequest
+     * @param {string} apiKey
+     */
+    function applyAuth(auth, built, apiKey) {
+        if (typeof auth === 'function') auth = auth();
+        if (!auth || !apiKey) return;
+
+        switch (auth.type) {
+            case 'bearer':
+                built.headers[auth.name || 'Authorization'] = 'Bearer ' + apiKey;
+                break;
+            case 'header':
+                built.headers[auth.name] = apiKey;
+                break;
+            case 'query':
+                built.url += (built.url.indexOf('?') === -1 ? '?' : '&') +
+                    encodeURIComponent(auth.name || 'key') + '=' + encodeURIComponent(apiKey);
+                break;
+            // 'none': nothing to add
+        }
+    }
+
+    // Version of the shipped SYSTEM_PROMPT, EXPLAIN_PROMPT and REFINE_PROMPT.
+    // Bump it when any of them changes so prompt profiles based on an older
+    // version can be flagged.
+    var PROMPTS_VERSION = 1;
 
     // ExtendScript system prompt
     var SYSTEM_PROMPT = [
@@ -64,199 +201,1902 @@ AEConjure.AIClient = (function () {
         'If asked to modify specific layers, reference them by index or name from the context.'
     ].join('\n');
 
-    // Explain code system prompt
-    var EXPLAIN_PROMPT = [
-        'You are an After Effects ExtendScript expert teacher.',
-        'Explain the following script in plain English, step by step.',
-        'Focus on: what it does, which AE objects it manipulates, and any non-obvious techniques.',
-        'Keep explanations concise — 3-8 bullet points. No code in your response.',
-        'Format as a numbered list.'
-    ].join('\n');
+    // Explain code system prompt
+    var EXPLAIN_PROMPT = [
+        'You are an After Effects ExtendScript expert teacher.',
+        'Explain the following script in plain English, step by step.',
+        'Focus on: what it does, which AE objects it manipulates, and any non-obvious techniques.',
+        'Keep explanations concise — 3-8 bullet points. No code in your response.',
+        'Format as a numbered list.'
+    ].join('\n');
+
+    // Rejection value for requests aborted through a cancel token
+    var CANCELLED = 'Cancelled by user.';
+
+    /**
+     * Create a cancel token for aborting in-flight requests.
+     * Pass it as options.cancelToken; calling cancel() aborts the pending
+     * HTTP request and tells the retry engine to stop.
+     *
+     * @returns {{ cancelled: boolean, cancel: Function, onCancel: Function }}
+     */
+    function createCancelToken() {
+        var listeners = [];
+        var token = {
+            cancelled: false,
+            cancel: function () {
+                if (token.cancelled) return;
+                token.cancelled = true;
+                var pending = listeners;
+                listeners = [];
+                pending.forEach(function (fn) { fn(); });
+            },
+            onCancel: function (fn) {
+                if (token.cancelled) {
+                    fn();
+                    return function () {};
+                }
+                listeners.push(fn);
+                return function () {
+                    var i = listeners.indexOf(fn);
+                    if (i !== -1) listeners.splice(i, 1);
+                };
+            }
+        };
+        return token;
+    }
+
+    /**
+     * Register an abort handler on an optional cancel token.
+     * @returns {Function} Call to unregister once the request settles
+     */
+    function bindCancel(cancelToken, onAbort) {
+        return cancelToken ? cancelToken.onCancel(onAbort) : function () {};
+    }
+
+    /**
+     * Send a prompt to the configured AI provider.
+     *
+     * @param {Object} options
+     * @param {string} options.prompt - User's natural language request
+     * @param {string} options.provider - Registered provider key
+     * @param {string} options.model - Model ID
+     * @param {string} options.apiKey - API key for the provider
+     * @param {string} [options.compContext] - Optional comp introspection data
+     * @param {string} [options.retryContext] - Optional error context from previous attempt
+     * @param {Function} [options.onToken] - Stream tokens as they arrive: (delta, fullText)
+     * @param {Object} [options.cancelToken] - Token from createCancelToken() to abort the request
+     * @param {Function} [options.onBackoff] - Called while waiting out a 429/5xx: ({ retry, maxRetries, delayMs, status })
+     * @param {string} [options.usageKind] - Ledger category: 'generate' (default) or 'retry'
+     * @param {string} [options.knowledgeQuery] - Text to retrieve knowledge for (default: prompt).
+     *     Retries pass the original request so the context block stays identical and cacheable.
+     * @param {Object[]} [options.tools] - Agent mode: tools the model may call, [{ name, description, parameters }].
+     *     Ignored by providers without tool support. Agent-mode responses are not streamed.
+     * @param {Function} [options.onToolCall] - Runs a tool call: ({ id, name, input }) => Promise<string>
+     * @param {Function} [options.onBudgetWarning] - Agent mode: another tool round goes past the
+     *     spend limit in 'warn' mode: (message). In 'block' mode the loop stops with budgetExceeded set.
+     * @param {boolean} [options.structured] - Ask for a JSON reply matching RESPONSE_SCHEMA; the result
+     *     then carries structured: { code, summary, affectedLayers, risk }. Not streamed.
+     * @param {Object[]} [options.images] - Images for the current turn, [{ mediaType, data }] with
+     *     base64 data (e.g. a rendered frame). Dropped for providers without image support.
+     * @returns {Promise<Object>} { success, code, rawResponse, usage, error }
+     */
+    function sendPrompt(options) {
+        var prompt = options.prompt;
+        var compContext = options.compContext || '';
+        var retryContext = options.retryContext || '';
+        var history = options.history || [];
+
+        // Retrieve relevant knowledge if available
+        var knowledge = '';
+        if (AEConjure.Knowledge && AEConjure.Knowledge.isReady()) {
+            knowledge = AEConjure.Knowledge.retrieve(options.knowledgeQuery || options.prompt);
+        }
+
+        // Stable context first (knowledge + comp) so retries can reuse it
+        // from the provider's prompt cache; the varying request follows.
+        var context = '';
+        if (knowledge) {
+            context += knowledge + '\n\n';
+        }
+        if (compContext) {
+            context += 'Current composition context:\n' + compContext + '\n\n';
+        }
+
+        var turnText = '';
+        if (retryContext) {
+            turnText += retryContext + '\n\n';
+        }
+        turnText += prompt;
+
+        var def = PROVIDERS[options.provider];
+        var images = def && def.images ? options.images || [] : [];
+
+        var messages = history.map(function (turn) {
+            return { role: turn.role, content: turn.content };
+        });
+        var parts = context ? [{ text: context, cache: true }] : [];
+        images.forEach(function (image) {
+            parts.push({ image: { mediaType: image.mediaType, data: image.data } });
+        });
+        parts.push({ text: turnText });
+        messages.push({
+            role: 'user',
+            content: parts.length > 1 ? parts : turnText
+        });
+
+        var requestOptions = {
+            onToken: options.onToken,
+            cancelToken: options.cancelToken,
+            onBackoff: options.onBackoff,
+            usageKind: options.usageKind || 'generate'
+        };
+
+        var request = {
+            model: options.model,
+            system: resolvePrompt('system', options.provider, options.model),
+            messages: messages
+        };
+        if (options.structured) {
+            request.system += '\n\n' + STRUCTURED_PROMPT;
+            request.responseSchema = RESPONSE_SCHEMA;
+        }
+
+        if (options.tools && options.tools.length && options.onToolCall && def && def.formatToolResults) {
+            requestOptions.onToken = null;
+            request.system += '\n\n' + TOOLS_PROMPT;
+            request.tools = options.tools;
+            return runToolLoop(options.provider, request, options.apiKey, requestOptions, options.onToolCall,
+                options.onBudgetWarning);
+        }
+
+        return dispatchComplete(options.provider, request, options.apiKey, requestOptions);
+    }
+
+    /**
+     * Dispatch a request and, if the reply hit the output token limit, ask
+     * the model to continue and stitch the pieces back together.
+     *
+     * @param {string} provider
+     * @param {Object} request - Neutral request (see registerProvider)
+     * @param {string} apiKey
+     * @param {Object} requestOptions - As for dispatch()
+     * @returns {Promise<Object>} As dispatch(), with continuations (number of follow-up requests)
+     */
+    function dispatchComplete(provider, request, apiKey, requestOptions) {
+        var onToken = requestOptions.onToken;
+        var text = '';
+        var totalUsage;
+        var rounds = 0;
+
+        function step(result) {
+            totalUsage = addUsage(totalUsage, result.usage);
+            result.usage = totalUsage;
+            if (rounds > 0 && result.success) {
+                text = stitch(text, result.rawResponse);
+                result.rawResponse = text;
+                result.code = extractCode(text);
+            } else {
+                text = result.rawResponse || '';
+            }
+            result.continuations = rounds;
+
+            var hasToolCalls = result.toolCalls && result.toolCalls.length > 0;
+            if (!result.success || !result.truncated || hasToolCalls) {
+                return result;
+            }
+            if (request.responseSchema) {
+                // A cut-off JSON reply cannot be continued reliably
+                return {
+                    success: false,
+                    error: 'The structured reply was cut off at ' + request.maxTokens +
+                        ' output tokens. Raise the limit under Generation Parameters in Settings.',
+                    usage: totalUsage
+                };
+            }
+            if (rounds >= MAX_CONTINUATIONS) {
+                return result;
+            }
+
+            rounds++;
+            var prefix = text;
+            var next = {};
+            for (var key in request) {
+                if (request.hasOwnProperty(key)) next[key] = request[key];
+            }
+            next.continuation = [
+                { role: 'assistant', content: prefix },
+                { role: 'user', content: CONTINUE_PROMPT }
+            ];
+            var options = {};
+            for (var opt in requestOptions) {
+                if (requestOptions.hasOwnProperty(opt)) options[opt] = requestOptions[opt];
+            }
+            options.onToken = onToken ? function (delta, continued) {
+                onToken(delta, stitch(prefix, continued));
+            } : null;
+
+            return dispatch(provider, next, apiKey, options).then(step);
+        }
+
+        return dispatch(provider, request, apiKey, requestOptions).then(step);
+    }
+
+    /**
+     * Join a truncated reply and its continuation. If the reply stopped inside
+     * a code block, a fence the model opened again at the start is dropped.
+     */
+    function stitch(previous, next) {
+        var insideCode = (previous.match(/```/g) || []).length % 2 === 1;
+        if (insideCode) {
+            next = next.replace(/^\s*```[\w-]*[ \t]*\r?\n/, '');
+        }
+        return previous + next;
+    }
+
+    /**
+     * Generation parameters for a provider/model from settings.generation.
+     * Entries are keyed by provider ("anthropic") or provider/model
+     * ("anthropic/claude-opus-4-6"); the model entry wins field by field.
+     *
+     * @param {string} provider
+     * @param {string} model
+     * @returns {{ maxTokens: number, temperature: number, reasoning: string }} Unset fields are omitted
+     */
+    function getGenerationParams(provider, model) {
+        var all = (AEConjure.Settings && AEConjure.Settings.get('generation')) || {};
+        var params = {};
+        [all[provider], all[provider + '/' + model]].forEach(function (entry) {
+            if (!entry) return;
+            for (var key in entry) {
+                if (entry.hasOwnProperty(key) && entry[key] !== undefined && entry[key] !== null) {
+                    params[key] = entry[key];
+                }
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Schema for structured replies. Every field is required so OpenAI's
+     * strict mode accepts it.
+     */
+    var RESPONSE_SCHEMA = {
+        type: 'object',
+        properties: {
+            code: {
+                type: 'string',
+                description: 'The complete ExtendScript, without markdown fences'
+            },
+            summary: {
+                type: 'string',
+                description: 'One sentence describing what the script does'
+            },
+            affectedLayers: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Names of the layers and project items the script creates, changes or deletes'
+            },
+            risk: {
+                type: 'string',
+                enum: ['low', 'medium', 'high'],
+                description: 'low: adds or tweaks things; medium: changes many items; high: deletes or replaces content'
+            }
+        },
+        required: ['code', 'summary', 'affectedLayers', 'risk'],
+        additionalProperties: false
+    };
+
+    var RISK_LEVELS = ['low', 'medium', 'high'];
+
+    // Appended to the system prompt in structured mode; replaces rule 2
+    var STRUCTURED_PROMPT = [
+        'RESPONSE FORMAT: instead of a code block, reply with a single JSON object with these fields:',
+        '- code: the complete ExtendScript (no markdown fences)',
+        '- summary: one sentence describing what the script does',
+        '- affectedLayers: names of the layers and project items the script creates, changes or deletes',
+        '- risk: "low", "medium" or "high" (high if it deletes or replaces existing content)'
+    ].join('\n');
+
+    // Appended to the system prompt in agent mode
+    var TOOLS_PROMPT = [
+        'You can call tools to inspect the After Effects project before writing the script.',
+        'Use them when the composition context does not tell you something you need,',
+        'such as current property values, effects, keyframes or project items.',
+        'Do not call tools you do not need. When you have enough information, reply with the final script.'
+    ].join('\n');
+
+    var MAX_TOOL_ROUNDS = 8;
+
+    /**
+     * Agent mode: send the request, run any tools the model calls, feed the
+     * results back and repeat until the model answers without tool calls.
+     *
+     * @param {string} provider - Registered provider key with formatToolResults
+     * @param {Object} request - { model, system, messages, tools }
+     * @param {string} apiKey
+     * @param {Object} requestOptions - As for dispatch()
+     * @param {Function} onToolCall - ({ id, name, input }) => Promise<string>
+     * @param {Function} [onBudgetWarning] - Continuing past the spend limit in 'warn' mode (once): (message)
+     * @returns {Promise<Object>} { success, code, rawResponse, usage, toolCalls, error };
+     *     toolCalls lists every call made, with its output. budgetExceeded is set when
+     *     the loop stopped because the next round would exceed the spend limit
+     */
+    function runToolLoop(provider, request, apiKey, requestOptions, onToolCall, onBudgetWarning) {
+        var def = PROVIDERS[provider];
+        var calls = [];
+        var totalUsage;
+        var round = 0;
+        var budgetWarned = false;
+
+        request.nativeTail = [];
+
+        function step() {
+            return dispatchComplete(provider, request, apiKey, requestOptions).then(function (result) {
+                // Each round resends everything so far, so it costs at least as much as the last
+                var roundCost = result.usage && typeof result.usage.cost === 'number' ? result.usage.cost : 0;
+                totalUsage = addUsage(totalUsage, result.usage);
+                result.usage = totalUsage;
+
+                if (!result.success || !result.toolCalls || result.toolCalls.length === 0) {
+                    result.toolCalls = calls;
+                    return result;
+                }
+                if (round >= MAX_TOOL_ROUNDS) {
+                    return {
+                        success: false,
+                        error: 'The model was still calling tools after ' + MAX_TOOL_ROUNDS + ' rounds.',
+                        usage: totalUsage,
+                        toolCalls: calls
+                    };
+                }
+                round++;
+                var lastRound = round === MAX_TOOL_ROUNDS;
+
+                // Run the calls one at a time; evalScript is serial anyway
+                var results = [];
+                var chain = Promise.resolve();
+                result.toolCalls.forEach(function (call) {
+                    chain = chain.then(function () {
+                        return Promise.resolve(onToolCall(call));
+                    }).then(function (output) {
+                        return { id: call.id, name: call.name, output: String(output), isError: false };
+                    }, function (err) {
+                        return { id: call.id, name: call.name, output: 'Error: ' + (err.message || err), isError: true };
+                    }).then(function (toolResult) {
+                        if (lastRound) {
+                            toolResult.output += '\n\nTool limit reached. Write the final script now without calling more tools.';
+                        }
+                        results.push(toolResult);
+                        calls.push({ name: call.name, input: call.input, output: toolResult.output, isError: toolResult.isError });
+                    });
+                });
+
+                return chain.then(function () {
+                    request.nativeTail = request.nativeTail
+                        .concat([result.nativeMessage])
+                        .concat(def.formatToolResults(results));
+
+                    var budget = AEConjure.Usage ? AEConjure.Usage.checkBudget(roundCost) : null;
+                    if (budget && !budget.allowed) {
+                        return {
+                            success: false,
+                            error: budget.message + ' Stopped after ' + round + ' tool round(s).',
+                            budgetExceeded: true,
+                            usage: totalUsage,
+                            toolCalls: calls
+                        };
+                    }
+                    if (budget && !budget.ok && !budgetWarned && onBudgetWarning) {
+                        budgetWarned = true;
+                        onBudgetWarning(budget.message);
+                    }
+                    return step();
+                });
+            });
+        }
+
+        return step();
+    }
+
+    /**
+     * Add one call's usage to a running total (either may be undefined).
+     */
+    function addUsage(total, update) {
+        if (!update) return total;
+        total = total || usage(0, 0);
+        for (var field in update) {
+            if (update.hasOwnProperty(field) && typeof update[field] === 'number' && field !== 'cost') {
+                total[field] = (total[field] || 0) + update[field];
+            }
+        }
+        if (typeof update.cost === 'number') {
+            total.cost = (total.cost || 0) + update.cost;
+        }
+        return total;
+    }
+
+    /**
+     * Send a provider-neutral request through a registered provider.
+     * Streams via server-sent events when requestOptions.onToken is provided
+     * and the provider supports it.
+     *
+     * @param {string} provider - Registered provider key
+     * @param {Object} request - { model, system, messages }
+     * @param {string} apiKey
+     * @param {Object} [requestOptions] - { onToken, cancelToken, onBackoff, usageKind }
+     * @returns {Promise<Object>} { success, code, rawResponse, usage, error }
+     */
+    function dispatch(provider, request, apiKey, requestOptions) {
+        var def = PROVIDERS[provider];
+        if (!def) {
+            return Promise.reject({ success: false, error: 'Unknown provider: ' + provider });
+        }
+        requestOptions = requestOptions || {};
+        var onToken = requestOptions.onToken;
+        var cancelToken = requestOptions.cancelToken;
+
+        request.model = canonicalModel(provider, request.model);
+        var params = getGenerationParams(provider, request.model);
+        request.maxTokens = request.maxTokens || params.maxTokens || DEFAULT_MAX_TOKENS;
+        if (request.temperature === undefined && typeof params.temperature === 'number') {
+            request.temperature = params.temperature;
+        }
+        if (request.reasoning === undefined && params.reasoning) {
+            request.reasoning = params.reasoning;
+        }
+        var transport = def.transport || { post: httpPost, stream: httpPostStream };
+        request.stream = !!(onToken && def.parseStreamEvent && transport.stream) && !request.responseSchema;
+
+        var built;
+        try {
+            built = def.buildRequest(request);
+        } catch (e) {
+            return Promise.resolve({ success: false, error: e.message || String(e) });
+        }
+        built.headers = built.headers || {};
+        if (!built.headers['Content-Type']) {
+            built.headers['Content-Type'] = 'application/json';
+        }
+        applyAuth(def.auth, built, apiKey);
+
+        var body = typeof built.body === 'string' ? built.body : JSON.stringify(built.body);
+
+        var backoff = { cancelToken: cancelToken, onBackoff: requestOptions.onBackoff };
+        var started = Date.now();
+        var rawBody = null;
+        var reply = null;
+
+        var sent;
+        if (request.stream) {
+            sent = withBackoff(function () {
+                return streamCompletion(transport.stream, built.url, body, built.headers, def.parseStreamEvent, onToken, cancelToken);
+            }, backoff);
+        } else {
+            sent = withBackoff(function () {
+                return transport.post(built.url, body, built.headers, cancelToken);
+            }, backoff).then(function (response) {
+                rawBody = response;
+                var parsed = def.parseResponse(JSON.parse(response)) || {};
+                reply = parsed;
+                if (parsed.error) {
+                    return { success: false, error: parsed.error };
+                }
+                var text = parsed.text || '';
+                var result = {
+                    success: true,
+                    code: extractCode(text),
+                    rawResponse: text,
+                    usage: parsed.usage,
+                    toolCalls: parsed.toolCalls,
+                    nativeMessage: parsed.nativeMessage,
+                    truncated: !!parsed.truncated
+                };
+                if (parsed.structured !== undefined) {
+                    // A structured reply ends the turn even if other tools were called
+                    result.toolCalls = [];
+                    return applyStructured(result, parsed.structured);
+                }
+                if (request.responseSchema && !(result.toolCalls && result.toolCalls.length)) {
+                    return applyStructured(result, text);
+                }
+                return result;
+            });
+        }
+
+        return sent.then(function (result) {
+            if (result.success) {
+                clearModelRejection(provider, request.model);
+            }
+            recordFixture(provider, request, reply || {
+                text: result.rawResponse,
+                usage: result.usage,
+                truncated: result.truncated,
+                error: result.error
+            });
+            recordUsage(provider, request.model, requestOptions.usageKind, result);
+            logCall(provider, request, built, body, requestOptions.usageKind, started, rawBody, result);
+            return result;
+        }, function (err) {
+            if (isModelRejection(err)) {
+                flagModelRejected(provider, request.model, err.message);
+            }
+            if (err !== CANCELLED) {
+                recordFixture(provider, request, { httpError: { message: err.message || String(err), status: err.status } });
+            }
+            logCall(provider, request, built, body, requestOptions.usageKind, started, rawBody, {
+                success: false,
+                error: err.message || err.error || String(err)
+            });
+            throw err;
+        });
+    }
+
+    /**
+     * Save a reply as a replay fixture when fixture recording is on.
+     * The replay provider's own replies are never recorded.
+     *
+     * @param {string} provider
+     * @param {Object} request - The neutral request that was sent
+     * @param {Object} reply - Parsed reply ({ text, usage, ... } or { error }),
+     *     or { httpError: { message, status } } for a failed request
+     */
+    function recordFixture(provider, request, reply) {
+        var Replay = AEConjure.Replay;
+        if (!Replay || !Replay.isRecording() || provider === Replay.PROVIDER) return;
+        Replay.save(provider, request, reply);
+    }
+
+    /**
+     * Write one call to the audit log (when enabled): the exact payload sent,
+     * the raw reply and what was made of it. Redaction happens in AuditLog.
+     */
+    function logCall(provider, request, built, body, kind, started, rawBody, result) {
+        if (!AEConjure.AuditLog || !AEConjure.AuditLog.isEnabled()) return;
+        var payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (e) {
+            payload = body;
+        }
+        AEConjure.AuditLog.record({
+            type: 'call',
+            provider: provider,
+            model: request.model,
+            kind: kind || 'generate',
+            stream: request.stream,
+            url: built.url,
+            headers: built.headers,
+            payload: payload,
+            response: rawBody,
+            text: result.rawResponse,
+            code: result.code || null,
+            toolCalls: result.toolCalls && result.toolCalls.length ? result.toolCalls : undefined,
+            usage: result.usage || null,
+            truncated: !!result.truncated,
+            success: !!result.success,
+            error: result.error || null,
+            durationMs: Date.now() - started
+        });
+    }
+
+    /**
+     * Price and record a call's token usage, attaching the cost to result.usage.
+     * Failed calls are still recorded when the provider reported usage.
+     */
+    function recordUsage(provider, model, kind, result) {
+        if (!result.usage) return result;
+        if (AEConjure.Usage) {
+            var entry = AEConjure.Usage.record({
+                provider: provider,
+                model: model,
+                kind: kind || 'generate',
+                usage: result.usage
+            });
+            result.usage.cost = entry.cost;
+        }
+        return result;
+    }
+
+    /**
+     * Build a normalized usage object from provider token counts.
+     * Fields the provider did not report stay undefined.
+     */
+    function usage(inputTokens, outputTokens) {
+        return { inputTokens: inputTokens, outputTokens: outputTokens };
+    }
+
+    // ---- Built-in request formats ----
+
+    /**
+     * Format an API error object as a message.
+     */
+    function errorMessage(error) {
+        return error.message || JSON.stringify(error);
+    }
+
+    /**
+     * Flatten message content (string or { text, cache } parts) to plain text.
+     * Image parts are dropped.
+     * @param {string|Object[]} content
+     * @returns {string}
+     */
+    function contentText(content) {
+        if (typeof content === 'string') return content;
+        return (content || []).map(function (part) { return part.text || ''; }).join('');
+    }
+
+    /**
+     * Whether message content includes an image part.
+     */
+    function hasImages(content) {
+        return typeof content !== 'string' && (content || []).some(function (part) { return !!part.image; });
+    }
+
+    /**
+     * Anthropic Messages API request.
+     * Sets cache_control breakpoints after the system prompt, at the end of the
+     * conversation history and after the context block of the current turn, so
+     * retries and follow-ups are billed at the cache-read rate.
+     */
+    function buildAnthropicRequest(request) {
+        var cache = { type: 'ephemeral' };
+        var last = request.messages.length - 1;
+        var toNative = function (turn, endOfHistory) {
+            var parts = typeof turn.content === 'string' ? [{ text: turn.content }] : turn.content;
+            return {
+                role: turn.role,
+                content: parts.map(function (part, j) {
+                    var block = part.image
+                        ? { type: 'image', source: { type: 'base64', media_type: part.image.mediaType, data: part.image.data } }
+                        : { type: 'text', text: part.text };
+                    if (part.cache || (endOfHistory && j === parts.length - 1)) {
+                        block.cache_control = cache;
+                    }
+                    return block;
+                })
+            };
+        };
+        var messages = request.messages.map(function (turn, i) {
+            return toNative(turn, i === last - 1);
+        });
+        var continuation = (request.continuation || []).map(function (turn) {
+            return toNative(turn, false);
+        });
+
+        var body = {
+            model: request.model,
+            max_tokens: request.maxTokens,
+            system: [{ type: 'text', text: request.system, cache_control: cache }],
+            messages: messages.concat(request.nativeTail || []).concat(continuation)
+        };
+        if (request.stream) body.stream = true;
+        if (typeof request.temperature === 'number') body.temperature = request.temperature;
+
+        // Extended thinking: the budget comes on top of the output limit and
+        // the API requires the default temperature
+        var thinking = REASONING_BUDGETS[request.reasoning];
+        if (thinking) {
+            body.thinking = { type: 'enabled', budget_tokens: thinking };
+            body.max_tokens = request.maxTokens + thinking;
+            delete body.temperature;
+        }
+        if (request.tools) {
+            body.tools = request.tools.map(function (tool) {
+                return { name: tool.name, description: tool.description, input_schema: tool.parameters };
+            });
+        }
+        if (request.responseSchema) {
+            // Structured output via a tool the model must call; with agent
+            // tools it may call those first
+            body.tools = (body.tools || []).concat([{
+                name: STRUCTURED_TOOL,
+                description: 'Submit the finished script.',
+                input_schema: request.responseSchema
+            }]);
+            body.tool_choice = request.tools ? { type: 'any' } : { type: 'tool', name: STRUCTURED_TOOL };
+            if (thinking) {
+                // Thinking cannot be combined with a forced tool; the system
+                // prompt still asks for the JSON reply
+                body.tool_choice = { type: 'auto' };
+            }
+        }
+
+        return {
+            url: 'https://api.anthropic.com/v1/messages',
+            headers: { 'anthropic-version': '2023-06-01' },
+            body: body
+        };
+    }
+
+    /**
+     * Anthropic usage, including prompt-cache reads and writes.
+     * input_tokens excludes cached tokens, so the three input counts add up.
+     */
+    function parseAnthropicUsage(data) {
+        var result = usage(data.input_tokens, data.output_tokens);
+        if (data.cache_read_input_tokens !== undefined) result.cacheReadTokens = data.cache_read_input_tokens;
+        if (data.cache_creation_input_tokens !== undefined) result.cacheWriteTokens = data.cache_creation_input_tokens;
+        return result;
+    }
+
+    // Tool Anthropic is made to call for structured replies
+    var STRUCTURED_TOOL = 'submit_script';
+
+    function parseAnthropicResponse(data) {
+        if (data.error) return { error: errorMessage(data.error) };
+        var text = '';
+        var toolCalls = [];
+        var structured;
+        (data.content || []).forEach(function (block) {
+            if (block.type === 'text') text += block.text;
+            if (block.type !== 'tool_use') return;
+            if (block.name === STRUCTURED_TOOL) {
+                structured = block.input;
+            } else {
+                toolCalls.push({ id: block.id, name: block.name, input: block.input });
+            }
+        });
+        return {
+            text: text,
+            structured: structured,
+            truncated: data.stop_reason === 'max_tokens',
+            usage: data.usage ? parseAnthropicUsage(data.usage) : undefined,
+            toolCalls: toolCalls,
+            nativeMessage: { role: 'assistant', content: data.content }
+        };
+    }
+
+    function formatAnthropicToolResults(results) {
+        return [{
+            role: 'user',
+            content: results.map(function (result) {
+                return {
+                    type: 'tool_result',
+                    tool_use_id: result.id,
+                    content: result.output,
+                    is_error: result.isError
+                };
+            })
+        }];
+    }
+
+    function parseAnthropicStreamEvent(event) {
+        if (event.type === 'error') {
+            return { error: event.error ? event.error.message : 'Stream error' };
+        }
+        if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+            return { text: event.delta.text };
+        }
+        // Input tokens arrive with message_start, the output total with message_delta
+        if (event.type === 'message_start' && event.message && event.message.usage) {
+            return { usage: parseAnthropicUsage(event.message.usage) };
+        }
+        if (event.type === 'message_delta') {
+            return {
+                usage: event.usage ? usage(undefined, event.usage.output_tokens) : undefined,
+                truncated: !!(event.delta && event.delta.stop_reason === 'max_tokens')
+            };
+        }
+        return {};
+    }
+
+    /**
+     * OpenAI chat-completions request body.
+     * Shared by OpenAI, custom endpoints and any OpenAI-compatible plugin.
+     */
+    function buildChatCompletionsBody(request) {
+        var body = {
+            model: request.model,
+            max_tokens: request.maxTokens,
+            messages: [{ role: 'system', content: request.system }]
+                .concat(request.messages.map(chatCompletionsMessage))
+                .concat(request.nativeTail || [])
+                .concat((request.continuation || []).map(chatCompletionsMessage))
+        };
+        if (request.stream) body.stream = true;
+        if (isReasoningModel(request.model)) {
+            // Reasoning models only run at the default temperature
+            if (REASONING_BUDGETS[request.reasoning]) body.reasoning_effort = request.reasoning;
+        } else if (typeof request.temperature === 'number') {
+            body.temperature = request.temperature;
+        }
+        if (request.tools) {
+            body.tools = request.tools.map(function (tool) {
+                return {
+                    type: 'function',
+                    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                };
+            });
+        }
+        if (request.responseSchema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'ae_script', strict: true, schema: request.responseSchema }
+            };
+        }
+        return body;
+    }
+
+    function chatCompletionsMessage(turn) {
+        return { role: turn.role, content: chatCompletionsContent(turn.content) };
+    }
+
+    /**
+     * Chat-completions message content: a plain string, or text and
+     * image_url parts when the turn carries images.
+     */
+    function chatCompletionsContent(content) {
+        if (!hasImages(content)) return contentText(content);
+        return content.map(function (part) {
+            if (part.image) {
+                return {
+                    type: 'image_url',
+                    image_url: { url: 'data:' + part.image.mediaType + ';base64,' + part.image.data }
+                };
+            }
+            return { type: 'text', text: part.text };
+        });
+    }
+
+    function parseChatCompletionsUsage(data) {
+        return data.usage ? usage(data.usage.prompt_tokens, data.usage.completion_tokens) : undefined;
+    }
+
+    function parseChatCompletionsResponse(data) {
+        if (data.error) return { error: errorMessage(data.error) };
+        var choice = data.choices && data.choices[0];
+        var message = choice ? choice.message : null;
+        if (!message) return { text: '', usage: parseChatCompletionsUsage(data) };
+
+        var toolCalls = (message.tool_calls || []).map(function (call) {
+            var input;
+            try {
+                input = JSON.parse(call['function'].arguments || '{}');
+            } catch (e) {
+                input = {};
+            }
+            return { id: call.id, name: call['function'].name, input: input };
+        });
+        return {
+            text: message.content || '',
+            truncated: choice.finish_reason === 'length',
+            usage: parseChatCompletionsUsage(data),
+            toolCalls: toolCalls,
+            nativeMessage: message
+        };
+    }
+
+    function formatChatCompletionsToolResults(results) {
+        return results.map(function (result) {
+            return { role: 'tool', tool_call_id: result.id, content: result.output };
+        });
+    }
+
+    function parseChatCompletionsStreamEvent(event) {
+        if (event.error) return { error: errorMessage(event.error) };
+        var choice = event.choices && event.choices[0];
+        return {
+            text: choice && choice.delta ? choice.delta.content : '',
+            truncated: !!(choice && choice.finish_reason === 'length'),
+            usage: parseChatCompletionsUsage(event)
+        };
+    }
+
+    /**
+     * Google Gemini generateContent request.
+     */
+    function buildGeminiRequest(request) {
+        var base = 'https://generativelanguage.googleapis.com/v1beta/models/' + request.model;
+        var toNative = function (turn) {
+            return {
+                role: turn.role === 'assistant' ? 'model' : 'user',
+                parts: geminiParts(turn.content)
+            };
+        };
+
+        var body = {
+            system_instruction: { parts: [{ text: request.system }] },
+            contents: request.messages.map(toNative)
+                .concat(request.nativeTail || [])
+                .concat((request.continuation || []).map(toNative)),
+            generationConfig: { maxOutputTokens: request.maxTokens }
+        };
+        if (typeof request.temperature === 'number') {
+            body.generationConfig.temperature = request.temperature;
+        }
+        // Only thinking models take a thinkingConfig, and 'off' only applies
+        // where the budget can be 0; elsewhere the model's default stands
+        var support = geminiThinking(request.model);
+        var thinking = REASONING_BUDGETS[request.reasoning];
+        if (support && (thinking || (request.reasoning === 'off' && support === 'optional'))) {
+            // Thinking tokens count against maxOutputTokens, so add the budget
+            body.generationConfig.thinkingConfig = { thinkingBudget: thinking || 0 };
+            body.generationConfig.maxOutputTokens = request.maxTokens + (thinking || 0);
+        }
+        if (request.tools) {
+            body.tools = [{
+                functionDeclarations: request.tools.map(function (tool) {
+                    return { name: tool.name, description: tool.description, parameters: tool.parameters };
+                })
+            }];
+        } else if (request.responseSchema) {
+            // Gemini cannot combine function calling with a JSON response type;
+            // with tools the format comes from the system prompt alone
+            body.generationConfig.responseMimeType = 'application/json';
+            body.generationConfig.responseSchema = geminiSchema(request.responseSchema);
+        }
+
+        return {
+            url: request.stream ? base + ':streamGenerateContent?alt=sse' : base + ':generateContent',
+            body: body
+        };
+    }
+
+    /**
+     * Gemini parts for message content: one text part, with inline_data
+     * parts for any images.
+     */
+    function geminiParts(content) {
+        if (!hasImages(content)) return [{ text: contentText(content) }];
+        return content.map(function (part) {
+            return part.image
+                ? { inline_data: { mime_type: part.image.mediaType, data: part.image.data } }
+                : { text: part.text };
+        });
+    }
+
+    /**
+     * Copy a JSON schema without the keywords Gemini's schema subset rejects.
+     */
+    function geminiSchema(schema) {
+        if (!schema || typeof schema !== 'object') return schema;
+        if (schema instanceof Array) return schema.map(geminiSchema);
+        var copy = {};
+        for (var key in schema) {
+            if (schema.hasOwnProperty(key) && key !== 'additionalProperties') {
+                copy[key] = geminiSchema(schema[key]);
+            }
+        }
+        return copy;
+    }
+
+    function parseGeminiResponse(data) {
+        if (data.error) return { error: errorMessage(data.error) };
+        var text = '';
+        var toolCalls = [];
+        var content = data.candidates && data.candidates[0] ? data.candidates[0].content : null;
+        if (content) {
+            (content.parts || []).forEach(function (part, i) {
+                if (part.text && !part.thought) text += part.text;
+                if (part.functionCall) {
+                    toolCalls.push({
+                        id: part.functionCall.id || 'call_' + i,
+                        name: part.functionCall.name,
+                        input: part.functionCall.args || {}
+                    });
+                }
+            });
+        }
+        var meta = data.usageMetadata;
+        var candidate = data.candidates && data.candidates[0];
+        return {
+            text: text,
+            truncated: !!(candidate && candidate.finishReason === 'MAX_TOKENS'),
+            usage: meta ? parseGeminiUsage(meta) : undefined,
+            toolCalls: toolCalls,
+            nativeMessage: content
+        };
+    }
+
+    /**
+     * Gemini usage. Thinking tokens are billed as output but reported separately.
+     */
+    function parseGeminiUsage(meta) {
+        var output = meta.candidatesTokenCount;
+        if (meta.thoughtsTokenCount) {
+            output = (output || 0) + meta.thoughtsTokenCount;
+        }
+        return usage(meta.promptTokenCount, output);
+    }
+
+    function formatGeminiToolResults(results) {
+        return [{
+            role: 'user',
+            parts: results.map(function (result) {
+                return {
+                    functionResponse: {
+                        id: /^call_\d+$/.test(result.id) ? undefined : result.id,
+                        name: result.name,
+                        response: result.isError ? { error: result.output } : { result: result.output }
+                    }
+                };
+            })
+        }];
+    }
+
+    // ---- Built-in providers ----
+
+    registerProvider('anthropic', {
+        name: 'Anthropic',
+        models: [
+            { id: 'claude-sonnet-4-5-20250929', label: 'Claude Sonnet 4.5', pricing: { input: 3, output: 15 } },
+            { id: 'claude-opus-4-6', label: 'Claude Opus 4.6', pricing: { input: 5, output: 25 } },
+            { id: 'claude-haiku-4-5-20251001', label: 'Claude Haiku 4.5', pricing: { input: 1, output: 5 } }
+        ],
+        defaultModel: 'claude-sonnet-4-5-20250929',
+        auth: { type: 'header', name: 'x-api-key' },
+        keyLabel: 'Anthropic (Claude)',
+        keyPlaceholder: 'sk-ant-...',
+        listModels: function () {
+            return {
+                url: 'https://api.anthropic.com/v1/models?limit=1000',
+                headers: { 'anthropic-version': '2023-06-01' }
+            };
+        },
+        parseModels: function (data) {
+            return (data.data || []).map(function (m) {
+                return { id: m.id, label: m.display_name || m.id };
+            });
+        },
+        buildRequest: buildAnthropicRequest,
+        parseResponse: parseAnthropicResponse,
+        parseStreamEvent: parseAnthropicStreamEvent,
+        formatToolResults: formatAnthropicToolResults,
+        images: true
+    });
+
+    registerProvider('openai', {
+        name: 'OpenAI',
+        models: [
+            { id: 'gpt-5.2-codex', label: 'GPT-5.2 Codex', pricing: { input: 1.75, output: 14 } },
+            { id: 'gpt-5.1-codex-max', label: 'GPT-5.1 Codex Max', pricing: { input: 1.25, output: 10 } },
+            { id: 'gpt-4.1', label: 'GPT-4.1', pricing: { input: 2, output: 8 } }
+        ],
+        defaultModel: 'gpt-5.2-codex',
+        // IDs saved by earlier versions
+        modelAliases: {
+            'gpt-5-2-codex': 'gpt-5.2-codex',
+            'gpt-5.1-Codex-Max': 'gpt-5.1-codex-max',
+            'gpt-4-1': 'gpt-4.1'
+        },
+        auth: { type: 'bearer' },
+        keyLabel: 'OpenAI (GPT)',
+        keyPlaceholder: 'sk-...',
+        listModels: function () {
+            return { url: 'https://api.openai.com/v1/models' };
+        },
+        parseModels: function (data) {
+            // The list includes embedding, audio and image models
+            return (data.data || []).filter(function (m) {
+                return /^(gpt-|o\d|chatgpt-|codex-)/.test(m.id) &&
+                    !/(audio|realtime|tts|transcribe|image|search|embedding)/.test(m.id);
+            }).map(function (m) {
+                return { id: m.id, label: m.id };
+            });
+        },
+        buildRequest: function (request) {
+            var body = buildChatCompletionsBody(request);
+            // Streams only report token usage when asked to
+            if (request.stream) body.stream_options = { include_usage: true };
+            // Reasoning models reject max_tokens; max_completion_tokens works for all
+            body.max_completion_tokens = body.max_tokens;
+            delete body.max_tokens;
+            return {
+                url: 'https://api.openai.com/v1/chat/completions',
+                body: body
+            };
+        },
+        parseResponse: parseChatCompletionsResponse,
+        parseStreamEvent: parseChatCompletionsStreamEvent,
+        formatToolResults: formatChatCompletionsToolResults,
+        images: true
+    });
+
+    registerProvider('google', {
+        name: 'Google',
+        models: [
+            { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', pricing: { input: 0.30, output: 2.50 } },
+            { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', pricing: { input: 1.25, output: 10 } }
+        ],
+        defaultModel: 'gemini-2.5-flash',
+        auth: { type: 'query', name: 'key' },
+        keyLabel: 'Google (Gemini)',
+        keyPlaceholder: 'AIza...',
+        listModels: function () {
+            return { url: 'https://generativelanguage.googleapis.com/v1beta/models?pageSize=1000' };
+        },
+        parseModels: function (data) {
+            return (data.models || []).filter(function (m) {
+                return (m.supportedGenerationMethods || []).indexOf('generateContent') !== -1 &&
+                    /^models\/gemini-/.test(m.name);
+            }).map(function (m) {
+                return { id: m.name.replace(/^models\//, ''), label: m.displayName || m.name };
+            });
+        },
+        buildRequest: buildGeminiRequest,
+        parseResponse: parseGeminiResponse,
+        parseStreamEvent: parseGeminiResponse,
+        formatToolResults: formatGeminiToolResults,
+        images: true
+    });
+
+    // OpenAI-compatible endpoint (llama.cpp, vLLM, etc.). Base URL, auth
+    // header, key and models are configured in their own Settings group.
+    registerProvider('custom', {
+        name: 'Custom',
+        requiresKey: false,
+        keyField: false,
+        getModels: function () {
+            return getCustomConfig().models.map(function (id) {
+                return { id: id, label: id };
+            });
+        },
+        auth: function () {
+            return customAuthScheme(getCustomConfig());
+        },
+        buildRequest: function (request) {
+            var config = getCustomConfig();
+            if (!config.baseUrl) {
+                throw new Error('Set the custom endpoint base URL in Settings first.');
+            }
+            if (!request.model) {
+                throw new Error('Add a model name for the custom endpoint in Settings.');
+            }
+            return {
+                url: joinUrl(config.baseUrl, 'chat/completions'),
+                body: buildChatCompletionsBody(request)
+            };
+        },
+        parseResponse: parseChatCompletionsResponse,
+        parseStreamEvent: parseChatCompletionsStreamEvent,
+        formatToolResults: formatChatCompletionsToolResults
+    });
+
+    // ---- Custom endpoint helpers ----
+
+    /**
+     * Read the custom endpoint configuration from Settings.
+     * @returns {{ baseUrl: string, authHeader: string, models: string[] }}
+     */
+    function getCustomConfig() {
+        var config = (AEConjure.Settings && AEConjure.Settings.get('customProvider')) || {};
+        return {
+            baseUrl: (config.baseUrl || '').trim(),
+            authHeader: (config.authHeader || 'Authorization').trim(),
+            models: config.models || []
+        };
+    }
+
+    /**
+     * Auth scheme for a custom endpoint.
+     * "Authorization" gets a Bearer prefix; any other header carries the raw key.
+     * No header is sent when the key is empty (most local servers need none).
+     */
+    function customAuthScheme(config) {
+        if (!config.authHeader) return { type: 'none' };
+        return config.authHeader.toLowerCase() === 'authorization'
+            ? { type: 'bearer' }
+            : { type: 'header', name: config.authHeader };
+    }
+
+    /**
+     * Join a base URL and a path segment with exactly one slash.
+     */
+    function joinUrl(base, segment) {
+        return base.replace(/\/+$/, '') + '/' + segment.replace(/^\/+/, '');
+    }
+
+    /**
+     * Discover the models served by an OpenAI-compatible endpoint (GET /models).
+     *
+     * @param {Object} [config] - { baseUrl, authHeader, apiKey }; defaults to saved settings
+     * @returns {Promise<Object>} { success, models: string[], error }
+     */
+    function discoverCustomModels(config) {
+        var saved = getCustomConfig();
+        config = config || {};
+        var baseUrl = (config.baseUrl || saved.baseUrl || '').trim();
+        if (!baseUrl) {
+            return Promise.resolve({ success: false, error: 'No base URL configured.' });
+        }
+        var apiKey = config.apiKey !== undefined ? config.apiKey :
+            (AEConjure.Settings ? AEConjure.Settings.getApiKey('custom') : '');
+        var built = { url: joinUrl(baseUrl, 'models'), headers: {} };
+        applyAuth(customAuthScheme({ authHeader: config.authHeader || saved.authHeader }), built, apiKey);
+
+        return httpGet(built.url, built.headers).then(function (response) {
+            var data = JSON.parse(response);
+            var list = data.data || data.models || [];
+            var models = list.map(function (m) {
+                return typeof m === 'string' ? m : (m.id || m.name || '');
+            }).filter(function (id) { return id; });
+            return { success: true, models: models };
+        }).catch(function (err) {
+            return { success: false, error: typeof err === 'string' ? err : (err.message || 'Model discovery failed') };
+        });
+    }
+
+    /**
+     * Get the selectable models for a provider.
+     * Curated models (with labels and pricing) come first, then models only
+     * the provider's model list reported. Once the list has been fetched,
+     * curated models missing from it are marked unavailable; models the API
+     * rejected at request time are marked rejected.
+     *
+     * @param {string} provider - Provider key
+     * @returns {Array<{id: string, label: string, pricing: Object, unavailable: boolean, rejected: string}>}
+     */
+    function getModels(provider) {
+        var def = PROVIDERS[provider];
+        if (!def) return [];
+        var curated = def.getModels ? def.getModels() : def.models;
+        var cached = readModelCache()[provider];
+        if (!cached) return curated;
+
+        var listed = {};
+        (cached.models || []).forEach(function (m) { listed[m.id] = m; });
+        var rejected = cached.rejected || {};
+        var hasList = !!cached.models;
+
+        var models = curated.map(function (m) {
+            var entry = copyModel(m);
+            if (hasList && !listed[m.id]) entry.unavailable = true;
+            if (rejected[m.id]) entry.rejected = rejected[m.id];
+            delete listed[m.id];
+            return entry;
+        });
+        Object.keys(listed).sort().forEach(function (id) {
+            var entry = copyModel(listed[id]);
+            if (rejected[id]) entry.rejected = rejected[id];
+            models.push(entry);
+        });
+        return models;
+    }
+
+    function copyModel(m) {
+        var copy = {};
+        for (var key in m) {
+            if (m.hasOwnProperty(key)) copy[key] = m[key];
+        }
+        return copy;
+    }
+
+    /**
+     * Map a model ID saved by an earlier version to its current ID.
+     *
+     * @param {string} provider
+     * @param {string} model
+     * @returns {string}
+     */
+    function canonicalModel(provider, model) {
+        var def = PROVIDERS[provider];
+        return (def && def.modelAliases && def.modelAliases[model]) || model;
+    }
+
+    // ---- Model discovery ----
+
+    // Fetched model lists are reused for a day
+    var MODEL_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+    var _modelCache = null;
+
+    /**
+     * Path of the model cache, ~/ae-conjure/models-cache.json.
+     * Shape: { provider: { fetchedAt, models: [{ id, label }], error, rejected: { modelId: message } } }
+     */
+    function modelCacheFile() {
+        try {
+            return require('path').join(require('os').homedir(), 'ae-conjure', 'models-cache.json');
+        } catch (e) {
+            return ''; // Node.js modules not available
+        }
+    }
+
+    function readModelCache() {
+        if (_modelCache) return _modelCache;
+        _modelCache = {};
+        var file = modelCacheFile();
+        if (!file) return _modelCache;
+        try {
+            var fs = require('fs');
+            if (fs.existsSync(file)) {
+                _modelCache = JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        } catch (e) {
+            console.warn('AE Conjure: Failed to read model cache:', e.message);
+        }
+        return _modelCache;
+    }
+
+    function writeModelCache() {
+        var file = modelCacheFile();
+        if (!file) return;
+        try {
+            var fs = require('fs');
+            var dir = require('path').dirname(file);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(file, JSON.stringify(_modelCache, null, 2));
+        } catch (e) {
+            console.warn('AE Conjure: Failed to write model cache:', e.message);
+        }
+    }
+
+    /**
+     * Fetch a provider's model list with its API key and cache it.
+     * Rejection flags survive a refresh.
+     *
+     * @param {string} provider - Provider key
+     * @param {string} apiKey
+     * @param {Object} [options] - { force: true } to ignore a fresh cache
+     * @returns {Promise<Object>} { success, models, cached, error }; skipped is set when the
+     *     provider has no list endpoint or no key. Never rejects
+     */
+    function refreshModels(provider, apiKey, options) {
+        var def = PROVIDERS[provider];
+        if (!def || !def.listModels || !def.parseModels) {
+            return Promise.resolve({ success: false, skipped: true, error: 'Provider has no model list endpoint.' });
+        }
+        if (!apiKey && def.requiresKey) {
+            return Promise.resolve({ success: false, skipped: true, error: 'No API key.' });
+        }
+
+        var cache = readModelCache();
+        var entry = cache[provider] || {};
+        if (!(options && options.force) && entry.models && Date.now() - entry.fetchedAt < MODEL_CACHE_TTL_MS) {
+            return Promise.resolve({ success: true, models: entry.models, cached: true });
+        }
+
+        var built = def.listModels();
+        built.headers = built.headers || {};
+        applyAuth(def.auth, built, apiKey);
+
+        return httpGet(built.url, built.headers).then(function (response) {
+            var models = def.parseModels(JSON.parse(response)) || [];
+            cache[provider] = {
+                fetchedAt: Date.now(),
+                models: models,
+                rejected: entry.rejected || {}
+            };
+            writeModelCache();
+            return { success: true, models: models, cached: false };
+        }).catch(function (err) {
+            var message = typeof err === 'string' ? err : (err.message || 'Model list request failed');
+            // Keep the last good list; note the error for display
+            entry.error = message;
+            cache[provider] = entry;
+            writeModelCache();
+            return { success: false, error: message };
+        });
+    }
+
+    /**
+     * Whether a failed request means the model does not exist or the key
+     * cannot use it. A 404 counts only when the body is about the model:
+     * a wrong base URL or a gateway also answers 404.
+     */
+    function isModelRejection(err) {
+        if (!err || !err.status) return false;
+        return (err.status === 400 || err.status === 403 || err.status === 404) && /model/i.test(err.body || '') &&
+            /(not found|not_found|does not exist|not supported|not available|do not have access|invalid model|unknown model)/i.test(err.body || '');
+    }
+
+    function flagModelRejected(provider, model, message) {
+        var cache = readModelCache();
+        var entry = cache[provider] = cache[provider] || {};
+        entry.rejected = entry.rejected || {};
+        entry.rejected[model] = String(message).substring(0, 200);
+        writeModelCache();
+    }
+
+    function clearModelRejection(provider, model) {
+        var entry = readModelCache()[provider];
+        if (entry && entry.rejected && entry.rejected[model]) {
+            delete entry.rejected[model];
+            writeModelCache();
+        }
+    }
 
     /**
-     * Send a prompt to the configured AI provider.
+     * Load provider plugins from ~/ae-conjure/providers/.
+     * Each .js file is a Node module exporting function (AIClient) { ... }
+     * that calls AIClient.registerProvider().
      *
-     * @param {Object} options
-     * @param {string} options.prompt - User's natural language request
-     * @param {string} options.provider - Provider key (anthropic/openai/google)
-     * @param {string} options.model - Model ID
-     * @param {string} options.apiKey - API key for the provider
-     * @param {string} [options.compContext] - Optional comp introspection data
-     * @param {string} [options.retryContext] - Optional error context from previous attempt
-     * @returns {Promise<Object>} { success, code, rawResponse, error }
+     * @returns {string[]} Keys of providers added by plugins
      */
-    function sendPrompt(options) {
-        var prompt = options.prompt;
-        var provider = options.provider;
-        var model = options.model;
-        var apiKey = options.apiKey;
-        var compContext = options.compContext || '';
-        var retryContext = options.retryContext || '';
-        var history = options.history || [];
+    function loadProviderPlugins() {
+        var fs, path, os;
+        try {
+            fs = require('fs');
+            path = require('path');
+            os = require('os');
+        } catch (e) {
+            return []; // Node.js modules not available
+        }
 
-        // Retrieve relevant knowledge if available
-        var knowledge = '';
-        if (AEConjure.Knowledge && AEConjure.Knowledge.isReady()) {
-            knowledge = AEConjure.Knowledge.retrieve(options.prompt);
+        var dir = path.join(os.homedir(), 'ae-conjure', 'providers');
+        if (!fs.existsSync(dir)) return [];
+
+        var before = Object.keys(PROVIDERS);
+        fs.readdirSync(dir).filter(function (file) {
+            return /\.js$/.test(file);
+        }).sort().forEach(function (file) {
+            try {
+                var plugin = require(path.join(dir, file));
+                if (typeof plugin === 'function') {
+                    plugin(AEConjure.AIClient);
+                }
+            } catch (e) {
+                console.warn('AE Conjure: Failed to load provider plugin ' + file + ':', e.message);
+            }
+        });
+
+        return Object.keys(PROVIDERS).filter(function (key) {
+            return before.indexOf(key) === -1;
+        });
+    }
+
+    /**
+     * Extract code from a markdown code block in the AI response.
+     *
+     * @param {string} text - Raw AI response
+     * @returns {string} Extracted code, or empty string
+     */
+    function extractCode(text) {
+        // Match ```javascript ... ``` or ``` ... ```
+        var match = text.match(/```(?:javascript|jsx|extendscript)?\s*\n?([\s\S]*?)```/);
+        if (match && match[1]) {
+            return match[1].trim();
+        }
+        // Fallback: if no code fence, check if the whole response looks like code
+        if (text.indexOf('app.project') !== -1 || text.indexOf('var ') !== -1) {
+            return text.trim();
         }
+        return '';
+    }
 
-        // Build the full user message
-        var userMessage = '';
-        if (knowledge) {
-            userMessage += knowledge + '\n\n';
+    /**
+     * Check whether a (possibly partial) response contains a closed code fence.
+     * Used while streaming to tell when the script is complete.
+     *
+     * @param {string} text - Response text received so far
+     * @returns {boolean}
+     */
+    function hasCompleteCodeBlock(text) {
+        return /```(?:javascript|jsx|extendscript)?\s*\n?[\s\S]*?```/.test(text || '');
+    }
+
+    /**
+     * Parse and validate a structured reply (JSON text or an already-parsed object).
+     *
+     * @param {string|Object} source
+     * @returns {{ value: Object }|{ error: string }} value: { code, summary, affectedLayers, risk }
+     */
+    function parseStructured(source) {
+        var data = source;
+        if (typeof source === 'string') {
+            // Some models still wrap the JSON in a fence
+            var text = source.trim().replace(/^```(?:json)?\s*\n?/, '').replace(/```\s*$/, '');
+            try {
+                data = JSON.parse(text);
+            } catch (e) {
+                return { error: 'Response is not valid JSON' };
+            }
         }
-        if (compContext) {
-            userMessage += 'Current composition context:\n' + compContext + '\n\n';
+        if (!data || typeof data !== 'object') {
+            return { error: 'Response is not a JSON object' };
         }
-        if (retryContext) {
-            userMessage += retryContext + '\n\n';
+        if (typeof data.code !== 'string' || !data.code.trim()) {
+            return { error: 'Missing "code"' };
         }
-        userMessage += prompt;
-
-        switch (provider) {
-            case 'anthropic':
-                return sendAnthropic(userMessage, model, apiKey, history, SYSTEM_PROMPT);
-            case 'openai':
-                return sendOpenAI(userMessage, model, apiKey, history, SYSTEM_PROMPT);
-            case 'google':
-                return sendGoogle(userMessage, model, apiKey, history, SYSTEM_PROMPT);
-            default:
-                return Promise.reject({ success: false, error: 'Unknown provider: ' + provider });
+        if (typeof data.summary !== 'string') {
+            return { error: 'Missing "summary"' };
+        }
+        if (!(data.affectedLayers instanceof Array) || data.affectedLayers.some(function (name) {
+            return typeof name !== 'string';
+        })) {
+            return { error: '"affectedLayers" must be a list of names' };
         }
+        if (RISK_LEVELS.indexOf(data.risk) === -1) {
+            return { error: '"risk" must be low, medium or high' };
+        }
+
+        // Strip fences the model put inside the code field anyway
+        var code = data.code.indexOf('```') !== -1 ? extractCode(data.code) : data.code.trim();
+        return {
+            value: {
+                code: code,
+                summary: data.summary.trim(),
+                affectedLayers: data.affectedLayers,
+                risk: data.risk
+            }
+        };
     }
 
     /**
-     * Send request to Anthropic Claude API.
+     * Apply a structured reply to a dispatch result. The displayed response
+     * becomes the summary plus a code block; if the reply is invalid but still
+     * contains a code block, that code is used and structuredError is set.
      */
-    function sendAnthropic(userMessage, model, apiKey, history, systemPrompt) {
-        var messages = [];
-        // Add conversation history
-        if (history && history.length > 0) {
-            history.forEach(function (turn) {
-                messages.push({ role: turn.role, content: turn.content });
-            });
+    function applyStructured(result, source) {
+        var parsed = parseStructured(source);
+        if (parsed.error) {
+            result.structuredError = parsed.error;
+            // Only a fenced block counts; the loose extractCode fallback would take the JSON itself
+            if (!hasCompleteCodeBlock(result.rawResponse)) {
+                result.code = '';
+                result.success = false;
+                result.error = 'Invalid structured response: ' + parsed.error;
+            }
+            return result;
         }
-        messages.push({ role: 'user', content: userMessage });
+        result.structured = parsed.value;
+        result.code = parsed.value.code;
+        result.rawResponse = parsed.value.summary + '\n\n```javascript\n' + parsed.value.code + '\n```';
+        return result;
+    }
 
-        var body = JSON.stringify({
-            model: model,
-            max_tokens: 4096,
-            system: systemPrompt,
-            messages: messages
-        });
+    /**
+     * Run a streaming request and accumulate the text deltas.
+     * Resolves only after the stream ends, so callers never see partial code.
+     *
+     * @param {Function} postStream - httpPostStream() or a provider transport's stream
+     * @param {string} url - Request URL
+     * @param {string} body - Request body (JSON string)
+     * @param {Object} headers - Request headers
+     * @param {Function} parseEvent - Maps a parsed SSE payload to { text, usage } or { error }
+     * @param {Function} onToken - Called with (delta, fullText) for each text delta
+     * @param {Object} [cancelToken] - Aborts the stream when cancelled
+     * @returns {Promise<Object>} { success, code, rawResponse, error }
+     */
+    function streamCompletion(postStream, url, body, headers, parseEvent, onToken, cancelToken) {
+        var text = '';
+        var streamError = null;
+        var streamUsage;
+        var truncated = false;
 
-        return httpPost(
-            PROVIDERS.anthropic.baseUrl,
-            body,
-            {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01'
+        return postStream(url, body, headers, cancelToken, function (data) {
+            if (data === '[DONE]') return;
+            var event;
+            try {
+                event = JSON.parse(data);
+            } catch (e) {
+                return; // Ignore keep-alives and malformed lines
             }
-        ).then(function (response) {
-            var data = JSON.parse(response);
-            if (data.error) {
-                return { success: false, error: data.error.message || JSON.stringify(data.error) };
+            var parsed = parseEvent(event) || {};
+            if (parsed.error) {
+                streamError = parsed.error;
+                return;
+            }
+            if (parsed.usage) {
+                streamUsage = mergeUsage(streamUsage, parsed.usage);
             }
-            var text = data.content && data.content[0] ? data.content[0].text : '';
-            return { success: true, code: extractCode(text), rawResponse: text };
+            if (parsed.truncated) {
+                truncated = true;
+            }
+            if (parsed.text) {
+                text += parsed.text;
+                onToken(parsed.text, text);
+            }
+        }).then(function () {
+            if (streamError) {
+                return { success: false, error: streamError, usage: streamUsage };
+            }
+            return { success: true, code: extractCode(text), rawResponse: text, usage: streamUsage, truncated: truncated };
         });
     }
 
     /**
-     * Send request to OpenAI API.
+     * Merge a usage report from a stream event; the latest value of each field wins.
      */
-    function sendOpenAI(userMessage, model, apiKey, history, systemPrompt) {
-        var messages = [{ role: 'system', content: systemPrompt }];
-        // Add conversation history
-        if (history && history.length > 0) {
-            history.forEach(function (turn) {
-                messages.push({ role: turn.role, content: turn.content });
-            });
+    function mergeUsage(current, update) {
+        current = current || usage(0, 0);
+        for (var field in update) {
+            if (update.hasOwnProperty(field) && update[field] !== undefined) {
+                current[field] = update[field];
+            }
         }
-        messages.push({ role: 'user', content: userMessage });
+        return current;
+    }
 
-        var body = JSON.stringify({
-            model: model,
-            max_tokens: 4096,
-            messages: messages
-        });
+    /**
+     * Create a server-sent events parser.
+     * Feed it raw chunks; it calls onData with each event's data payload.
+     *
+     * @param {Function} onData - Called with the data string of each event
+     * @returns {{ push: Function, flush: Function }}
+     */
+    function createSSEParser(onData) {
+        var buffer = '';
+        var dataLines = [];
 
-        return httpPost(
-            PROVIDERS.openai.baseUrl,
-            body,
-            {
-                'Content-Type': 'application/json',
-                'Authorization': 'Bearer ' + apiKey
+        function dispatch() {
+            if (dataLines.length > 0) {
+                onData(dataLines.join('\n'));
+                dataLines = [];
             }
-        ).then(function (response) {
-            var data = JSON.parse(response);
-            if (data.error) {
-                return { success: false, error: data.error.message || JSON.stringify(data.error) };
+        }
+
+        function handleLine(line) {
+            if (line === '') {
+                dispatch();
+            } else if (line.indexOf('data:') === 0) {
+                dataLines.push(line.substring(5).replace(/^ /, ''));
             }
-            var text = data.choices && data.choices[0] ? data.choices[0].message.content : '';
-            return { success: true, code: extractCode(text), rawResponse: text };
-        });
+            // event:, id:, retry: and comments are not needed
+        }
+
+        return {
+            push: function (chunk) {
+                buffer += chunk;
+                var lines = buffer.split(/\r?\n/);
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            },
+            flush: function () {
+                if (buffer) handleLine(buffer);
+                buffer = '';
+                dispatch();
+            }
+        };
+    }
+
+    /**
+     * Streaming HTTP POST. Calls onData for each server-sent event.
+     * Falls back to XMLHttpRequest progress events if Node.js is unavailable.
+     *
+     * @param {string} url - Request URL
+     * @param {string} body - Request body (JSON string)
+     * @param {Object} headers - Request headers
+     * @param {Object} [cancelToken] - Aborts the request when cancelled
+     * @param {Function} onData - Called with each SSE data payload
+     * @returns {Promise<void>} Resolves when the stream ends
+     */
+    function httpPostStream(url, body, headers, cancelToken, onData) {
+        try {
+            if (AEConjure.Net && AEConjure.Net.isAvailable()) {
+                return nodeHttpPostStream(url, body, headers, cancelToken, onData);
+            }
+        } catch (e) {
+            // Fall through to XHR
+        }
+
+        return xhrPostStream(url, body, headers, cancelToken, onData);
     }
 
     /**
-     * Send request to Google Gemini API.
+     * Node.js HTTP(S) streaming POST (CEP runtime).
      */
-    function sendGoogle(userMessage, model, apiKey, history, systemPrompt) {
-        var url = PROVIDERS.google.baseUrl + model + ':generateContent?key=' + apiKey;
+    function nodeHttpPostStream(url, body, headers, cancelToken, onData) {
+        return new Promise(function (resolve, reject) {
+            if (cancelToken && cancelToken.cancelled) {
+                reject(CANCELLED);
+                return;
+            }
+
+            headers['Content-Length'] = Buffer.byteLength(body);
+            headers['Accept'] = 'text/event-stream';
 
-        var contents = [];
-        // Add conversation history
-        if (history && history.length > 0) {
-            history.forEach(function (turn) {
-                contents.push({
-                    role: turn.role === 'assistant' ? 'model' : 'user',
-                    parts: [{ text: turn.content }]
+            var req = AEConjure.Net.request({ method: 'POST', url: url, headers: headers, body: body }, function (res) {
+                res.setEncoding('utf8');
+
+                // Error responses are plain JSON, not an event stream
+                if (res.statusCode >= 400) {
+                    var errorBody = '';
+                    res.on('data', function (chunk) { errorBody += chunk; });
+                    res.on('end', function () {
+                        release();
+                        reject(httpError(res.statusCode, errorBody, res.headers));
+                    });
+                    return;
+                }
+
+                var parser = createSSEParser(onData);
+                res.on('data', function (chunk) { parser.push(chunk); });
+                res.on('end', function () {
+                    release();
+                    parser.flush();
+                    resolve();
                 });
+            }, function (e) {
+                release();
+                reject(e.message);
             });
-        }
-        contents.push({ role: 'user', parts: [{ text: userMessage }] });
 
-        var body = JSON.stringify({
-            system_instruction: { parts: [{ text: systemPrompt }] },
-            contents: contents,
-            generationConfig: { maxOutputTokens: 4096 }
+            var release = bindCancel(cancelToken, function () {
+                req.abort();
+                reject(CANCELLED);
+            });
         });
+    }
 
-        return httpPost(
-            url,
-            body,
-            { 'Content-Type': 'application/json' }
-        ).then(function (response) {
-            var data = JSON.parse(response);
-            if (data.error) {
-                return { success: false, error: data.error.message || JSON.stringify(data.error) };
+    /**
+     * XMLHttpRequest streaming POST fallback.
+     */
+    function xhrPostStream(url, body, headers, cancelToken, onData) {
+        return new Promise(function (resolve, reject) {
+            if (cancelToken && cancelToken.cancelled) {
+                reject(CANCELLED);
+                return;
             }
-            var text = '';
-            if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-                text = data.candidates[0].content.parts[0].text;
+
+            var xhr = new XMLHttpRequest();
+            var parser = createSSEParser(onData);
+            var seen = 0;
+
+            xhr.open('POST', url, true);
+            for (var key in headers) {
+                if (headers.hasOwnProperty(key)) {
+                    xhr.setRequestHeader(key, headers[key]);
+                }
             }
-            return { success: true, code: extractCode(text), rawResponse: text };
+            xhr.setRequestHeader('Accept', 'text/event-stream');
+
+            xhr.onprogress = function () {
+                if (xhr.status >= 400) return;
+                parser.push(xhr.responseText.substring(seen));
+                seen = xhr.responseText.length;
+            };
+            xhr.onload = function () {
+                release();
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    parser.push(xhr.responseText.substring(seen));
+                    parser.flush();
+                    resolve();
+                } else {
+                    reject(httpError(xhr.status, xhr.responseText, xhrHeaders(xhr)));
+                }
+            };
+            xhr.onerror = function () {
+                release();
+                reject('Network error');
+            };
+
+            var release = bindCancel(cancelToken, function () {
+                xhr.abort();
+                reject(CANCELLED);
+            });
+
+            xhr.send(body);
         });
     }
 
+    // ---- Transport-level backoff ----
+
+    // Statuses worth retrying: timeout, rate limit, server errors, Anthropic "overloaded"
+    var RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504, 529];
+    var DEFAULT_HTTP_RETRIES = 4;
+    var BACKOFF_BASE_MS = 1000;
+    var BACKOFF_MAX_MS = 30000;
+    // A retry-after longer than this is treated as "not coming back soon"
+    var RETRY_AFTER_LIMIT_MS = 120000;
+
     /**
-     * Extract code from a markdown code block in the AI response.
+     * Build an error for an HTTP error response.
+     * Keeps status and retry-after so the backoff logic can inspect them.
      *
-     * @param {string} text - Raw AI response
-     * @returns {string} Extracted code, or empty string
+     * @param {number} status - HTTP status code
+     * @param {string} body - Response body
+     * @param {Object} headers - Response headers (lower-cased names)
+     * @returns {Error}
      */
-    function extractCode(text) {
-        // Match ```javascript ... ``` or ``` ... ```
-        var match = text.match(/```(?:javascript|jsx|extendscript)?\s*\n?([\s\S]*?)```/);
-        if (match && match[1]) {
-            return match[1].trim();
+    function httpError(status, body, headers) {
+        var err = new Error('HTTP ' + status + ': ' + body);
+        err.status = status;
+        err.body = body;
+        err.retryAfterMs = parseRetryAfter(headers || {});
+        return err;
+    }
+
+    /**
+     * Collect the headers the backoff logic needs from an XHR.
+     */
+    function xhrHeaders(xhr) {
+        return {
+            'retry-after': xhr.getResponseHeader('retry-after'),
+            'retry-after-ms': xhr.getResponseHeader('retry-after-ms')
+        };
+    }
+
+    /**
+     * Parse retry-after-ms / retry-after (seconds or HTTP date) into milliseconds.
+     * @returns {number|null}
+     */
+    function parseRetryAfter(headers) {
+        var ms = parseFloat(headers['retry-after-ms']);
+        if (!isNaN(ms) && ms >= 0) return ms;
+
+        var value = headers['retry-after'];
+        if (!value) return null;
+        var seconds = parseFloat(value);
+        if (!isNaN(seconds) && String(seconds) === String(value).trim()) {
+            return Math.max(0, seconds * 1000);
         }
-        // Fallback: if no code fence, check if the whole response looks like code
-        if (text.indexOf('app.project') !== -1 || text.indexOf('var ') !== -1) {
-            return text.trim();
+        var date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Check whether a transport error is transient (rate limit, overload, 5xx).
+     */
+    function isRetryableError(err) {
+        if (!err || typeof err !== 'object' || !err.status) return false;
+        if (RETRYABLE_STATUS.indexOf(err.status) !== -1) return true;
+        return /overloaded/i.test(err.body || '');
+    }
+
+    /**
+     * Compute the wait before a retry: honor retry-after, otherwise
+     * exponential backoff with full jitter.
+     */
+    function backoffDelay(err, retryIndex) {
+        if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+            return err.retryAfterMs;
         }
-        return '';
+        var ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, retryIndex));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Wait for a delay, rejecting early if the cancel token fires.
+     */
+    function wait(ms, cancelToken) {
+        return new Promise(function (resolve, reject) {
+            var timer = setTimeout(function () {
+                release();
+                resolve();
+            }, ms);
+            var release = bindCancel(cancelToken, function () {
+                clearTimeout(timer);
+                reject(CANCELLED);
+            });
+        });
+    }
+
+    /**
+     * Retry a transport call on 429/5xx/overloaded responses.
+     * This sits below the code-fix retry loop: waits here are not attempts.
+     *
+     * @param {Function} send - Returns a promise for one request
+     * @param {Object} options
+     * @param {Object} [options.cancelToken] - Stops waiting when cancelled
+     * @param {Function} [options.onBackoff] - Called before each wait:
+     *     ({ retry, maxRetries, delayMs, status })
+     * @param {number} [options.maxRetries] - Defaults to settings.httpRetries or 4
+     * @returns {Promise}
+     */
+    function withBackoff(send, options) {
+        var maxRetries = options.maxRetries;
+        if (maxRetries === undefined) {
+            var configured = AEConjure.Settings ? AEConjure.Settings.get('httpRetries') : undefined;
+            maxRetries = typeof configured === 'number' ? configured : DEFAULT_HTTP_RETRIES;
+        }
+
+        function attempt(retryIndex) {
+            return send().catch(function (err) {
+                if (retryIndex >= maxRetries || !isRetryableError(err)) {
+                    throw err;
+                }
+                var delay = backoffDelay(err, retryIndex);
+                if (delay > RETRY_AFTER_LIMIT_MS) {
+                    throw err;
+                }
+                if (options.onBackoff) {
+                    options.onBackoff({
+                        retry: retryIndex + 1,
+                        maxRetries: maxRetries,
+                        delayMs: delay,
+                        status: err.status
+                    });
+                }
+                return wait(delay, options.cancelToken).then(function () {
+                    return attempt(retryIndex + 1);
+                });
+            });
+        }
+
+        return attempt(0);
     }
 
     /**
@@ -266,79 +2106,115 @@ AEConjure.AIClient = (function () {
      * @param {string} url - Request URL
      * @param {string} body - Request body (JSON string)
      * @param {Object} headers - Request headers
+     * @param {Object} [cancelToken] - Aborts the request when cancelled
+     * @returns {Promise<string>} Response body
+     */
+    function httpPost(url, body, headers, cancelToken) {
+        return httpRequest('POST', url, body, headers, cancelToken);
+    }
+
+    /**
+     * HTTP GET using CEP's Node.js runtime (XHR fallback).
+     *
+     * @param {string} url - Request URL
+     * @param {Object} headers - Request headers
+     * @param {Object} [cancelToken] - Aborts the request when cancelled
      * @returns {Promise<string>} Response body
      */
-    function httpPost(url, body, headers) {
-        // Try Node.js https module first (available in CEP)
+    function httpGet(url, headers, cancelToken) {
+        return httpRequest('GET', url, null, headers, cancelToken);
+    }
+
+    /**
+     * Dispatch an HTTP request through Node.js, falling back to XHR.
+     */
+    function httpRequest(method, url, body, headers, cancelToken) {
+        // Try Node.js first (available in CEP); proxy and CA settings apply there
         try {
-            if (typeof require !== 'undefined') {
-                return nodeHttpPost(url, body, headers);
+            if (AEConjure.Net && AEConjure.Net.isAvailable()) {
+                return nodeHttpRequest(method, url, body, headers, cancelToken);
             }
         } catch (e) {
             // Fall through to XHR
         }
 
         // Fallback to XMLHttpRequest
-        return xhrPost(url, body, headers);
+        return xhrRequest(method, url, body, headers, cancelToken);
     }
 
     /**
-     * Node.js HTTPS POST (CEP runtime).
+     * Node.js HTTP(S) request (CEP runtime).
      */
-    function nodeHttpPost(url, body, headers) {
+    function nodeHttpRequest(method, url, body, headers, cancelToken) {
         return new Promise(function (resolve, reject) {
-            var https = require('https');
-            var urlModule = require('url');
-            var parsed = urlModule.parse(url);
-
-            var options = {
-                hostname: parsed.hostname,
-                port: parsed.port || 443,
-                path: parsed.path,
-                method: 'POST',
-                headers: headers
-            };
-            options.headers['Content-Length'] = Buffer.byteLength(body);
+            if (cancelToken && cancelToken.cancelled) {
+                reject(CANCELLED);
+                return;
+            }
+
+            if (body !== null) {
+                headers['Content-Length'] = Buffer.byteLength(body);
+            }
 
-            var req = https.request(options, function (res) {
+            var req = AEConjure.Net.request({ method: method, url: url, headers: headers, body: body }, function (res) {
                 var chunks = [];
                 res.on('data', function (chunk) { chunks.push(chunk); });
                 res.on('end', function () {
+                    release();
                     var responseBody = Buffer.concat(chunks).toString();
                     if (res.statusCode >= 400) {
-                        reject('HTTP ' + res.statusCode + ': ' + responseBody);
+                        reject(httpError(res.statusCode, responseBody, res.headers));
                     } else {
                         resolve(responseBody);
                     }
                 });
+            }, function (e) {
+                release();
+                reject(e.message);
             });
 
-            req.on('error', function (e) { reject(e.message); });
-            req.write(body);
-            req.end();
+            var release = bindCancel(cancelToken, function () {
+                req.abort();
+                reject(CANCELLED);
+            });
         });
     }
 
     /**
-     * XMLHttpRequest POST fallback.
+     * XMLHttpRequest fallback.
      */
-    function xhrPost(url, body, headers) {
+    function xhrRequest(method, url, body, headers, cancelToken) {
         return new Promise(function (resolve, reject) {
+            if (cancelToken && cancelToken.cancelled) {
+                reject(CANCELLED);
+                return;
+            }
+
             var xhr = new XMLHttpRequest();
-            xhr.open('POST', url, true);
+            xhr.open(method, url, true);
             for (var key in headers) {
                 if (headers.hasOwnProperty(key)) {
                     xhr.setRequestHeader(key, headers[key]);
                 }
             }
             xhr.onload = function () {
+                release();
                 if (xhr.status >= 200 && xhr.status < 300) {
                     resolve(xhr.responseText);
                 } else {
-                    reject('HTTP ' + xhr.status + ': ' + xhr.responseText);
+                    reject(httpError(xhr.status, xhr.responseText, xhrHeaders(xhr)));
                 }
             };
-            xhr.onerror = function () { reject('Network error'); };
+            xhr.onerror = function () {
+                release();
+                reject('Network error');
+            };
+
+            var release = bindCancel(cancelToken, function () {
+                xhr.abort();
+                reject(CANCELLED);
+            });
+
             xhr.send(body);
         });
     }
@@ -364,7 +2240,9 @@ AEConjure.AIClient = (function () {
      * @param {string} options.model - Model ID
      * @param {string} options.apiKey - API key
      * @param {string} [options.compContext] - Comp context for layer-aware refinement
-     * @returns {Promise<Object>} { success, refined, error }
+     * @param {Object} [options.cancelToken] - Token from createCancelToken() to abort the request
+     * @param {Function} [options.onBackoff] - Called while waiting out a 429/5xx
+     * @returns {Promise<Object>} { success, refined, usage, error }
      */
     function refinePrompt(options) {
         var userMessage = 'Refine this After Effects request:\n\n"' + options.prompt + '"';
@@ -375,21 +2253,17 @@ AEConjure.AIClient = (function () {
         var provider = options.provider;
         var model = options.model;
         var apiKey = options.apiKey;
+        var requestOptions = {
+            cancelToken: options.cancelToken,
+            onBackoff: options.onBackoff,
+            usageKind: 'refine'
+        };
 
-        var promise;
-        switch (provider) {
-            case 'anthropic':
-                promise = sendAnthropic(userMessage, model, apiKey, [], REFINE_PROMPT);
-                break;
-            case 'openai':
-                promise = sendOpenAI(userMessage, model, apiKey, [], REFINE_PROMPT);
-                break;
-            case 'google':
-                promise = sendGoogle(userMessage, model, apiKey, [], REFINE_PROMPT);
-                break;
-            default:
-                return Promise.reject({ success: false, error: 'Unknown provider' });
-        }
+        var promise = dispatch(provider, {
+            model: model,
+            system: resolvePrompt('refine', provider, model),
+            messages: [{ role: 'user', content: userMessage }]
+        }, apiKey, requestOptions);
 
         return promise.then(function (result) {
             if (result.success) {
@@ -399,11 +2273,11 @@ AEConjure.AIClient = (function () {
                 refined = refined.replace(/```[\s\S]*?```/g, '').trim();
                 // Strip surrounding quotes if the AI wrapped it
                 refined = refined.replace(/^["']|["']$/g, '').trim();
-                return { success: true, refined: refined };
+                return { success: true, refined: refined, usage: result.usage };
             }
             return { success: false, error: result.error };
         }).catch(function (err) {
-            return { success: false, error: typeof err === 'string' ? err : (err.message || 'Refine failed') };
+            return { success: false, error: typeof err === 'string' ? err : (err.message || err.error || 'Refine failed') };
         });
     }
 
@@ -415,7 +2289,10 @@ AEConjure.AIClient = (function () {
      * @param {string} options.provider - Provider key
      * @param {string} options.model - Model ID
      * @param {string} options.apiKey - API key
-     * @returns {Promise<Object>} { success, rawResponse, error }
+     * @param {Function} [options.onToken] - Stream tokens as they arrive: (delta, fullText)
+     * @param {Object} [options.cancelToken] - Token from createCancelToken() to abort the request
+     * @param {Function} [options.onBackoff] - Called while waiting out a 429/5xx
+     * @returns {Promise<Object>} { success, rawResponse, usage, error }
      */
     function explainCode(options) {
         var userMessage = 'Explain this ExtendScript:\n\n```javascript\n' + options.code + '\n```';
@@ -423,39 +2300,99 @@ AEConjure.AIClient = (function () {
         var provider = options.provider;
         var model = options.model;
         var apiKey = options.apiKey;
+        var requestOptions = {
+            onToken: options.onToken,
+            cancelToken: options.cancelToken,
+            onBackoff: options.onBackoff,
+            usageKind: 'explain'
+        };
 
-        var promise;
-        switch (provider) {
-            case 'anthropic':
-                promise = sendAnthropic(userMessage, model, apiKey, [], EXPLAIN_PROMPT);
-                break;
-            case 'openai':
-                promise = sendOpenAI(userMessage, model, apiKey, [], EXPLAIN_PROMPT);
-                break;
-            case 'google':
-                promise = sendGoogle(userMessage, model, apiKey, [], EXPLAIN_PROMPT);
-                break;
-            default:
-                return Promise.reject({ success: false, error: 'Unknown provider' });
-        }
+        var promise = dispatch(provider, {
+            model: model,
+            system: resolvePrompt('explain', provider, model),
+            messages: [{ role: 'user', content: userMessage }]
+        }, apiKey, requestOptions);
 
         return promise.then(function (result) {
             if (result.success) {
-                return { success: true, rawResponse: result.rawResponse };
+                return { success: true, rawResponse: result.rawResponse, usage: result.usage };
             }
             return { success: false, error: result.error };
         }).catch(function (err) {
-            return { success: false, error: typeof err === 'string' ? err : (err.message || 'Explain failed') };
+            return { success: false, error: typeof err === 'string' ? err : (err.message || err.error || 'Explain failed') };
         });
     }
 
+    /**
+     * The prompt to use for a provider/model: its prompt profile if one
+     * overrides it, otherwise the shipped default.
+     *
+     * @param {string} kind - 'system', 'explain' or 'refine'
+     * @param {string} provider
+     * @param {string} model
+     * @returns {string}
+     */
+    function resolvePrompt(kind, provider, model) {
+        if (AEConjure.PromptProfiles) {
+            var custom = AEConjure.PromptProfiles.resolve(kind, provider, canonicalModel(provider, model));
+            if (custom) return custom;
+        }
+        return PROMPTS[kind];
+    }
+
+    // Shipped defaults by prompt kind
+    var PROMPTS = {
+        system: SYSTEM_PROMPT,
+        explain: EXPLAIN_PROMPT,
+        refine: REFINE_PROMPT
+    };
+
     // Public API
     return {
         PROVIDERS: PROVIDERS,
         SYSTEM_PROMPT: SYSTEM_PROMPT,
+        PROMPTS: PROMPTS,
+        PROMPTS_VERSION: PROMPTS_VERSION,
+        resolvePrompt: resolvePrompt,
+        RESPONSE_SCHEMA: RESPONSE_SCHEMA,
+        registerProvider: registerProvider,
+        unregisterProvider: unregisterProvider,
+        loadProviderPlugins: loadProviderPlugins,
+        formats: {
+            chatCompletions: {
+                buildBody: buildChatCompletionsBody,
+                parseResponse: parseChatCompletionsResponse,
+                parseStreamEvent: parseChatCompletionsStreamEvent,
+                formatToolResults: formatChatCompletionsToolResults
+            },
+            anthropic: {
+                buildRequest: buildAnthropicRequest,
+                parseResponse: parseAnthropicResponse,
+                parseStreamEvent: parseAnthropicStreamEvent,
+                formatToolResults: formatAnthropicToolResults
+            },
+            gemini: {
+                buildRequest: buildGeminiRequest,
+                parseResponse: parseGeminiResponse,
+                formatToolResults: formatGeminiToolResults
+            }
+        },
         sendPrompt: sendPrompt,
+        getGenerationParams: getGenerationParams,
+        DEFAULT_MAX_TOKENS: DEFAULT_MAX_TOKENS,
+        REASONING_LEVELS: REASONING_LEVELS,
         refinePrompt: refinePrompt,
         explainCode: explainCode,
-        extractCode: extractCode
+        createCancelToken: createCancelToken,
+        getModels: getModels,
+        refreshModels: refreshModels,
+        canonicalModel: canonicalModel,
+        discoverCustomModels: discoverCustomModels,
+        CANCELLED: CANCELLED,
+        contentText: contentText,
+        hasImages: hasImages,
+        parseStructured: parseStructured,
+        extractCode: extractCode,
+        hasCompleteCodeBlock: hasCompleteCodeBlock
     };
 })();
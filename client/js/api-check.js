@@ -0,0 +1,497 @@
+/**
+ * AE Conjure — API Check
+ * Pre-flight static check of generated scripts against the API atoms in the
+ * knowledge base. Follows member chains from app, new X() and variables
+ * assigned from them (app.project.activeItem.layer(1)...) and reports
+ * members that belong to a different class (layer.setValue) and calls with
+ * the wrong number of arguments as errors, and members the reference does
+ * not know as warnings, so the model can fix them before anything runs.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.APICheck = (function () {
+    'use strict';
+
+    var T = AEConjure.Tokenizer;
+
+    // Class hierarchy of the AE object model (the atoms list classes flat)
+    var SUPERCLASSES = {
+        AVLayer: 'Layer',
+        TextLayer: 'AVLayer',
+        ShapeLayer: 'AVLayer',
+        CameraLayer: 'Layer',
+        LightLayer: 'Layer',
+        Layer: 'PropertyGroup',
+        MaskPropertyGroup: 'PropertyGroup',
+        PropertyGroup: 'PropertyBase',
+        Property: 'PropertyBase',
+        CompItem: 'AVItem',
+        FootageItem: 'AVItem',
+        AVItem: 'Item',
+        FolderItem: 'Item'
+    };
+
+    // Common members missing from the atoms, so they are not reported as
+    // unknown or as another class's (layer.time, effect.enabled, item.name).
+    // They do not make a class count as fully described.
+    var EXTRA_MEMBERS = {
+        Layer: ['time', 'hasVideo', 'nullLayer', 'id', 'marker', 'isNameSet', 'applyPreset(presetFile)'],
+        AVLayer: ['hasAudio'],
+        PropertyBase: ['enabled', 'elided', 'propertyIndex', 'propertyDepth', 'propertyGroup([countUp])'],
+        Project: ['displayStartFrame'],
+        LayerCollection: ['length'],
+        ItemCollection: ['length', 'addComp(name, width, height, pixelAspect, duration, frameRate)', 'addFolder(name)'],
+        Item: ['name', 'comment', 'id', 'label', 'parentFolder', 'selected', 'typeName', 'remove()'],
+        AVItem: ['width', 'height', 'duration', 'frameRate', 'frameDuration', 'pixelAspect', 'hasVideo', 'hasAudio',
+            'footageMissing', 'useProxy', 'time', 'usedIn'],
+        CompItem: ['frameBlending', 'hideShyLayers', 'draft3d', 'markerProperty'],
+        FootageItem: ['file', 'mainSource', 'replace(file)', 'openInViewer()'],
+        FolderItem: ['items', 'numItems', 'item(index)']
+    };
+
+    // Element class when a collection or array is indexed: comp.layers[1]
+    var INDEXED = { LayerCollection: 'Layer', ItemCollection: 'Item' };
+
+    var ROOTS = { app: 'Application' };
+
+    var MAX_FINDINGS = 10;
+
+    var _model = null;
+    var _modelAtoms = null;
+
+    /**
+     * Member tables built from the atoms, rebuilt when the corpus changes.
+     * classes: { className: { member: { name, className, isMethod, params, minArgs, returnType } } }
+     * owners: { member: [className] }
+     * described: { className: true } for classes the atoms cover
+     */
+    function getModel() {
+        var atoms = AEConjure.Knowledge ? AEConjure.Knowledge.getAtoms() : [];
+        if (_model && _modelAtoms === atoms) return _model;
+
+        var model = { classes: {}, owners: {}, described: {} };
+        atoms.forEach(function (atom) {
+            model.described[atom.className] = true;
+            addMember(model, atom.className, atom.member, atom.signature, atom.returnType, atom.notes);
+        });
+        if (atoms.length === 0) return model;
+        Object.keys(EXTRA_MEMBERS).forEach(function (className) {
+            EXTRA_MEMBERS[className].forEach(function (entry) {
+                var match = /^(\w+)(\(.*\))?$/.exec(entry);
+                addMember(model, className, match[1], match[2] || '', '', '');
+            });
+        });
+
+        _model = model;
+        _modelAtoms = atoms;
+        return model;
+    }
+
+    /**
+     * Register one member. Parameters named as optional in the atom's notes
+     * ("duration: Float (optional)"), or in [brackets], and every parameter
+     * after them, may be left out.
+     */
+    function addMember(model, className, name, signature, returnType, notes) {
+        var members = model.classes[className] = model.classes[className] || {};
+        if (members.hasOwnProperty(name)) return;
+
+        var params = [];
+        var minArgs = 0;
+        var isMethod = /^\(/.test(signature || '');
+        if (isMethod) {
+            params = signature.replace(/^\(|\)$/g, '').split(',').map(function (param) {
+                return param.trim();
+            }).filter(Boolean);
+            minArgs = params.length;
+            for (var i = 0; i < params.length; i++) {
+                var bare = params[i].replace(/^\[|\]$/g, '');
+                var optional = bare !== params[i] ||
+                    new RegExp('\\b' + bare + '\\b[^.]*\\(optional').test(notes || '');
+                if (optional) {
+                    minArgs = i;
+                    break;
+                }
+            }
+        }
+
+        members[name] = {
+            name: name,
+            className: className,
+            isMethod: isMethod,
+            params: params,
+            minArgs: minArgs,
+            returnType: returnType || ''
+        };
+        model.owners[name] = model.owners[name] || [];
+        model.owners[name].push(className);
+    }
+
+    // ---- Classes ----
+
+    function ancestors(className) {
+        var chain = [];
+        for (var c = SUPERCLASSES[className]; c; c = SUPERCLASSES[c]) chain.push(c);
+        return chain;
+    }
+
+    function descendants(className) {
+        var found = [];
+        var queue = [className];
+        while (queue.length) {
+            var current = queue.shift();
+            Object.keys(SUPERCLASSES).forEach(function (child) {
+                if (SUPERCLASSES[child] === current) {
+                    found.push(child);
+                    queue.push(child);
+                }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Classes a value of this static type may really be: itself, what it
+     * inherits from and what derives from it (activeItem is an Item but
+     * usually a CompItem; property() returns a PropertyBase).
+     */
+    function family(className) {
+        return [className].concat(ancestors(className), descendants(className));
+    }
+
+    function isKnownClass(model, className) {
+        return !!(model.classes[className] || SUPERCLASSES[className] || descendants(className).length);
+    }
+
+    /**
+     * Whether the atoms describe the class and everything it inherits, so a
+     * member missing from all of them is really missing.
+     */
+    function isCovered(model, className) {
+        return [className].concat(ancestors(className)).every(function (c) {
+            return !!model.described[c];
+        });
+    }
+
+    // Properties and layers expose their children by name (layer.transform.position)
+    function hasNamedChildren(className) {
+        return family(className).indexOf('PropertyGroup') !== -1;
+    }
+
+    /**
+     * Type of an atom's returnType: a class name, 'Array:Class', or null.
+     */
+    function parseType(model, text) {
+        var array = /^Array of (\w+)$/.exec(text || '');
+        if (array) return isKnownClass(model, array[1]) ? 'Array:' + array[1] : null;
+        return /^\w+$/.test(text || '') && isKnownClass(model, text) ? text : null;
+    }
+
+    function lookup(model, className, name) {
+        var classes = family(className);
+        for (var i = 0; i < classes.length; i++) {
+            var members = model.classes[classes[i]];
+            if (members && members.hasOwnProperty(name)) return members[name];
+        }
+        return null;
+    }
+
+    // ---- Token helpers ----
+
+    function isPunct(token, value) {
+        return !!token && token.type === 'punct' && token.value === value;
+    }
+
+    function at(tokens, index) {
+        return index >= 0 ? tokens[index] : null;
+    }
+
+    function countArguments(tokens, open, close) {
+        var count = 0;
+        var depth = 0;
+        for (var i = open + 1; i < close; i++) {
+            var token = tokens[i];
+            if (!T.isSignificant(token)) continue;
+            if (count === 0) count = 1;
+            var delta = T.depthDelta(token);
+            if (depth === 0 && isPunct(token, ',')) count++;
+            depth += delta;
+        }
+        return count;
+    }
+
+    function receiverText(tokens, from, to) {
+        var text = T.print(tokens.slice(from, to + 1)).replace(/\s+/g, ' ').trim();
+        return text.length > 40 ? '...' + text.slice(-37) : text;
+    }
+
+    function article(word) {
+        return (/^[AEIOU]/.test(word) ? 'an ' : 'a ') + word;
+    }
+
+    function plural(n, word) {
+        return n + ' ' + word + (n === 1 ? '' : 's');
+    }
+
+    // ---- Chains ----
+
+    /**
+     * Follow a member chain starting at index (a name or 'new') and work
+     * out its type. With report set, problems are passed to it.
+     *
+     * @returns {{ type: string|null, end: number }} Type of the whole chain and its last token
+     */
+    function evalChain(model, tokens, index, variables, report) {
+        var token = tokens[index];
+        var type = null;
+        var end = index;
+
+        if (token.value === 'new') {
+            var className = at(tokens, T.nextSignificant(tokens, index + 1));
+            if (!className || className.type !== 'name') return { type: null, end: index };
+            end = T.nextSignificant(tokens, index + 1);
+            type = isKnownClass(model, className.value) ? className.value : null;
+            var args = T.nextSignificant(tokens, end + 1);
+            if (isPunct(at(tokens, args), '(')) end = T.findMatching(tokens, args);
+        } else {
+            type = ROOTS[token.value] || variables[token.value] || null;
+        }
+
+        while (type) {
+            var next = T.nextSignificant(tokens, end + 1);
+            var nextToken = at(tokens, next);
+            if (!nextToken) break;
+
+            if (isPunct(nextToken, '.')) {
+                var nameIndex = T.nextSignificant(tokens, next + 1);
+                var nameToken = at(tokens, nameIndex);
+                if (!nameToken || nameToken.type !== 'name') break;
+                var open = T.nextSignificant(tokens, nameIndex + 1);
+                var isCall = isPunct(at(tokens, open), '(');
+                var close = isCall ? T.findMatching(tokens, open) : -1;
+                if (isCall && close === -1) break;
+
+                type = checkMember(model, type, nameToken, {
+                    isCall: isCall,
+                    argCount: isCall ? countArguments(tokens, open, close) : 0,
+                    receiver: receiverText(tokens, index, end)
+                }, report);
+                end = isCall ? close : nameIndex;
+            } else if (isPunct(nextToken, '[')) {
+                var closeBracket = T.findMatching(tokens, next);
+                if (closeBracket === -1) break;
+                type = type.indexOf('Array:') === 0 ? type.substring(6) : (INDEXED[type] || null);
+                end = closeBracket;
+            } else if (isPunct(nextToken, '(')) {
+                // layer('Transform'), group(1): shorthand for property()
+                var closeCall = T.findMatching(tokens, next);
+                if (closeCall === -1) break;
+                type = hasNamedChildren(type) ? 'PropertyBase' : null;
+                end = closeCall;
+            } else {
+                break;
+            }
+        }
+
+        return { type: type, end: end };
+    }
+
+    /**
+     * Check one member access and return the type it produces.
+     */
+    function checkMember(model, type, nameToken, access, report) {
+        var name = nameToken.value;
+        var shown = access.receiver + '.' + name + (access.isCall ? '()' : '');
+        var line = nameToken.line;
+
+        if (type.indexOf('Array:') === 0) return null;
+
+        var member = lookup(model, type, name);
+        if (!member) {
+            var owners = (model.owners[name] || []).filter(function (owner) {
+                return family(type).indexOf(owner) === -1;
+            });
+            if (owners.length === 0 && hasNamedChildren(type)) return 'PropertyBase';
+            if (report) {
+                if (owners.length > 0) {
+                    report(isCovered(model, type) ? 'error' : 'warning', line, shown + ': ' + name + ' is ' +
+                        article(owners.join('/')) + ' member, not ' + article(type) + ' member.');
+                } else {
+                    report('warning', line, shown + ': ' + type + ' has no member \'' + name + '\' in the API reference.');
+                }
+            }
+            return null;
+        }
+
+        if (access.isCall && !member.isMethod) {
+            if (report) {
+                report('error', line, shown + ': ' + name + ' is an attribute of ' + member.className + ', not a method.');
+            }
+            return null;
+        }
+        // The reference does not mark every optional trailing parameter
+        // (precompose's moveAllAttributes, setTemporalEaseAtKey's outEase),
+        // so too few arguments is only a warning
+        if (access.isCall && report && (access.argCount > member.params.length || access.argCount < member.minArgs)) {
+            report(access.argCount > member.params.length ? 'error' : 'warning', line, shown + ': ' +
+                member.className + '.' + name + '(' + member.params.join(', ') +
+                ') is called with ' + plural(access.argCount, 'argument') + '.');
+        }
+        if (member.isMethod && !access.isCall) return null;
+        return parseType(model, member.returnType);
+    }
+
+    // ---- Variables ----
+
+    // Name of a plain variable (not a property or keyword) at index
+    function isVariable(tokens, index) {
+        var token = tokens[index];
+        if (token.type !== 'name') return false;
+        var before = at(tokens, T.previousSignificant(tokens, index - 1));
+        return !isPunct(before, '.');
+    }
+
+    /**
+     * Whether an initializer ends right after a chain.
+     */
+    function endsAfter(tokens, end) {
+        var next = T.nextSignificant(tokens, end + 1);
+        if (next === -1) return true;
+        var token = tokens[next];
+        if (token.type === 'punct' && [';', ',', ')', '}', ']'].indexOf(token.value) !== -1) return true;
+        for (var i = end + 1; i < next; i++) {
+            if (tokens[i].type === 'newline') return token.type === 'name';
+        }
+        return false;
+    }
+
+    /**
+     * Static types of variables, from 'x = chain' assignments. A variable
+     * assigned values of unrelated or unknown types gets no type; params
+     * and catch variables are never typed, so a name reused across
+     * functions stays unchecked. Repeated so 'var l = comp.layer(1)' sees
+     * the type of comp.
+     */
+    function inferVariables(model, tokens) {
+        var variables = {};
+        for (var pass = 0; pass < 3; pass++) {
+            var assigned = {};
+            var untyped = {};
+            for (var i = 0; i < tokens.length; i++) {
+                var token = tokens[i];
+                if (token.type === 'name' && (token.value === 'function' || token.value === 'catch')) {
+                    markParams(tokens, i, untyped);
+                    continue;
+                }
+                if (!isVariable(tokens, i) || ROOTS[token.value]) continue;
+                var eq = T.nextSignificant(tokens, i + 1);
+                if (!isPunct(at(tokens, eq), '=')) continue;
+
+                var start = T.nextSignificant(tokens, eq + 1);
+                var value = at(tokens, start);
+                if (!value) continue;
+                if (value.type === 'name' && (value.value === 'null' || value.value === 'undefined') && endsAfter(tokens, start)) {
+                    continue;
+                }
+                var chain = value.type === 'name' ? evalChain(model, tokens, start, variables, null) : { type: null, end: start };
+                if (chain.type && endsAfter(tokens, chain.end)) {
+                    assigned[token.value] = (assigned[token.value] || []).concat(chain.type);
+                } else {
+                    untyped[token.value] = true;
+                }
+            }
+
+            variables = {};
+            Object.keys(assigned).forEach(function (name) {
+                if (untyped[name]) return;
+                var type = commonType(assigned[name]);
+                if (type) variables[name] = type;
+            });
+        }
+        return variables;
+    }
+
+    function markParams(tokens, index, untyped) {
+        var open = T.nextSignificant(tokens, index + 1);
+        if (at(tokens, open) && tokens[open].type === 'name') open = T.nextSignificant(tokens, open + 1);
+        if (!isPunct(at(tokens, open), '(')) return;
+        var close = T.findMatching(tokens, open);
+        for (var i = open + 1; i < close; i++) {
+            if (tokens[i].type === 'name') untyped[tokens[i].value] = true;
+        }
+    }
+
+    // The one type that all assignments share or inherit from, or null
+    function commonType(types) {
+        for (var i = 0; i < types.length; i++) {
+            var candidate = types[i];
+            var fits = types.every(function (type) {
+                return type === candidate || ancestors(type).indexOf(candidate) !== -1;
+            });
+            if (fits) return candidate;
+        }
+        return null;
+    }
+
+    // ---- Public ----
+
+    /**
+     * Check a script against the API reference.
+     * Returns no findings when the knowledge base is not loaded or the code
+     * does not tokenize.
+     *
+     * @param {string} code
+     * @returns {{ errors: Object[], warnings: Object[] }} Findings are { line, message }
+     */
+    function check(code) {
+        var result = { errors: [], warnings: [] };
+        var model = getModel();
+        if (Object.keys(model.described).length === 0) return result;
+
+        var tokens;
+        try {
+            tokens = T.tokenize(code);
+        } catch (e) {
+            return result;
+        }
+
+        var seen = {};
+        function report(severity, line, message) {
+            var text = 'Line ' + line + ': ' + message;
+            if (seen[text]) return;
+            seen[text] = true;
+            var list = severity === 'error' ? result.errors : result.warnings;
+            if (list.length < MAX_FINDINGS) list.push({ line: line, message: text });
+        }
+
+        var variables = inferVariables(model, tokens);
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (token.type !== 'name' || !isVariable(tokens, i)) continue;
+            if (token.value !== 'new' && !ROOTS[token.value] && !variables[token.value]) continue;
+            evalChain(model, tokens, i, variables, report);
+        }
+        return result;
+    }
+
+    /**
+     * Findings as a list for the retry prompt.
+     *
+     * @param {{ errors: Object[], warnings: Object[] }} findings - From check()
+     * @returns {string} Empty when there are none
+     */
+    function describe(findings) {
+        var lines = [];
+        findings.errors.forEach(function (finding) { lines.push('- ' + finding.message); });
+        findings.warnings.forEach(function (finding) { lines.push('- (unverified) ' + finding.message); });
+        return lines.join('\n');
+    }
+
+    return {
+        check: check,
+        describe: describe
+    };
+})();
@@ -0,0 +1,178 @@
+/**
+ * AE Conjure — Audit Log
+ * Optional JSONL log of every AI call (full request payload, raw response,
+ * extracted code, timings) and every script execution, written to
+ * ~/ae-conjure/logs/audit-YYYY-MM-DD.jsonl. API keys are redacted before
+ * anything is written.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.AuditLog = (function () {
+    'use strict';
+
+    var fs, path, os;
+    try {
+        fs = require('fs');
+        path = require('path');
+        os = require('os');
+    } catch (e) {
+        // Node.js modules not available — nothing is logged
+    }
+
+    var LOG_DIR = os ? path.join(os.homedir(), 'ae-conjure', 'logs') : '';
+
+    var REDACTED = '[REDACTED]';
+
+    // Header names that carry credentials
+    var SECRET_HEADER = /(authorization|api-?key|token|secret|cookie)/i;
+
+    // Query parameters that carry credentials (Gemini sends ?key=)
+    var SECRET_PARAM = /([?&](?:key|api_key|apikey|access_token|token)=)[^&#]*/gi;
+
+    // Longer base64 strings (images) are replaced by their size
+    var MAX_BASE64_LENGTH = 1000;
+
+    /**
+     * Whether logging is switched on in settings.
+     * @returns {boolean}
+     */
+    function isEnabled() {
+        return !!(fs && AEConjure.Settings && AEConjure.Settings.get('auditLog'));
+    }
+
+    /**
+     * Append an entry to today's log. Does nothing when logging is off.
+     *
+     * @param {Object} entry - { type: 'call' | 'execution' | 'dry-run' | 'preview', ... }
+     */
+    function record(entry) {
+        if (!isEnabled()) return;
+        var line = { time: new Date().toISOString() };
+        for (var key in entry) {
+            if (entry.hasOwnProperty(key)) line[key] = entry[key];
+        }
+
+        try {
+            if (!fs.existsSync(LOG_DIR)) {
+                fs.mkdirSync(LOG_DIR, { recursive: true });
+            }
+            fs.appendFileSync(logFile(new Date()), JSON.stringify(redact(line)) + '\n');
+        } catch (e) {
+            console.warn('AE Conjure AuditLog: Failed to write log:', e.message);
+        }
+    }
+
+    /**
+     * Log file for a day (local time).
+     */
+    function logFile(date) {
+        var day = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+        return path.join(LOG_DIR, 'audit-' + day + '.jsonl');
+    }
+
+    function pad(n) {
+        return n < 10 ? '0' + n : String(n);
+    }
+
+    // ---- Redaction ----
+
+    /**
+     * The saved API keys, longest first so overlapping keys redact fully.
+     */
+    function savedKeys() {
+        var keys = [];
+        var apiKeys = (AEConjure.Settings && AEConjure.Settings.get('apiKeys')) || {};
+        for (var provider in apiKeys) {
+            if (apiKeys.hasOwnProperty(provider) && apiKeys[provider] && apiKeys[provider].length >= 8) {
+                keys.push(apiKeys[provider]);
+            }
+        }
+        return keys.sort(function (a, b) { return b.length - a.length; });
+    }
+
+    /**
+     * Deep-copy a value with credentials and image data removed:
+     * secret headers, key query parameters, and any saved API key wherever
+     * it appears.
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    function redact(value) {
+        return redactValue(value, savedKeys(), false);
+    }
+
+    function redactValue(value, keys, inHeaders) {
+        if (typeof value === 'string') return redactString(value, keys);
+        if (!value || typeof value !== 'object') return value;
+        if (value instanceof Array) {
+            return value.map(function (item) { return redactValue(item, keys, false); });
+        }
+        var copy = {};
+        for (var key in value) {
+            if (!value.hasOwnProperty(key)) continue;
+            copy[key] = (inHeaders && SECRET_HEADER.test(key))
+                ? REDACTED
+                : redactValue(value[key], keys, key === 'headers');
+        }
+        return copy;
+    }
+
+    function redactString(text, keys) {
+        if (text.length > MAX_BASE64_LENGTH) {
+            var match = /^(data:[\w\/+.-]+;base64,)?[A-Za-z0-9+\/=\s]+$/.exec(text);
+            if (match) return '[base64, ' + text.length + ' chars]';
+        }
+        text = text.replace(SECRET_PARAM, '$1' + REDACTED);
+        keys.forEach(function (key) {
+            if (text.indexOf(key) !== -1) text = text.split(key).join(REDACTED);
+        });
+        return text;
+    }
+
+    // ---- Reading ----
+
+    /**
+     * Read the most recent entries, newest last.
+     *
+     * @param {number} count
+     * @returns {Object[]}
+     */
+    function readLast(count) {
+        if (!fs || !fs.existsSync(LOG_DIR)) return [];
+        var files = fs.readdirSync(LOG_DIR).filter(function (file) {
+            return /^audit-\d{4}-\d{2}-\d{2}\.jsonl$/.test(file);
+        }).sort().reverse();
+
+        var entries = [];
+        for (var i = 0; i < files.length && entries.length < count; i++) {
+            var lines;
+            try {
+                lines = fs.readFileSync(path.join(LOG_DIR, files[i]), 'utf8').split('\n');
+            } catch (e) {
+                console.warn('AE Conjure AuditLog: Failed to read ' + files[i] + ':', e.message);
+                continue;
+            }
+            for (var j = lines.length - 1; j >= 0 && entries.length < count; j--) {
+                if (!lines[j]) continue;
+                try {
+                    entries.unshift(JSON.parse(lines[j]));
+                } catch (e) {
+                    // Skip a line cut short by a crash
+                }
+            }
+        }
+        return entries;
+    }
+
+    return {
+        isEnabled: isEnabled,
+        record: record,
+        redact: redact,
+        readLast: readLast,
+        LOG_DIR: LOG_DIR
+    };
+})();
@@ -0,0 +1,345 @@
+/**
+ * AE Conjure — Change Report
+ * Compares project snapshots taken before and after a previewed script
+ * (host previewScript) and describes what the script would change: items
+ * created or removed, layers added or removed, and properties modified.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.ChangeReport = (function () {
+    'use strict';
+
+    // Item and layer settings compared besides the layer properties
+    var ITEM_FIELDS = { name: 'name', width: 'width', height: 'height', duration: 'duration', frameRate: 'frame rate', folder: 'folder' };
+    var LAYER_FIELDS = { enabled: 'enabled', inPoint: 'in point', outPoint: 'out point', parent: 'parent' };
+
+    var MAX_VALUE_LENGTH = 60;
+
+    // Value of a property the snapshot only knows to be at its default
+    var DEFAULT = { isDefault: true };
+
+    /**
+     * Compare two snapshots from captureChangeSnapshot().
+     *
+     * @param {Object} before - { activeComp, items }
+     * @param {Object} after - { activeComp, items }
+     * @returns {Object} { truncated, itemsCreated, itemsRemoved, itemsModified, layersAdded, layersRemoved,
+     *     propertiesModified }; items are { name, type }, layers { comp, name, type }, item
+     *     modifications { item, property, before, after, change } and property modifications
+     *     { comp, layer, property, before, after, change }, where change is 'value', 'keyframes',
+     *     'expression', 'added' or 'removed'. truncated is set when a snapshot hit its property
+     *     limit, so layers past it were only compared by name, type and timing
+     */
+    function diff(before, after) {
+        var report = {
+            truncated: !!(before.truncated || after.truncated),
+            itemsCreated: [],
+            itemsRemoved: [],
+            itemsModified: [],
+            layersAdded: [],
+            layersRemoved: [],
+            propertiesModified: []
+        };
+
+        var beforeItems = indexBy(before.items || [], function (item) { return String(item.id); });
+        var afterItems = indexBy(after.items || [], function (item) { return String(item.id); });
+
+        (after.items || []).forEach(function (item) {
+            var old = beforeItems[String(item.id)];
+            if (!old) {
+                report.itemsCreated.push({ name: item.name, type: item.type });
+                return;
+            }
+            compareFields(old, item, ITEM_FIELDS).forEach(function (change) {
+                change.item = old.name;
+                report.itemsModified.push(change);
+            });
+            if (old.layers && item.layers) {
+                compareLayers(old, item, report);
+            }
+        });
+
+        (before.items || []).forEach(function (item) {
+            if (!afterItems[String(item.id)]) {
+                report.itemsRemoved.push({ name: item.name, type: item.type });
+            }
+        });
+
+        return report;
+    }
+
+    /**
+     * Add the layer changes of one comp to the report.
+     */
+    function compareLayers(oldComp, newComp, report) {
+        var oldKeys = layerKeys(oldComp.layers);
+        var newKeys = layerKeys(newComp.layers);
+        var oldByKey = {};
+        oldComp.layers.forEach(function (layer, i) { oldByKey[oldKeys[i]] = layer; });
+        var matched = {};
+
+        newComp.layers.forEach(function (layer, i) {
+            var old = oldByKey[newKeys[i]];
+            if (!old) {
+                report.layersAdded.push({ comp: newComp.name, name: layer.name, type: layer.type });
+                return;
+            }
+            matched[newKeys[i]] = true;
+
+            var changes = compareFields(old, layer, LAYER_FIELDS);
+            if (old.properties && layer.properties) {
+                changes = changes.concat(compareProperties(old.properties, layer.properties));
+            }
+            changes.forEach(function (change) {
+                change.comp = newComp.name;
+                change.layer = old.name;
+                report.propertiesModified.push(change);
+            });
+        });
+
+        oldComp.layers.forEach(function (layer, i) {
+            if (!matched[oldKeys[i]]) {
+                report.layersRemoved.push({ comp: oldComp.name, name: layer.name, type: layer.type });
+            }
+        });
+    }
+
+    /**
+     * Identity of each layer: its id where After Effects provides one,
+     * otherwise its name and how many layers above it share that name.
+     */
+    function layerKeys(layers) {
+        var seen = {};
+        return layers.map(function (layer) {
+            if (typeof layer.id === 'number') return 'id:' + layer.id;
+            seen[layer.name] = (seen[layer.name] || 0) + 1;
+            return 'name:' + layer.name + '#' + seen[layer.name];
+        });
+    }
+
+    /**
+     * Changed fields, e.g. a comp's duration or a layer's in point.
+     */
+    function compareFields(old, current, fields) {
+        var changes = [];
+        Object.keys(fields).forEach(function (field) {
+            if (!same(old[field], current[field])) {
+                changes.push({ property: fields[field], before: old[field], after: current[field], change: 'value' });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Changed layer properties. Properties that only exist on one side
+     * (an effect or shape group was added or removed) are reported once
+     * per group rather than once per property. Snapshots record properties
+     * at their defaults as { unmodified: true } (for a named group: everything
+     * below it, whose members are fixed), so a value can be compared with
+     * its default.
+     */
+    function compareProperties(oldProps, newProps) {
+        var changes = [];
+        var added = [];
+        var removed = [];
+
+        Object.keys(newProps).forEach(function (path) {
+            var b = newProps[path];
+            var a = resolveEntry(oldProps, path);
+            if (!a) {
+                if (!b.group || !hasDescendants(oldProps, path)) added.push(b.group ? path + '>' : path);
+                return;
+            }
+            if (!b.group && !a.group) compareEntries(path, a, b, changes);
+        });
+        Object.keys(oldProps).forEach(function (path) {
+            var a = oldProps[path];
+            var b = resolveEntry(newProps, path);
+            if (!b) {
+                if (!a.group || !hasDescendants(newProps, path)) removed.push(a.group ? path + '>' : path);
+                return;
+            }
+            // Back to default: only the new snapshot's group entry covers it
+            if (!a.group && !newProps.hasOwnProperty(path)) compareEntries(path, a, b, changes);
+        });
+
+        collapsePaths(added).forEach(function (path) {
+            changes.push({ property: path, before: null, after: null, change: 'added' });
+        });
+        collapsePaths(removed).forEach(function (path) {
+            changes.push({ property: path, before: null, after: null, change: 'removed' });
+        });
+        return changes;
+    }
+
+    /**
+     * The entry for a path, or { unmodified: true } when it sits in a group
+     * recorded as unmodified; null if the property does not exist.
+     */
+    function resolveEntry(props, path) {
+        if (props.hasOwnProperty(path)) return props[path];
+        for (var cut = path.lastIndexOf('>'); cut !== -1; cut = path.lastIndexOf('>', cut - 1)) {
+            var group = props[path.substring(0, cut)];
+            if (group) return group.unmodified ? { unmodified: true } : null;
+        }
+        return null;
+    }
+
+    function hasDescendants(props, path) {
+        return Object.keys(props).some(function (other) { return other.indexOf(path + '>') === 0; });
+    }
+
+    function compareEntries(path, a, b, changes) {
+        var before = a.unmodified ? DEFAULT : a.value;
+        var after = b.unmodified ? DEFAULT : b.value;
+        if (!same(before, after)) {
+            changes.push({ property: path, before: before, after: after, change: 'value' });
+        }
+        if ((a.numKeys || 0) !== (b.numKeys || 0)) {
+            changes.push({ property: path, before: a.numKeys || 0, after: b.numKeys || 0, change: 'keyframes' });
+        }
+        if ((a.expression || '') !== (b.expression || '')) {
+            changes.push({ property: path, before: a.expression || '', after: b.expression || '', change: 'expression' });
+        }
+    }
+
+    /**
+     * Reduce property paths to their groups, dropping groups inside other
+     * groups: "Effects>Blur>Blurriness" and "Effects>Blur>Repeat Edge Pixels"
+     * become "Effects>Blur". Group paths end in '>' ("Effects>Blur>").
+     */
+    function collapsePaths(paths) {
+        var groups = [];
+        paths.forEach(function (path) {
+            var cut = path.lastIndexOf('>');
+            var group = cut === -1 ? path : path.substring(0, cut);
+            if (groups.indexOf(group) === -1) groups.push(group);
+        });
+        return groups.filter(function (group) {
+            return !groups.some(function (other) {
+                return other !== group && group.indexOf(other + '>') === 0;
+            });
+        });
+    }
+
+    function same(a, b) {
+        return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+    }
+
+    function indexBy(list, keyFn) {
+        var map = {};
+        list.forEach(function (entry) { map[keyFn(entry)] = entry; });
+        return map;
+    }
+
+    /**
+     * Number of changes in a report.
+     * @param {Object} report - From diff()
+     * @returns {number}
+     */
+    function count(report) {
+        return report.itemsCreated.length + report.itemsRemoved.length + report.itemsModified.length +
+            report.layersAdded.length + report.layersRemoved.length + report.propertiesModified.length;
+    }
+
+    /**
+     * One line per change, for the chat.
+     *
+     * @param {Object} report - From diff()
+     * @returns {Object[]} { kind: 'added' | 'removed' | 'modified', text }
+     */
+    function lines(report) {
+        var out = [];
+        report.itemsCreated.forEach(function (item) {
+            out.push({ kind: 'added', text: 'Create ' + item.type + ' "' + item.name + '"' });
+        });
+        report.itemsRemoved.forEach(function (item) {
+            out.push({ kind: 'removed', text: 'Remove ' + item.type + ' "' + item.name + '"' });
+        });
+        report.itemsModified.forEach(function (change) {
+            out.push({ kind: 'modified', text: '"' + change.item + '": ' + describeChange(change) });
+        });
+        report.layersAdded.forEach(function (layer) {
+            out.push({ kind: 'added', text: 'Add ' + layer.type + ' layer "' + layer.name + '" to "' + layer.comp + '"' });
+        });
+        report.layersRemoved.forEach(function (layer) {
+            out.push({ kind: 'removed', text: 'Remove layer "' + layer.name + '" from "' + layer.comp + '"' });
+        });
+        report.propertiesModified.forEach(function (change) {
+            out.push({ kind: 'modified', text: '"' + change.comp + '" \u203a "' + change.layer + '": ' + describeChange(change) });
+        });
+        return out;
+    }
+
+    function describeChange(change) {
+        switch (change.change) {
+            case 'added':
+                return 'add ' + change.property;
+            case 'removed':
+                return 'remove ' + change.property;
+            case 'keyframes':
+                return change.property + ' keyframes ' + change.before + ' \u2192 ' + change.after;
+            case 'expression':
+                if (!change.before) return change.property + ' expression set';
+                if (!change.after) return change.property + ' expression removed';
+                return change.property + ' expression changed';
+            default:
+                return change.property + ' ' + formatValue(change.before) + ' \u2192 ' + formatValue(change.after);
+        }
+    }
+
+    /**
+     * Short display form of a snapshot value.
+     */
+    function formatValue(value) {
+        var text;
+        if (value === null || value === undefined) {
+            text = '\u2014';
+        } else if (value.isDefault) {
+            text = 'default';
+        } else if (typeof value === 'number') {
+            text = String(Math.round(value * 1000) / 1000);
+        } else if (value instanceof Array) {
+            text = '[' + value.map(formatValue).join(', ') + ']';
+        } else if (typeof value === 'object' && typeof value.text === 'string') {
+            text = JSON.stringify(value.text);
+        } else {
+            text = typeof value === 'string' ? value : JSON.stringify(value);
+        }
+        return text.length > MAX_VALUE_LENGTH ? text.substring(0, MAX_VALUE_LENGTH - 1) + '\u2026' : text;
+    }
+
+    /**
+     * Plain-text report, one change per line.
+     *
+     * @param {Object} report - From diff()
+     * @returns {string}
+     */
+    function describe(report) {
+        var all = lines(report);
+        var marks = { added: '+', removed: '-', modified: '~' };
+        var text = all.length === 0 ? 'No changes.'
+            : all.map(function (line) { return marks[line.kind] + ' ' + line.text; }).join('\n');
+        return report.truncated ? text + '\n' + truncationNote() : text;
+    }
+
+    /**
+     * Shown with a report whose snapshots hit the property limit.
+     * @returns {string}
+     */
+    function truncationNote() {
+        return 'The active comp has too many modified properties to compare them all; ' +
+            'property changes on its later layers may be missing.';
+    }
+
+    return {
+        diff: diff,
+        count: count,
+        lines: lines,
+        describe: describe,
+        truncationNote: truncationNote
+    };
+})();
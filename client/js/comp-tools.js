@@ -0,0 +1,168 @@
+/**
+ * AE Conjure — Comp Inspection Tools
+ * Tools the AI can call in agent mode to look at the project in more detail
+ * than the comp summary. Each tool runs an ExtendScript function from
+ * host/introspect.jsx.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.CompTools = (function () {
+    'use strict';
+
+    // Tool results are sent back to the model, so keep them bounded
+    var MAX_RESULT_LENGTH = 8000;
+
+    var LAYER_PARAM = {
+        type: 'string',
+        description: 'Layer name, or its 1-based index in the active comp'
+    };
+
+    /**
+     * Tool definitions. name/description/parameters are sent to the provider;
+     * host and args map a call onto the ExtendScript function.
+     */
+    var TOOLS = [
+        {
+            name: 'get_layer_properties',
+            description: 'List the properties of a layer in the active comp with their current values, ' +
+                'keyframe counts and expressions. Without a path, lists the top-level property groups.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    layer: LAYER_PARAM,
+                    path: {
+                        type: 'string',
+                        description: 'Property group path separated by ">", e.g. "Transform" or "Contents>Shape 1"'
+                    }
+                },
+                required: ['layer']
+            },
+            host: 'getLayerProperties',
+            args: ['layer', 'path']
+        },
+        {
+            name: 'list_layer_effects',
+            description: 'List the effects applied to a layer in the active comp, with their parameters.',
+            parameters: {
+                type: 'object',
+                properties: { layer: LAYER_PARAM },
+                required: ['layer']
+            },
+            host: 'listLayerEffects',
+            args: ['layer']
+        },
+        {
+            name: 'get_keyframes',
+            description: 'Get the keyframes of a layer property: times, values, interpolation and easing.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    layer: LAYER_PARAM,
+                    property: {
+                        type: 'string',
+                        description: 'Property path separated by ">", e.g. "Transform>Position" or "Effects>Gaussian Blur>Blurriness"'
+                    }
+                },
+                required: ['layer', 'property']
+            },
+            host: 'getKeyframes',
+            args: ['layer', 'property']
+        },
+        {
+            name: 'list_project_items',
+            description: 'List the compositions, footage and folders in the project panel.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    type: {
+                        type: 'string',
+                        enum: ['all', 'comp', 'footage', 'folder'],
+                        description: 'Only list items of this type (default: all)'
+                    }
+                }
+            },
+            host: 'listProjectItems',
+            args: ['type']
+        }
+    ];
+
+    var _csInterface = null;
+
+    /**
+     * Tool definitions in the provider-neutral format used by AIClient.
+     * @returns {Array<{ name: string, description: string, parameters: Object }>}
+     */
+    function getDefinitions() {
+        return TOOLS.map(function (tool) {
+            return { name: tool.name, description: tool.description, parameters: tool.parameters };
+        });
+    }
+
+    /**
+     * Find a tool by name.
+     */
+    function findTool(name) {
+        for (var i = 0; i < TOOLS.length; i++) {
+            if (TOOLS[i].name === name) return TOOLS[i];
+        }
+        return null;
+    }
+
+    /**
+     * Run a tool call in After Effects.
+     *
+     * @param {Object} call - { name, input }
+     * @returns {Promise<string>} The host function's JSON result (truncated if large)
+     */
+    function execute(call) {
+        var tool = findTool(call.name);
+        if (!tool) {
+            return Promise.reject(new Error('Unknown tool: ' + call.name));
+        }
+
+        var input = call.input || {};
+        var args = tool.args.map(function (arg) {
+            var value = input[arg];
+            return JSON.stringify(value === undefined || value === null ? '' : String(value));
+        });
+        var script = tool.host + '(' + args.join(', ') + ')';
+
+        _csInterface = _csInterface || new CSInterface();
+
+        return new Promise(function (resolve, reject) {
+            _csInterface.evalScript(script, function (result) {
+                if (result === 'EvalScript error.' || result === EvalScript_ErrMessage) {
+                    reject(new Error('ExtendScript evaluation error. The host script may not be loaded.'));
+                    return;
+                }
+                result = result || '';
+                if (result.length > MAX_RESULT_LENGTH) {
+                    result = result.substring(0, MAX_RESULT_LENGTH) + '\n[truncated]';
+                }
+                resolve(result);
+            });
+        });
+    }
+
+    /**
+     * Short human-readable form of a call, for progress messages.
+     * @param {Object} call - { name, input }
+     * @returns {string}
+     */
+    function describe(call) {
+        var input = call.input || {};
+        var parts = Object.keys(input).map(function (key) {
+            return key + ': ' + JSON.stringify(input[key]);
+        });
+        return call.name + '(' + parts.join(', ') + ')';
+    }
+
+    return {
+        getDefinitions: getDefinitions,
+        execute: execute,
+        describe: describe
+    };
+})();
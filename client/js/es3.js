@@ -0,0 +1,882 @@
+/**
+ * AE Conjure — ES3 Down-leveler
+ * Rewrites the newer syntax models most often emit — let/const, arrow
+ * functions, template literals and for...of — into the ES3 that
+ * ExtendScript's eval accepts, so a generated script does not cost an AI
+ * retry just for its syntax. Anything that cannot be rewritten safely is
+ * reported instead, and the retry loop sends it back to the model.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.ES3 = (function () {
+    'use strict';
+
+    var T = AEConjure.Tokenizer;
+
+    var LABELS = {
+        template: 'template literals → string concatenation',
+        arrow: 'arrow functions → function expressions',
+        forOf: 'for...of → indexed for loops',
+        let: 'let/const → var'
+    };
+    var ORDER = ['let', 'arrow', 'template', 'forOf'];
+
+    // AE collections indexed from 1 (comp.layers[1], app.project.items[1], ...)
+    var ONE_BASED = ['layers', 'items', 'outputModules'];
+
+    // Array methods that call their callback immediately
+    var SYNC_CALLERS = ['forEach', 'map', 'filter', 'some', 'every', 'reduce', 'reduceRight', 'sort'];
+
+    // Names that are not variable references
+    var KEYWORDS = [
+        'break', 'case', 'catch', 'continue', 'debugger', 'default', 'delete', 'do', 'else',
+        'finally', 'for', 'function', 'if', 'in', 'instanceof', 'new', 'return', 'switch',
+        'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'with', 'let', 'const',
+        'of', 'null', 'true', 'false', 'undefined', 'arguments', 'class', 'yield', 'await'
+    ];
+
+    // Keywords after which a template literal is a value, not a tag call
+    var VALUE_KEYWORDS = [
+        'return', 'typeof', 'instanceof', 'in', 'of', 'case', 'else', 'do', 'void',
+        'delete', 'throw', 'yield', 'await', 'new'
+    ];
+
+    // A line starting with one of these continues the expression above it
+    var CONTINUES_LINE = [
+        '.', '?', ':', '+', '-', '*', '/', '%', '&&', '||', '==', '===', '!=', '!==', '<', '>',
+        '<=', '>=', '&', '|', '^', '<<', '>>', '>>>', '(', '[', '=', '+=', '-=', 'instanceof', 'in'
+    ];
+
+    // A line ending in one of these continues on the next
+    var ENDS_OPEN = CONTINUES_LINE.concat([',', '!', '~', '{', '=>']);
+
+    /**
+     * Down-level a script to ES3.
+     * Code that does not tokenize is passed through untouched; ExtendScript
+     * reports the syntax error itself.
+     *
+     * @param {string} code
+     * @returns {Object} { success, code, changes: [{ kind, label, lines }] } or
+     *     { success: false, code, changes: [], error, line } when the code uses
+     *     syntax that cannot be rewritten
+     */
+    function downlevel(code) {
+        var tokens;
+        try {
+            tokens = T.tokenize(code);
+        } catch (e) {
+            return { success: true, code: code, changes: [] };
+        }
+
+        var changes = [];
+        try {
+            checkUnsupported(tokens);
+            tokens = rewriteTemplates(tokens, changes);
+            tokens = rewriteArrows(tokens, changes);
+            checkBlockScoping(tokens);
+            tokens = rewriteForOf(tokens, changes);
+            tokens = rewriteLetConst(tokens, changes);
+        } catch (e) {
+            if (!e.unsupported) {
+                console.warn('AE Conjure ES3: Could not down-level script:', e.message);
+                return { success: true, code: code, changes: [] };
+            }
+            return { success: false, code: code, changes: [], error: e.message, line: e.line };
+        }
+
+        return {
+            success: true,
+            code: changes.length ? T.print(tokens) : code,
+            changes: summarize(changes)
+        };
+    }
+
+    /**
+     * One-line summary of the rewrites, e.g.
+     * "let/const → var (lines 2, 5); arrow functions → function expressions (line 7)".
+     *
+     * @param {Object[]} changes - From downlevel()
+     * @returns {string}
+     */
+    function describe(changes) {
+        return changes.map(function (change) {
+            return change.label + ' (line' + (change.lines.length > 1 ? 's ' : ' ') + change.lines.join(', ') + ')';
+        }).join('; ');
+    }
+
+    function summarize(changes) {
+        var byKind = {};
+        changes.forEach(function (change) {
+            byKind[change.kind] = byKind[change.kind] || [];
+            if (byKind[change.kind].indexOf(change.line) === -1) byKind[change.kind].push(change.line);
+        });
+        return ORDER.filter(function (kind) { return byKind[kind]; }).map(function (kind) {
+            return {
+                kind: kind,
+                label: LABELS[kind],
+                lines: byKind[kind].sort(function (a, b) { return a - b; })
+            };
+        });
+    }
+
+    function unsupported(message, line) {
+        var err = new Error(message);
+        err.unsupported = true;
+        err.line = line;
+        return err;
+    }
+
+    function notES3(what, line) {
+        return unsupported('Line ' + line + ' uses ' + what + ', which ExtendScript (ES3) does not support.', line);
+    }
+
+    // ---- Token helpers ----
+
+    function isPunct(token, value) {
+        return !!token && token.type === 'punct' && token.value === value;
+    }
+
+    function isName(token, value) {
+        return !!token && token.type === 'name' && (value === undefined || token.value === value);
+    }
+
+    function at(tokens, index) {
+        return index >= 0 ? tokens[index] : null;
+    }
+
+    function nextSig(tokens, index) {
+        return T.nextSignificant(tokens, index);
+    }
+
+    function prevSig(tokens, index) {
+        return T.previousSignificant(tokens, index);
+    }
+
+    // A name used as a property (obj.name) rather than a variable
+    function isPropertyName(tokens, index) {
+        var before = at(tokens, prevSig(tokens, index - 1));
+        return isPunct(before, '.') || isPunct(before, '?.');
+    }
+
+    /**
+     * Tokens for a snippet of source, stamped with the line of the code
+     * they replace so later messages point at the original line.
+     */
+    function snippet(text, line) {
+        return T.tokenize(text).map(function (token) {
+            token.line = line;
+            return token;
+        });
+    }
+
+    function splice(tokens, from, to, replacement) {
+        return tokens.slice(0, from).concat(replacement, tokens.slice(to + 1));
+    }
+
+    function printRange(tokens, from, to) {
+        return T.print(tokens.slice(from, to + 1)).trim();
+    }
+
+    /**
+     * Index of the last token of the expression starting at index: stops
+     * before a comma, semicolon or closer at depth 0, before ':' that does
+     * not belong to a '?', and at a line break that ends the statement.
+     */
+    function expressionEnd(tokens, index) {
+        var depth = 0;
+        var conditionals = 0;
+        var last = index;
+        for (var i = index; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (!T.isSignificant(token)) {
+                if (token.type === 'newline' && depth === 0 && i > index && endsStatement(tokens, last, i)) break;
+                continue;
+            }
+            if (depth === 0) {
+                if (token.type === 'punct' && [',', ';', ')', ']', '}'].indexOf(token.value) !== -1) break;
+                if (token.type === 'template' && (token.part === 'middle' || token.part === 'tail')) break;
+                if (isPunct(token, '?')) conditionals++;
+                if (isPunct(token, ':')) {
+                    if (conditionals === 0) break;
+                    conditionals--;
+                }
+            }
+            depth += T.depthDelta(token);
+            last = i;
+        }
+        return last;
+    }
+
+    function endsStatement(tokens, last, newline) {
+        var after = nextSig(tokens, newline);
+        if (after === -1) return true;
+        var before = tokens[last];
+        if ((before.type === 'punct' || before.type === 'name') && ENDS_OPEN.indexOf(before.value) !== -1) return false;
+        var next = tokens[after];
+        return !((next.type === 'punct' || next.type === 'name') && CONTINUES_LINE.indexOf(next.value) !== -1);
+    }
+
+    /**
+     * Index of the last token of the statement starting at index: a block,
+     * a control statement with its body, or everything up to the next
+     * semicolon at depth 0.
+     */
+    function statementEnd(tokens, index) {
+        var token = tokens[index];
+        if (isPunct(token, '{')) return T.findMatching(tokens, index);
+
+        if (isName(token, 'for') || isName(token, 'while') || isName(token, 'with') || isName(token, 'if')) {
+            var close = T.findMatching(tokens, nextSig(tokens, index + 1));
+            var end = statementEnd(tokens, nextSig(tokens, close + 1));
+            var next = nextSig(tokens, end + 1);
+            if (isName(token, 'if') && isName(at(tokens, next), 'else')) {
+                return statementEnd(tokens, nextSig(tokens, next + 1));
+            }
+            return end;
+        }
+        if (isName(token, 'do')) {
+            var loop = statementEnd(tokens, nextSig(tokens, index + 1));
+            var condition = T.findMatching(tokens, nextSig(tokens, nextSig(tokens, loop + 1) + 1));
+            var semicolon = nextSig(tokens, condition + 1);
+            return isPunct(at(tokens, semicolon), ';') ? semicolon : condition;
+        }
+
+        var depth = 0;
+        for (var i = index; i < tokens.length; i++) {
+            depth += T.depthDelta(tokens[i]);
+            if (depth === 0 && isPunct(tokens[i], ';')) return i;
+            if (depth < 0) return prevSig(tokens, i - 1);
+        }
+        return prevSig(tokens, tokens.length - 1);
+    }
+
+    /**
+     * Parameter names of the list between the parentheses at open/close.
+     * @returns {Object[]|null} The name tokens, or null for defaults, rest or destructuring
+     */
+    function parameterNames(tokens, open, close) {
+        var names = [];
+        var expectName = true;
+        for (var i = open + 1; i < close; i++) {
+            var token = tokens[i];
+            if (!T.isSignificant(token)) continue;
+            if (expectName && token.type === 'name') {
+                names.push(token);
+                expectName = false;
+            } else if (!expectName && isPunct(token, ',')) {
+                expectName = true;
+            } else {
+                return null;
+            }
+        }
+        return names;
+    }
+
+    /**
+     * For a 'function' token: indexes of its parameter list and body.
+     * @returns {{ open: number, close: number, body: number, name: number }|null}
+     */
+    function functionParts(tokens, index) {
+        var open = nextSig(tokens, index + 1);
+        var name = -1;
+        if (isPunct(tokens[open], '*')) return null;
+        if (tokens[open] && tokens[open].type === 'name') {
+            name = open;
+            open = nextSig(tokens, open + 1);
+        }
+        if (!isPunct(tokens[open], '(')) return null;
+        var close = T.findMatching(tokens, open);
+        var body = close === -1 ? -1 : nextSig(tokens, close + 1);
+        if (body === -1 || !isPunct(tokens[body], '{')) return null;
+        return { open: open, close: close, body: body, name: name };
+    }
+
+    // ---- Syntax that is not rewritten ----
+
+    function checkUnsupported(tokens) {
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (!T.isSignificant(token)) continue;
+            var next = at(tokens, nextSig(tokens, i + 1));
+            var line = token.line;
+
+            if (token.type === 'punct') {
+                if (token.value === '...') throw notES3('spread or rest syntax (...)', line);
+                if (token.value === '?.') throw notES3('optional chaining (?.)', line);
+                if (token.value === '??' || token.value === '??=') throw notES3('the ?? operator', line);
+                if (token.value === '**' || token.value === '**=') throw notES3('the ** operator (use Math.pow)', line);
+                if (token.value === '&&=' || token.value === '||=') throw notES3('logical assignment (' + token.value + ')', line);
+            } else if (token.type === 'template') {
+                var tag = at(tokens, prevSig(tokens, i - 1));
+                var isTagged = tag && (isPunct(tag, ')') || isPunct(tag, ']') ||
+                    tag.type === 'template' && (tag.part === 'full' || tag.part === 'tail') ||
+                    tag.type === 'name' && VALUE_KEYWORDS.indexOf(tag.value) === -1);
+                if ((token.part === 'full' || token.part === 'head') && isTagged) {
+                    throw notES3('a tagged template', line);
+                }
+            } else if (token.type === 'name' && !isPropertyName(tokens, i)) {
+                if (token.value === 'class' && next && (next.type === 'name' || isPunct(next, '{'))) {
+                    throw notES3('a class', line);
+                }
+                if (token.value === 'async' && next && (isName(next, 'function') || isPunct(next, '(') || next.type === 'name')) {
+                    throw notES3('an async function', line);
+                }
+                if ((token.value === 'import' || token.value === 'export') && next && !isPunct(next, ':') && !isPunct(next, '=')) {
+                    throw notES3('modules (' + token.value + ')', line);
+                }
+                if ((token.value === 'let' || token.value === 'const' || token.value === 'var') &&
+                        next && (isPunct(next, '{') || isPunct(next, '['))) {
+                    throw notES3('destructuring', line);
+                }
+                if (token.value === 'function') {
+                    if (isPunct(next, '*')) throw notES3('a generator function', line);
+                    var parts = functionParts(tokens, i);
+                    if (parts && !parameterNames(tokens, parts.open, parts.close)) {
+                        throw notES3('default or destructured parameters', line);
+                    }
+                }
+            }
+        }
+    }
+
+    // ---- Template literals ----
+
+    /**
+     * Template text as the body of a double-quoted string. Line breaks
+     * become '\n' plus a real line break and '+', so line numbers stay put.
+     */
+    function quoteTemplateText(raw) {
+        var out = '';
+        for (var i = 0; i < raw.length; i++) {
+            var ch = raw[i];
+            if (ch === '\\') {
+                var escaped = raw[i + 1];
+                i++;
+                if (escaped === '`' || escaped === '$' || escaped === '{') {
+                    out += escaped;
+                } else if (escaped === '\r' || escaped === '\n') {
+                    // Line continuation: the break is not part of the value
+                    if (escaped === '\r' && raw[i + 1] === '\n') i++;
+                    out += '" +\n"';
+                } else {
+                    out += '\\' + escaped;
+                }
+            } else if (ch === '"') {
+                out += '\\"';
+            } else if (ch === '\r' || ch === '\n') {
+                if (ch === '\r' && raw[i + 1] === '\n') i++;
+                out += '\\n" +\n"';
+            } else if (ch === '\u2028' || ch === '\u2029') {
+                out += ch === '\u2028' ? '\\u2028' : '\\u2029';
+            } else {
+                out += ch;
+            }
+        }
+        return '"' + out + '"';
+    }
+
+    /**
+     * `a ${b} c` → ("a " + (b) + " c"). The leading string is kept even when
+     * empty so '+' always concatenates.
+     */
+    function rewriteTemplates(tokens, changes) {
+        var out = [];
+        tokens.forEach(function (token) {
+            if (token.type !== 'template') {
+                out.push(token);
+                return;
+            }
+            var text = quoteTemplateText(token.text);
+            var isEmpty = token.text === '';
+            var source;
+            switch (token.part) {
+                case 'full':
+                    source = text;
+                    break;
+                case 'head':
+                    source = '(' + text + ' + (';
+                    break;
+                case 'middle':
+                    source = isEmpty ? ') + (' : ') + ' + text + ' + (';
+                    break;
+                default:
+                    source = isEmpty ? '))' : ') + ' + text + ')';
+            }
+            if (token.part === 'full' || token.part === 'head') {
+                changes.push({ kind: 'template', line: token.line });
+            }
+            out.push.apply(out, snippet(source, token.line));
+        });
+        return out;
+    }
+
+    // ---- Arrow functions ----
+
+    /**
+     * Whether tokens from..to use this or arguments outside nested
+     * function expressions (which would change meaning in a function).
+     */
+    function usesOwnThis(tokens, from, to) {
+        for (var i = from; i <= to; i++) {
+            var token = tokens[i];
+            if (isName(token, 'function')) {
+                var parts = functionParts(tokens, i);
+                if (parts) i = T.findMatching(tokens, parts.body);
+            } else if ((isName(token, 'this') || isName(token, 'arguments')) && !isPropertyName(tokens, i)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * x => expr, (a, b) => { ... } → function (a, b) { return expr; }.
+     * Innermost arrows come last in the source, so working from the end
+     * rewrites them before the arrows that contain them.
+     */
+    function rewriteArrows(tokens, changes) {
+        for (var arrow = tokens.length - 1; arrow >= 0; arrow--) {
+            if (!isPunct(tokens[arrow], '=>')) continue;
+            var line = tokens[arrow].line;
+
+            var params;
+            var start = prevSig(tokens, arrow - 1);
+            if (isName(tokens[start])) {
+                params = [tokens[start].value];
+            } else if (isPunct(tokens[start], ')')) {
+                var open = T.findMatching(tokens, start);
+                var names = open === -1 ? null : parameterNames(tokens, open, start);
+                if (!names) throw notES3('an arrow function with default or destructured parameters', line);
+                params = names.map(function (name) { return name.value; });
+                start = open;
+            } else {
+                throw notES3('an arrow function', line);
+            }
+
+            var body = nextSig(tokens, arrow + 1);
+            if (body === -1) throw notES3('an arrow function', line);
+            var head = 'function (' + params.join(', ') + ') ';
+            var replacement;
+            var end;
+
+            if (isPunct(tokens[body], '{')) {
+                end = T.findMatching(tokens, body);
+                if (end === -1) throw notES3('an arrow function', line);
+                if (usesOwnThis(tokens, body, end)) throw notES3('this or arguments inside an arrow function', line);
+                replacement = snippet(head, line).concat(tokens.slice(body, end + 1));
+            } else {
+                end = expressionEnd(tokens, body);
+                if (usesOwnThis(tokens, body, end)) throw notES3('this or arguments inside an arrow function', line);
+                replacement = snippet(head + '{ return ', line)
+                    .concat(tokens.slice(body, end + 1), snippet('; }', tokens[end].line));
+            }
+
+            tokens = splice(tokens, start, end, replacement);
+            arrow = start;
+            changes.push({ kind: 'arrow', line: line });
+        }
+        return tokens;
+    }
+
+    // ---- let/const safety ----
+
+    /**
+     * Turning let/const into var moves each binding to its function. That
+     * is only safe when every name still refers to the same variable
+     * afterwards, and no closure created in a loop captures a per-iteration
+     * binding. Uninitialised let declarations inside loops are marked so
+     * they get an explicit '= undefined' (a var would keep the previous
+     * iteration's value).
+     */
+    function checkBlockScoping(tokens) {
+        var hasBlockScoped = tokens.some(function (token, i) {
+            return (isName(token, 'let') || isName(token, 'const')) && isDeclaration(tokens, i);
+        });
+        if (!hasBlockScoped) return;
+
+        var scan = scanScopes(tokens);
+        var declarations = scan.declarations;
+
+        // A block-scoped name that shadows another declaration of the same function
+        declarations.forEach(function (decl) {
+            if (!decl.blockScoped || decl.path.length === decl.fn.depth + 1) return;
+            declarations.forEach(function (other) {
+                if (other !== decl && other.name === decl.name && other.fn === decl.fn &&
+                        other.path.length < decl.path.length && isPrefix(other.path, decl.path)) {
+                    throw unsupported('Line ' + decl.line + ': \'' + decl.kind + ' ' + decl.name + '\' shadows another \'' +
+                        decl.name + '\' in the same function, so it cannot become var. Rename one of them.', decl.line);
+                }
+            });
+        });
+
+        scan.references.forEach(function (ref) {
+            var candidates = declarations.filter(function (decl) { return decl.name === ref.name; });
+            if (candidates.length === 0) return;
+
+            var before = resolve(candidates, ref.path, false);
+            var after = resolve(candidates, ref.path, true);
+            var beforeFn = before ? before.fn : null;
+            var afterFn = after ? after.fn : null;
+            if (beforeFn !== afterFn) {
+                var moved = after && after.blockScoped ? after : before;
+                throw unsupported('Line ' + moved.line + ': \'' + moved.kind + ' ' + ref.name + '\' cannot become var because \'' +
+                    ref.name + '\' on line ' + ref.line + ' refers to a different variable. Rename it.', moved.line);
+            }
+            if (before && before.blockScoped && before.inLoop && !isSynchronous(ref.fn, before.fn)) {
+                throw unsupported('Line ' + ref.line + ': a function created in a loop captures \'' + ref.name +
+                    '\' (declared with ' + before.kind + ' on line ' + before.line + '), which ES3 has no per-iteration variable for. ' +
+                    'Pass it as an argument to a function that builds the closure instead.', ref.line);
+            }
+        });
+
+        declarations.forEach(function (decl) {
+            if (decl.kind === 'let' && decl.inLoop && !decl.initialized) decl.token.needsInit = true;
+        });
+    }
+
+    /**
+     * Whether every function between inner and outer is a callback that
+     * runs before the loop moves on (forEach, map, ...), so sharing one
+     * variable across iterations does not matter.
+     */
+    function isSynchronous(inner, outer) {
+        for (var fn = inner; fn && fn !== outer; fn = fn.parent) {
+            if (!fn.sync) return false;
+        }
+        return true;
+    }
+
+    function isPrefix(shorter, longer) {
+        for (var i = 0; i < shorter.length; i++) {
+            if (shorter[i] !== longer[i]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * The declaration a reference binds to: the innermost one whose scope
+     * encloses it. With hoisted set, let/const count as function-level.
+     */
+    function resolve(candidates, path, hoisted) {
+        var best = null;
+        var bestDepth = -1;
+        candidates.forEach(function (decl) {
+            var scope = hoisted && decl.blockScoped ? decl.path.slice(0, decl.fn.depth + 1) : decl.path;
+            if (scope.length > bestDepth && scope.length <= path.length && isPrefix(scope, path)) {
+                best = decl;
+                bestDepth = scope.length;
+            }
+        });
+        return best;
+    }
+
+    function isDeclaration(tokens, index) {
+        var next = at(tokens, nextSig(tokens, index + 1));
+        return isName(next) && KEYWORDS.indexOf(next.value) === -1 && !isPropertyName(tokens, index);
+    }
+
+    /**
+     * Walk the token stream tracking function, block and loop scopes.
+     *
+     * @returns {{ declarations: Object[], references: Object[] }}
+     *     declaration: { name, kind, token, line, path, fn, blockScoped, inLoop, initialized }
+     *     reference: { name, line, path, fn }
+     */
+    function scanScopes(tokens) {
+        var root = { fn: true, depth: 0, loop: false };
+        root.owner = root;
+        var stack = [root];
+        var declarations = [];
+        var references = [];
+        var declared = {}; // token indexes that are declaration names
+        var opens = {}; // '{' index → { fn, loop, params }
+        var pops = {}; // token index → scopes to pop after it
+
+        function currentFn() {
+            for (var i = stack.length - 1; i >= 0; i--) {
+                if (stack[i].fn) return stack[i];
+            }
+            return root;
+        }
+
+        function inLoop() {
+            for (var i = stack.length - 1; i >= 0 && !stack[i].fn; i--) {
+                if (stack[i].loop) return true;
+            }
+            return false;
+        }
+
+        function declare(index, kind, initialized) {
+            var fn = currentFn();
+            var blockScoped = kind === 'let' || kind === 'const' || kind === 'catch';
+            var path = blockScoped ? stack.slice() : stack.slice(0, fn.depth + 1);
+            declared[index] = true;
+            declarations.push({
+                name: tokens[index].value,
+                kind: kind,
+                token: tokens[index],
+                line: tokens[index].line,
+                path: path,
+                fn: fn,
+                blockScoped: kind === 'let' || kind === 'const',
+                inLoop: blockScoped && inLoop(),
+                initialized: initialized
+            });
+        }
+
+        function schedulePop(index) {
+            pops[index] = (pops[index] || 0) + 1;
+        }
+
+        // The body of a loop: a block is marked as a loop scope; for a single
+        // statement the header scope (if any) stays open until its end
+        function loopBody(headerEnd, hasScope) {
+            var body = nextSig(tokens, headerEnd + 1);
+            if (body === -1) return;
+            if (isPunct(tokens[body], '{')) {
+                opens[body] = { loop: true };
+                if (hasScope) schedulePop(T.findMatching(tokens, body));
+            } else if (hasScope) {
+                schedulePop(statementEnd(tokens, body));
+            }
+        }
+
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (!T.isSignificant(token)) continue;
+
+            if (isPunct(token, '{')) {
+                var info = opens[i] || {};
+                var scope = { fn: !!info.fn, loop: !!info.loop, depth: stack.length };
+                if (info.fn) {
+                    scope.parent = currentFn();
+                    scope.sync = info.sync;
+                }
+                stack.push(scope);
+                (info.params || []).forEach(function (param) { declare(param, 'param', true); });
+                if (info.catchParam !== undefined) declare(info.catchParam, 'catch', true);
+            } else if (isPunct(token, '}')) {
+                if (stack.length > 1) stack.pop();
+            } else if (token.type === 'name' && !isPropertyName(tokens, i)) {
+                var word = token.value;
+                if (word === 'function') {
+                    var parts = functionParts(tokens, i);
+                    if (parts) {
+                        var params = [];
+                        for (var p = parts.open + 1; p < parts.close; p++) {
+                            if (tokens[p].type === 'name') {
+                                params.push(p);
+                                declared[p] = true;
+                            }
+                        }
+                        opens[parts.body] = { fn: true, params: params, sync: isSyncCallback(tokens, i) };
+                        if (parts.name !== -1) {
+                            var before = at(tokens, prevSig(tokens, i - 1));
+                            var isStatement = !before || isPunct(before, ';') || isPunct(before, '{') ||
+                                isPunct(before, '}') || isPunct(before, ')') || isName(before, 'else');
+                            if (isStatement) {
+                                declare(parts.name, 'function', true);
+                            } else {
+                                // A named function expression's name is only visible inside it
+                                declared[parts.name] = true;
+                            }
+                        }
+                    }
+                } else if (word === 'for' || word === 'while') {
+                    var header = nextSig(tokens, i + 1);
+                    var headerEnd = isPunct(tokens[header], '(') ? T.findMatching(tokens, header) : -1;
+                    var afterDo = isPunct(at(tokens, prevSig(tokens, i - 1)), '}') && word === 'while' &&
+                        isDoWhile(tokens, prevSig(tokens, i - 1));
+                    if (headerEnd !== -1 && !afterDo) {
+                        if (word === 'for') {
+                            stack.push({ fn: false, loop: true, depth: stack.length });
+                        }
+                        loopBody(headerEnd, word === 'for');
+                    }
+                } else if (word === 'do') {
+                    var doBody = nextSig(tokens, i + 1);
+                    if (isPunct(tokens[doBody], '{')) opens[doBody] = { loop: true };
+                } else if (word === 'catch') {
+                    var catchOpen = nextSig(tokens, i + 1);
+                    var catchName = nextSig(tokens, catchOpen + 1);
+                    var catchClose = nextSig(tokens, catchName + 1);
+                    var catchBody = nextSig(tokens, catchClose + 1);
+                    if (isPunct(tokens[catchOpen], '(') && isName(tokens[catchName]) && isPunct(tokens[catchClose], ')') &&
+                            isPunct(tokens[catchBody], '{')) {
+                        opens[catchBody] = { catchParam: catchName };
+                        declared[catchName] = true;
+                    }
+                } else if ((word === 'var' || word === 'let' || word === 'const') && isDeclaration(tokens, i)) {
+                    declarators(tokens, i).forEach(function (declarator) {
+                        declare(declarator.index, word, declarator.initialized);
+                    });
+                } else if (!declared[i] && KEYWORDS.indexOf(word) === -1 && !isObjectKey(tokens, i)) {
+                    references.push({ name: word, line: token.line, path: stack.slice(), fn: currentFn() });
+                }
+            }
+
+            while (pops[i]) {
+                pops[i]--;
+                if (stack.length > 1) stack.pop();
+            }
+        }
+
+        return { declarations: declarations, references: references };
+    }
+
+    /**
+     * Names declared by the var/let/const statement at index.
+     * @returns {Array<{ index: number, initialized: boolean }>}
+     */
+    function declarators(tokens, index) {
+        var found = [];
+        var i = nextSig(tokens, index + 1);
+        while (i !== -1 && isName(tokens[i])) {
+            var next = nextSig(tokens, i + 1);
+            var after = next;
+            if (isPunct(tokens[next], '=')) {
+                after = nextSig(tokens, expressionEnd(tokens, nextSig(tokens, next + 1)) + 1);
+            }
+            // for (let x in/of ...) assigns on every iteration
+            found.push({
+                index: i,
+                initialized: isPunct(tokens[next], '=') || isName(tokens[next], 'in') || isName(tokens[next], 'of')
+            });
+            if (!isPunct(at(tokens, after), ',')) break;
+            i = nextSig(tokens, after + 1);
+        }
+        return found;
+    }
+
+    // function () {} passed straight to list.forEach(...) and similar
+    function isSyncCallback(tokens, functionIndex) {
+        var open = prevSig(tokens, functionIndex - 1);
+        if (!isPunct(at(tokens, open), '(')) return false;
+        var method = prevSig(tokens, open - 1);
+        return isName(at(tokens, method)) && SYNC_CALLERS.indexOf(tokens[method].value) !== -1 &&
+            isPropertyName(tokens, method);
+    }
+
+    // '}' closing the body of a do...while
+    function isDoWhile(tokens, closeIndex) {
+        var open = T.findMatching(tokens, closeIndex);
+        return open > 0 && isName(at(tokens, prevSig(tokens, open - 1)), 'do');
+    }
+
+    // { key: value } — the key is not a variable
+    function isObjectKey(tokens, index) {
+        var next = at(tokens, nextSig(tokens, index + 1));
+        if (!isPunct(next, ':')) return false;
+        var before = at(tokens, prevSig(tokens, index - 1));
+        return isPunct(before, '{') || isPunct(before, ',');
+    }
+
+    // ---- for...of ----
+
+    function uniqueName(used, base) {
+        var name = base;
+        for (var n = 2; used[name]; n++) name = base + n;
+        used[name] = true;
+        return name;
+    }
+
+    /**
+     * for (const x of list) { ... } →
+     * for (var _i = 0, _list = (list); _i < _list.length; _i++) { var x = _list[_i]; ... }.
+     * AE collections (.layers, .items, .outputModules) count from 1.
+     */
+    function rewriteForOf(tokens, changes) {
+        var used = {};
+        tokens.forEach(function (token) {
+            if (token.type === 'name') used[token.value] = true;
+        });
+
+        for (var i = tokens.length - 1; i >= 0; i--) {
+            if (!isName(tokens[i], 'for') || isPropertyName(tokens, i)) continue;
+            var open = nextSig(tokens, i + 1);
+            if (!isPunct(tokens[open], '(')) continue;
+            var close = T.findMatching(tokens, open);
+            if (close === -1) continue;
+
+            var of = -1;
+            var depth = 0;
+            for (var k = open + 1; k < close; k++) {
+                depth += T.depthDelta(tokens[k]);
+                if (depth === 0 && isName(tokens[k], 'of') && !isPropertyName(tokens, k)) {
+                    of = k;
+                    break;
+                }
+            }
+            if (of === -1) continue;
+
+            var line = tokens[i].line;
+            var binding = [];
+            for (k = open + 1; k < of; k++) {
+                if (T.isSignificant(tokens[k])) binding.push(tokens[k]);
+            }
+            var isDecl = binding.length === 2 && ['var', 'let', 'const'].indexOf(binding[0].value) !== -1;
+            var nameToken = binding[binding.length - 1];
+            if (!(isDecl || binding.length === 1) || !isName(nameToken)) {
+                throw notES3('a for...of loop with a destructured variable', line);
+            }
+
+            var iterable = printRange(tokens, of + 1, close - 1);
+            var lastName = prevSig(tokens, close - 1);
+            var oneBased = isName(tokens[lastName]) && isPropertyName(tokens, lastName) &&
+                ONE_BASED.indexOf(tokens[lastName].value) !== -1;
+
+            var index = uniqueName(used, '_i');
+            var list = uniqueName(used, '_' + (/^[A-Za-z_$][\w$]*$/.test(iterable) ? iterable : 'list'));
+            var headerText = 'for (var ' + index + ' = ' + (oneBased ? 1 : 0) + ', ' + list + ' = ' +
+                (/^[\w$.]+$/.test(iterable) ? iterable : '(' + iterable + ')') + '; ' +
+                index + (oneBased ? ' <= ' : ' < ') + list + '.length; ' + index + '++)';
+            var assign = (isDecl ? 'var ' : '') + nameToken.value + ' = ' + list + '[' + index + '];';
+
+            var body = nextSig(tokens, close + 1);
+            if (body === -1) throw notES3('a for...of loop without a body', line);
+            var end;
+            var replacement;
+            if (isPunct(tokens[body], '{')) {
+                end = body;
+                replacement = snippet(headerText, line)
+                    .concat(tokens.slice(close + 1, body), snippet('{ ' + assign, line));
+            } else {
+                if (isName(tokens[body], 'switch') || isName(tokens[body], 'try')) {
+                    throw notES3('a for...of loop whose body is not a block', line);
+                }
+                end = statementEnd(tokens, body);
+                replacement = snippet(headerText + ' { ' + assign + ' ', line)
+                    .concat(tokens.slice(body, end + 1), snippet(' }', tokens[end].line));
+            }
+            tokens = splice(tokens, i, end, replacement);
+            changes.push({ kind: 'forOf', line: line });
+        }
+        return tokens;
+    }
+
+    // ---- let/const → var ----
+
+    function rewriteLetConst(tokens, changes) {
+        var out = [];
+        tokens.forEach(function (token, i) {
+            if ((isName(token, 'let') || isName(token, 'const')) && isDeclaration(tokens, i)) {
+                out.push({ type: 'name', value: 'var', line: token.line });
+                changes.push({ kind: 'let', line: token.line });
+                return;
+            }
+            out.push(token);
+            if (token.needsInit) {
+                out.push.apply(out, snippet(' = undefined', token.line));
+            }
+        });
+        return out;
+    }
+
+    return {
+        downlevel: downlevel,
+        describe: describe
+    };
+})();
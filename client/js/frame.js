@@ -0,0 +1,182 @@
+/**
+ * AE Conjure — Frame Capture
+ * Renders the current frame of the active comp to a temporary PNG
+ * (host renderActiveFrame) and turns it into an image part the AI
+ * providers can send alongside the prompt.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.Frame = (function () {
+    'use strict';
+
+    var fs, path, os;
+    try {
+        fs = require('fs');
+        path = require('path');
+        os = require('os');
+    } catch (e) {
+        // Node.js modules not available — frames cannot be captured
+    }
+
+    // Longest edge sent to the model. Larger images are downscaled by the
+    // providers anyway and only cost more tokens.
+    var MAX_EDGE = 1568;
+    var JPEG_QUALITY = 0.9;
+
+    // saveFrameToPng may return before the file is written
+    var POLL_INTERVAL_MS = 100;
+    var POLL_TIMEOUT_MS = 15000;
+
+    var _csInterface = null;
+    var _counter = 0;
+
+    /**
+     * Whether frames can be captured in this environment.
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        return !!fs;
+    }
+
+    /**
+     * Capture the current frame of the active comp.
+     *
+     * @returns {Promise<Object>} { mediaType, data (base64), dataUrl, width, height, comp, time }
+     */
+    function capture() {
+        if (!fs) {
+            return Promise.reject(new Error('Frame capture needs Node.js file access.'));
+        }
+
+        _counter++;
+        var file = path.join(os.tmpdir(), 'ae-conjure-frame-' + process.pid + '-' + _counter + '.png');
+        _csInterface = _csInterface || new CSInterface();
+
+        return new Promise(function (resolve, reject) {
+            _csInterface.evalScript('renderActiveFrame(' + JSON.stringify(file) + ')', function (result) {
+                if (result === 'EvalScript error.' || result === EvalScript_ErrMessage) {
+                    reject(new Error('ExtendScript evaluation error. The host script may not be loaded.'));
+                    return;
+                }
+                var info;
+                try {
+                    info = JSON.parse(result);
+                } catch (e) {
+                    reject(new Error('Unexpected response from renderActiveFrame: ' + result));
+                    return;
+                }
+                if (!info.success) {
+                    reject(new Error(info.error || 'Could not render the frame.'));
+                    return;
+                }
+                resolve(info);
+            });
+        }).then(function (info) {
+            return waitForFile(file).then(function () {
+                return downscale(fs.readFileSync(file));
+            }).then(function (image) {
+                image.comp = info.comp;
+                image.time = info.time;
+                return image;
+            });
+        }).then(function (image) {
+            removeFile(file);
+            return image;
+        }, function (err) {
+            // Also after a timeout or a failed downscale, not just a failed render
+            removeFile(file);
+            throw err;
+        });
+    }
+
+    /**
+     * Resolve once the file exists and its size has stopped changing.
+     */
+    function waitForFile(file) {
+        var started = Date.now();
+        var lastSize = -1;
+
+        return new Promise(function (resolve, reject) {
+            function check() {
+                var size = -1;
+                try {
+                    size = fs.statSync(file).size;
+                } catch (e) {
+                    // Not written yet
+                }
+                if (size > 0 && size === lastSize) {
+                    resolve();
+                    return;
+                }
+                lastSize = size;
+                if (Date.now() - started > POLL_TIMEOUT_MS) {
+                    reject(new Error('Timed out waiting for After Effects to render the frame.'));
+                    return;
+                }
+                setTimeout(check, POLL_INTERVAL_MS);
+            }
+            check();
+        });
+    }
+
+    function removeFile(file) {
+        try {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        } catch (e) {
+            console.warn('AE Conjure Frame: Failed to remove temp file:', e.message);
+        }
+    }
+
+    /**
+     * Downscale a PNG to MAX_EDGE and re-encode it as JPEG using a canvas.
+     * Without a DOM the PNG is sent as is.
+     *
+     * @param {Buffer} png
+     * @returns {Promise<Object>} { mediaType, data, dataUrl, width, height }
+     */
+    function downscale(png) {
+        var pngUrl = 'data:image/png;base64,' + png.toString('base64');
+        if (typeof document === 'undefined') {
+            return Promise.resolve(toImage('image/png', pngUrl, 0, 0));
+        }
+
+        return new Promise(function (resolve, reject) {
+            var img = new Image();
+            img.onload = function () {
+                var scale = Math.min(1, MAX_EDGE / Math.max(img.width, img.height));
+                var canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                var ctx = canvas.getContext('2d');
+                // Transparent comps would otherwise turn black in the JPEG
+                ctx.fillStyle = '#000';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                resolve(toImage('image/jpeg', canvas.toDataURL('image/jpeg', JPEG_QUALITY), canvas.width, canvas.height));
+            };
+            img.onerror = function () {
+                reject(new Error('The rendered frame could not be decoded.'));
+            };
+            img.src = pngUrl;
+        });
+    }
+
+    function toImage(mediaType, dataUrl, width, height) {
+        return {
+            mediaType: mediaType,
+            data: dataUrl.substring(dataUrl.indexOf(',') + 1),
+            dataUrl: dataUrl,
+            width: width,
+            height: height
+        };
+    }
+
+    return {
+        capture: capture,
+        isAvailable: isAvailable,
+        MAX_EDGE: MAX_EDGE
+    };
+})();
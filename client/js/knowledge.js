@@ -73,74 +73,32 @@ AEConjure.Knowledge = (function () {
      * @returns {Promise<boolean>}
      */
     function download() {
+        if (!AEConjure.Net || !AEConjure.Net.isAvailable()) {
+            return Promise.resolve(false);
+        }
         _loading = true;
 
-        return new Promise(function (resolve) {
-            try {
-                var https = require('https');
-                var urlModule = require('url');
-                var parsed = urlModule.parse(CORPUS_URL);
-
-                var options = {
-                    hostname: parsed.hostname,
-                    path: parsed.path,
-                    method: 'GET',
-                    headers: { 'User-Agent': 'AE-Conjure/1.0' }
-                };
-
-                var req = https.request(options, function (res) {
-                    // Follow redirects (GitHub raw sometimes 301s)
-                    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-                        var redirectParsed = urlModule.parse(res.headers.location);
-                        var redirectOpts = {
-                            hostname: redirectParsed.hostname,
-                            path: redirectParsed.path,
-                            method: 'GET',
-                            headers: { 'User-Agent': 'AE-Conjure/1.0' }
-                        };
-                        https.get(redirectOpts, handleResponse).on('error', handleError);
-                        return;
-                    }
-                    handleResponse(res);
-                });
-
-                req.on('error', handleError);
-                req.end();
-
-            } catch (e) {
-                handleError(e);
-            }
-
-            function handleResponse(res) {
-                var chunks = [];
-                res.on('data', function (chunk) { chunks.push(chunk); });
-                res.on('end', function () {
-                    _loading = false;
-                    if (res.statusCode !== 200) {
-                        console.warn('AE Conjure Knowledge: Download failed, status ' + res.statusCode);
-                        resolve(false);
-                        return;
-                    }
-                    try {
-                        var body = Buffer.concat(chunks).toString();
-                        var data = JSON.parse(body);
-                        _corpus = data;
-                        _ready = true;
-                        buildIndex();
-                        saveToDisk(body);
-                        resolve(true);
-                    } catch (parseErr) {
-                        console.warn('AE Conjure Knowledge: Parse error:', parseErr.message);
-                        resolve(false);
-                    }
-                });
+        // Net follows redirects (GitHub raw sometimes 301s)
+        return AEConjure.Net.get(CORPUS_URL, { 'User-Agent': 'AE-Conjure/1.0' }).then(function (response) {
+            _loading = false;
+            if (response.status !== 200) {
+                console.warn('AE Conjure Knowledge: Download failed, status ' + response.status);
+                return false;
             }
-
-            function handleError(err) {
-                _loading = false;
-                console.warn('AE Conjure Knowledge: Download error:', err.message || err);
-                resolve(false);
+            try {
+                _corpus = JSON.parse(response.body);
+                _ready = true;
+                buildIndex();
+                saveToDisk(response.body);
+                return true;
+            } catch (parseErr) {
+                console.warn('AE Conjure Knowledge: Parse error:', parseErr.message);
+                return false;
             }
+        }, function (err) {
+            _loading = false;
+            console.warn('AE Conjure Knowledge: Download error:', err.message || err);
+            return false;
         });
     }
 
@@ -365,6 +323,15 @@ AEConjure.Knowledge = (function () {
         };
     }
 
+    /**
+     * All API atoms ({ className, member, signature, returnType, ... }),
+     * or an empty array before the corpus is loaded.
+     * @returns {Object[]}
+     */
+    function getAtoms() {
+        return (_corpus && _corpus.atoms) || [];
+    }
+
     /**
      * Force re-download of the corpus.
      * @returns {Promise<boolean>}
@@ -381,6 +348,7 @@ AEConjure.Knowledge = (function () {
         retrieve: retrieve,
         isReady: isReady,
         stats: stats,
+        getAtoms: getAtoms,
         update: update,
         CORPUS_URL: CORPUS_URL
     };
@@ -11,13 +11,16 @@
     var csInterface = new CSInterface();
     var chatHistory = [];
     var isProcessing = false;
+    var streamingMessage = null;
+    var activeCancelToken = null;
+    var pendingReview = null; // { element, resolve } while a script waits for review
 
     // DOM references (set on init)
-    var $chatContainer, $promptInput, $runBtn, $modelSelect, $providerSelect;
+    var $chatContainer, $promptInput, $runBtn, $stopBtn, $modelSelect, $providerSelect;
     var $settingsOverlay, $libraryOverlay;
-    var $compToggle, $templatePopover, $inputHints, $refineBtn, $templateBtn;
+    var $compToggle, $frameToggle, $reviewToggle, $templatePopover, $inputHints, $refineBtn, $templateBtn;
     var $contextPreview, $contextText, $contextToggle, $contextDetail, $contextDetailText;
-    var $onboarding;
+    var $onboarding, $sessionCost;
 
     /**
      * Initialize the panel.
@@ -27,11 +30,14 @@
         $chatContainer = document.getElementById('chat-container');
         $promptInput = document.getElementById('prompt-input');
         $runBtn = document.getElementById('run-btn');
+        $stopBtn = document.getElementById('stop-btn');
         $modelSelect = document.getElementById('model-select');
         $providerSelect = document.getElementById('provider-select');
         $settingsOverlay = document.getElementById('settings-overlay');
         $libraryOverlay = document.getElementById('library-overlay');
         $compToggle = document.getElementById('comp-context-toggle');
+        $frameToggle = document.getElementById('frame-toggle');
+        $reviewToggle = document.getElementById('review-toggle');
         $templatePopover = document.getElementById('template-popover');
         $inputHints = document.getElementById('input-hints');
         $refineBtn = document.getElementById('refine-btn');
@@ -42,24 +48,38 @@
         $contextDetail = document.getElementById('context-detail');
         $contextDetailText = document.getElementById('context-detail-text');
         $onboarding = document.getElementById('onboarding');
+        $sessionCost = document.getElementById('session-cost');
+
+        // Register provider plugins before anything lists providers
+        var plugins = AEConjure.AIClient.loadProviderPlugins();
 
         // Load settings and populate UI
         var settings = AEConjure.Settings.load();
+        buildApiKeyFields();
         populateProviderSelect(settings.provider);
         populateModelSelect(settings.provider, settings.model);
         if ($compToggle) $compToggle.checked = settings.includeCompContext !== false;
+        if ($frameToggle) $frameToggle.checked = !!settings.includeFrame;
+        if ($reviewToggle) $reviewToggle.checked = !!settings.reviewBeforeRun;
 
         // Sync settings to match what the dropdowns actually show
         // (fixes stale model if stored model doesn't match current provider)
         AEConjure.Settings.set('provider', $providerSelect.value);
         AEConjure.Settings.set('model', $modelSelect.value);
 
+        // Fetch model lists with the saved keys (cached for a day)
+        refreshModelLists(Object.keys(AEConjure.AIClient.PROVIDERS), false);
+
         // Event listeners
         $runBtn.addEventListener('click', handleRun);
+        $stopBtn.addEventListener('click', handleStop);
         $promptInput.addEventListener('keydown', function (e) {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 handleRun();
+            } else if (e.key === 'Escape' && isProcessing) {
+                e.preventDefault();
+                handleStop();
             }
         });
 
@@ -81,6 +101,12 @@
         // Settings overlay events
         document.getElementById('settings-close').addEventListener('click', hideSettings);
         document.getElementById('settings-save').addEventListener('click', saveSettings);
+        document.getElementById('custom-discover').addEventListener('click', discoverCustomModels);
+        document.getElementById('profile-scope').addEventListener('change', showPromptProfile);
+        document.getElementById('profile-kind').addEventListener('change', showPromptProfile);
+        document.getElementById('profile-save').addEventListener('click', savePromptProfile);
+        document.getElementById('profile-previous').addEventListener('click', restorePromptProfile);
+        document.getElementById('profile-reset').addEventListener('click', resetPromptProfile);
 
         // Library overlay events
         document.getElementById('library-close').addEventListener('click', hideLibrary);
@@ -94,6 +120,9 @@
         // Refine button
         $refineBtn.addEventListener('click', handleRefine);
 
+        // Session spend in the toolbar
+        AEConjure.Usage.onChange(updateSessionCost);
+
         // Context preview toggle
         if ($contextPreview) {
             $contextPreview.addEventListener('click', function () {
@@ -106,6 +135,11 @@
                 updateContextPreview();
             });
         }
+        if ($frameToggle) {
+            $frameToggle.addEventListener('change', function () {
+                AEConjure.Settings.set('includeFrame', $frameToggle.checked);
+            });
+        }
 
         // Build onboarding
         buildOnboarding();
@@ -130,6 +164,12 @@
             }
         });
 
+        if (plugins.length > 0) {
+            addSystemMessage('Loaded provider plugin(s): ' + plugins.map(function (key) {
+                return AEConjure.AIClient.PROVIDERS[key].name;
+            }).join(', '));
+        }
+
         // Check for API key
         if (!AEConjure.Settings.hasApiKey()) {
             addSystemMessage('No API key configured. Click the gear icon to add your API key.');
@@ -166,30 +206,65 @@
             return;
         }
 
+        startRun(prompt);
+    }
+
+    /**
+     * Generate and run a script for a prompt.
+     *
+     * @param {string} prompt - The user's request
+     * @param {Object} [mode] - { variants: n } or { compare: routes } to generate candidates
+     *     instead of running, { variant } to run a chosen candidate with the provider
+     *     that wrote it (its prompt is already in the chat), or { preview: true } to run
+     *     the script and undo it, reporting what it would change
+     */
+    function startRun(prompt, mode) {
+        mode = mode || {};
+
         // Read provider and model from the DOM dropdowns (source of truth)
-        var provider = $providerSelect.value;
-        var model = $modelSelect.value;
+        var provider = mode.variant ? mode.variant.provider : $providerSelect.value;
+        var model = mode.variant ? mode.variant.model : $modelSelect.value;
         var settings = AEConjure.Settings.load();
         var apiKey = AEConjure.Settings.getApiKey(provider);
 
-        if (!apiKey) {
+        // Compare routes carry their own keys
+        if (!mode.compare && isKeyMissing(provider, apiKey)) {
             AEConjure.UI.showToast('Please set your ' + AEConjure.AIClient.PROVIDERS[provider].name + ' API key in Settings first.', 'error');
             showSettings();
             return;
         }
 
+        if (!checkBudget()) return;
+
         // Sync settings to match what the user sees
-        AEConjure.Settings.set('provider', provider);
-        AEConjure.Settings.set('model', model);
+        if (!mode.variant) {
+            AEConjure.Settings.set('provider', provider);
+            AEConjure.Settings.set('model', model);
+        }
 
-        isProcessing = true;
-        $runBtn.disabled = true;
-        $runBtn.textContent = 'Running...';
+        // The Review toggle applies to the next run, then goes back to the
+        // default. Variants and comparisons run nothing, so they leave it set.
+        var review = $reviewToggle ? $reviewToggle.checked : !!settings.reviewBeforeRun;
+        if ($reviewToggle && !mode.variants && !mode.compare) {
+            $reviewToggle.checked = !!settings.reviewBeforeRun;
+        }
+
+        var cancelToken = AEConjure.AIClient.createCancelToken();
+        setProcessing(true, cancelToken);
         $promptInput.value = '';
         hideOnboarding();
 
-        // Add user message
-        addMessage('user', prompt);
+        // Add user message. A chosen variant's prompt is already in the chat,
+        // but it must be the last history entry for buildConversationHistory.
+        var userMessage = null;
+        if (!mode.variant) {
+            userMessage = addMessage('user', prompt);
+        } else {
+            var last = chatHistory[chatHistory.length - 1];
+            if (!last || last.role !== 'user' || last.content !== prompt) {
+                chatHistory.push({ role: 'user', content: prompt });
+            }
+        }
 
         // Get comp context if enabled
         var compContextPromise;
@@ -199,81 +274,407 @@
             compContextPromise = Promise.resolve('');
         }
 
-        compContextPromise.then(function (compContext) {
+        var candidates = mode.variants || (mode.compare ? mode.compare.length : 0);
+        var onStream = settings.streamResponses !== false && !candidates ? function (text) {
+            updateStreamingMessage(text);
+        } : null;
+
+        if (mode.variants) {
+            updateProgress(0, candidates, 'Generating ' + candidates + ' variants');
+        } else if (mode.compare) {
+            updateProgress(0, candidates, 'Asking ' + mode.compare.map(describeRoute).join(', '));
+        }
+
+        var compContext = '';
+        compContextPromise.then(function (context) {
+            compContext = context;
+            return settings.includeFrame ? captureFrame(mode.compare || [{ provider: provider }], userMessage) : null;
+        }).then(function (frame) {
             return AEConjure.RetryEngine.run({
                 prompt: prompt,
                 provider: provider,
                 model: model,
                 apiKey: apiKey,
                 compContext: compContext,
+                images: frame ? [frame] : null,
                 maxRetries: settings.maxRetries || 3,
                 history: buildConversationHistory(settings.conversationTurns),
+                cancelToken: cancelToken,
+                variants: mode.variants,
+                compare: mode.compare || null,
+                initialCode: mode.variant || null,
+                fallbacks: buildFallbackRoutes(provider, model),
+                structured: !!settings.structuredOutput,
+                keepFailedChanges: !!settings.keepFailedChanges,
+                preview: !!mode.preview,
+                tools: settings.agentMode ? AEConjure.CompTools.getDefinitions() : null,
+                onToolCall: function (call, attemptNum) {
+                    updateProgress(attemptNum, candidates || settings.maxRetries || 3,
+                        'Inspecting ' + truncate(AEConjure.CompTools.describe(call), 80));
+                    return AEConjure.CompTools.execute(call);
+                },
+                onBudgetWarning: function (message) {
+                    addSystemMessage('Spend limit warning: ' + message);
+                },
+                onFallback: function (failed, next, error) {
+                    addSystemMessage(describeRoute(failed) + ' failed (' + truncate(error, 120) + '). Falling back to ' +
+                        describeRoute(next) + '.');
+                },
                 onAttempt: function (num, max, status) {
+                    removeStreamingMessage();
                     updateProgress(num, max, status);
                 },
+                onStream: onStream,
+                onBackoff: function (info, attemptNum) {
+                    var seconds = Math.ceil(info.delayMs / 1000);
+                    updateProgress(attemptNum, candidates || settings.maxRetries || 3,
+                        'Provider busy (HTTP ' + info.status + '), waiting ' + seconds + 's — retry ' +
+                        info.retry + '/' + info.maxRetries);
+                },
                 onCode: function (code, attemptNum) {
-                    // Show generated code in chat on retries
-                    if (attemptNum > 1) {
+                    removeStreamingMessage();
+                    // Show generated code in chat on retries (the review card shows it otherwise)
+                    if (attemptNum > 1 && !review) {
                         addMessage('assistant', '```javascript\n' + code + '\n```', {
                             attempt: attemptNum,
                             maxAttempts: settings.maxRetries || 3
                         });
                     }
+                },
+                onReview: review ? function (code, attemptNum) {
+                    updateProgress(attemptNum, settings.maxRetries || 3, 'Waiting for your review');
+                    return reviewScript(code, attemptNum, settings.maxRetries || 3);
+                } : null,
+                onTranspile: function (changes) {
+                    addSystemMessage('Rewrote for ExtendScript (ES3): ' + AEConjure.ES3.describe(changes) + '.');
+                },
+                onRollback: function (info, attemptNum) {
+                    if (!info.undone) {
+                        addSystemMessage('Could not undo the changes of failed attempt ' + attemptNum + ' (' + info.error + '). ' +
+                            'Check the project before running more scripts.');
+                    } else if (!info.verified && info.remaining) {
+                        var remaining = AEConjure.ChangeReport.describe(info.remaining).split('\n');
+                        addSystemMessage('Undid failed attempt ' + attemptNum + ', but the project does not match its ' +
+                            'state before the attempt:\n' + remaining.slice(0, 10).join('\n') +
+                            (remaining.length > 10 ? '\n\u2026and ' + (remaining.length - 10) + ' more' : '') +
+                            '\nCheck it before running more scripts.');
+                    } else if (!info.verified) {
+                        addSystemMessage('Undid failed attempt ' + attemptNum + ', but could not check the project ' +
+                            'against its state before the attempt. Check it before running more scripts.');
+                    } else {
+                        addSystemMessage('Undid the partial changes of failed attempt ' + attemptNum +
+                            ' (checked: project items, layers and the active comp\'s property values).' +
+                            (info.remaining && info.remaining.truncated ? ' ' + AEConjure.ChangeReport.truncationNote() : ''));
+                    }
+                },
+                onApiCheck: function (findings, attemptNum) {
+                    addSystemMessage('Attempt ' + attemptNum + ' was not run — the API check found:\n' +
+                        AEConjure.APICheck.describe({ errors: findings.errors, warnings: [] }));
                 }
             });
         }).then(function (result) {
+            removeStreamingMessage();
             removeProgress();
 
-            if (result.success) {
-                // Show final successful response
-                var lastAttempt = result.attempts[result.attempts.length - 1];
-                addMessage('assistant', lastAttempt.rawResponse || '```javascript\n' + lastAttempt.code + '\n```', {
-                    success: true
-                }, { onExplain: handleExplain });
-
-                // Offer to save + undo
-                var savePrompt = AEConjure.UI.createSavePrompt(
-                    result.finalCode,
-                    prompt,
-                    function (saveData) {
-                        AEConjure.Library.save({
-                            name: saveData.name,
-                            code: saveData.code,
-                            prompt: saveData.prompt,
-                            description: prompt
-                        });
-                        AEConjure.UI.showToast('Script saved to library!', 'success');
-                    },
-                    handleUndo
-                );
-                $chatContainer.appendChild(savePrompt);
+            if (mode.variants) {
+                showVariants(result, prompt);
+            } else if (mode.compare) {
+                showComparison(result, prompt);
+            } else if (mode.preview) {
+                showPreviewResult(result, prompt, provider, model);
             } else {
-                // Show failure with all attempts
-                var errorMsg = 'Failed after ' + result.totalAttempts + ' attempt(s).';
-                if (result.finalError) {
-                    errorMsg += '\n\nLast error: ' + result.finalError;
-                }
-                addMessage('assistant', errorMsg, { error: result.finalError });
-
-                // Show the last code if available
-                var lastCode = result.attempts[result.attempts.length - 1];
-                if (lastCode && lastCode.code) {
-                    addMessage('assistant', '```javascript\n' + lastCode.code + '\n```',
-                        null, { onExplain: handleExplain });
-                }
+                showRunResult(result, prompt, provider, model);
             }
 
             scrollToBottom();
         }).catch(function (err) {
+            removeStreamingMessage();
             removeProgress();
             addMessage('assistant', 'Error: ' + (err.message || err), { error: true });
         }).then(function () {
             // .finally() equivalent for broader compatibility
-            isProcessing = false;
-            $runBtn.disabled = false;
-            $runBtn.textContent = 'Run';
+            setProcessing(false);
             $promptInput.focus();
+            // Show models the API rejected during the run
+            if (!mode.variant) {
+                populateModelSelect($providerSelect.value, $modelSelect.value);
+            }
+        });
+    }
+
+    /**
+     * Show the outcome of a generate → execute → retry run.
+     */
+    function showRunResult(result, prompt, provider, model) {
+        if (result.discarded) {
+            var discarded = result.attempts[result.attempts.length - 1].attempt;
+            addMessage('assistant', (discarded > 1 ? 'Discarded attempt ' + discarded : 'Discarded the script') +
+                '; it was not run.', { usage: usageMeta(result.usage) });
+        } else if (result.cancelled) {
+            var done = result.attempts.filter(function (a) { return !a.cancelled; }).length;
+            addMessage('assistant', 'Generation cancelled' +
+                (done > 0 ? ' after ' + done + ' attempt(s).' : '.'), { cancelled: true });
+        } else if (result.success) {
+            // Show final successful response
+            var lastAttempt = result.attempts[result.attempts.length - 1];
+            addMessage('assistant', lastAttempt.rawResponse || '```javascript\n' + lastAttempt.code + '\n```', {
+                success: true,
+                usage: usageMeta(result.usage),
+                structured: result.structured
+            }, { onExplain: handleExplain, onLayerClick: highlightLayers });
+
+            if (result.provider !== provider || result.model !== model) {
+                addSystemMessage('Code generated by fallback ' + describeRoute(result) + '.');
+            }
+
+            // Offer to save + undo
+            var savePrompt = AEConjure.UI.createSavePrompt(
+                result.finalCode,
+                prompt,
+                function (saveData) {
+                    AEConjure.Library.save({
+                        name: saveData.name,
+                        code: saveData.code,
+                        prompt: saveData.prompt,
+                        description: prompt
+                    });
+                    AEConjure.UI.showToast('Script saved to library!', 'success');
+                },
+                handleUndo
+            );
+            $chatContainer.appendChild(savePrompt);
+        } else {
+            // Show failure with all attempts
+            var errorMsg = 'Failed after ' + result.totalAttempts + ' attempt(s).';
+            if (result.finalError) {
+                errorMsg += '\n\nLast error: ' + result.finalError;
+            }
+            if (result.budgetMessage) {
+                errorMsg += '\n\n' + result.budgetMessage;
+            }
+            addMessage('assistant', errorMsg, {
+                error: result.finalError,
+                usage: usageMeta(result.usage)
+            });
+
+            // Show the last code if available
+            var lastCode = result.attempts[result.attempts.length - 1];
+            if (lastCode && lastCode.code) {
+                addMessage('assistant', '```javascript\n' + lastCode.code + '\n```',
+                    null, { onExplain: handleExplain });
+            }
+        }
+    }
+
+    /**
+     * Show a generated script with Run / Edit / Discard and wait for the
+     * user's choice (review-before-run).
+     *
+     * @returns {Promise<Object>} { action: 'run' | 'edit' | 'discard', code }
+     */
+    function reviewScript(code, attemptNum, maxAttempts) {
+        return new Promise(function (resolve) {
+            var element = AEConjure.UI.createReviewPrompt(code, {
+                attempt: attemptNum,
+                maxAttempts: maxAttempts
+            }, { onExplain: handleExplain }, function (decision) {
+                pendingReview = null;
+                if (decision.action !== 'discard') {
+                    updateProgress(attemptNum, maxAttempts, 'Running');
+                }
+                resolve(decision);
+            });
+            pendingReview = { element: element, resolve: resolve };
+            $chatContainer.appendChild(element);
+            scrollToBottom();
+        });
+    }
+
+    /**
+     * Show a preview run: the script and what it would change, with a
+     * button to run it for real. Failures are shown as for a normal run.
+     */
+    function showPreviewResult(result, prompt, provider, model) {
+        if (!result.success) {
+            showRunResult(result, prompt, provider, model);
+            return;
+        }
+
+        var lastAttempt = result.attempts[result.attempts.length - 1];
+        addMessage('assistant', lastAttempt.rawResponse || '```javascript\n' + lastAttempt.code + '\n```', {
+            preview: true,
+            usage: usageMeta(result.usage),
+            structured: result.structured
+        }, { onExplain: handleExplain, onLayerClick: highlightLayers });
+
+        if (result.provider !== provider || result.model !== model) {
+            addSystemMessage('Code generated by fallback ' + describeRoute(result) + '.');
+        }
+
+        $chatContainer.appendChild(AEConjure.UI.createChangeReport(lastAttempt.changes, function () {
+            if (isProcessing) return false;
+            startRun(prompt, {
+                variant: {
+                    provider: result.provider,
+                    model: result.model,
+                    code: lastAttempt.code,
+                    rawResponse: lastAttempt.rawResponse,
+                    structured: lastAttempt.structured
+                }
+            });
+        }));
+    }
+
+    // ---- Variants ----
+
+    /**
+     * Show generated variants as tabs. Nothing has run yet; the variant the
+     * user runs is what goes into the conversation history.
+     */
+    function showVariants(result, prompt) {
+        if (result.cancelled) {
+            addMessage('assistant', 'Generation cancelled.', { cancelled: true });
+            return;
+        }
+        if (!result.success) {
+            var errors = result.variants.map(function (v) { return v.label + ': ' + v.error; });
+            if (result.budgetMessage) errors.push(result.budgetMessage);
+            addMessage('assistant', 'No usable variants.\n\n' + errors.join('\n'), {
+                error: 'All variants failed',
+                usage: usageMeta(result.usage)
+            });
+            return;
+        }
+
+        var ok = result.variants.filter(function (v) { return v.success; }).length;
+        var cost = result.usage && typeof result.usage.cost === 'number'
+            ? ' (' + AEConjure.Usage.formatCost(result.usage.cost) + ')' : '';
+        addSystemMessage(ok + ' of ' + result.variants.length + ' variants ready' + cost +
+            '. Pick one to run, dry-run or compare.' + (result.budgetMessage ? '\n' + result.budgetMessage : ''));
+
+        $chatContainer.appendChild(AEConjure.UI.createVariantTabs(result.variants, {
+            onRun: function (variant) {
+                if (isProcessing) return;
+                startRun(prompt, { variant: variant });
+            },
+            onDryRun: function (variant) {
+                return AEConjure.RetryEngine.dryRun(variant.code);
+            },
+            onExplain: handleExplain,
+            onLayerClick: highlightLayers
+        }));
+    }
+
+    /**
+     * Show provider candidates side by side. As with variants, only the one
+     * the user runs goes into the conversation history.
+     */
+    function showComparison(result, prompt) {
+        if (result.cancelled) {
+            addMessage('assistant', 'Comparison cancelled.', { cancelled: true });
+            return;
+        }
+        if (!result.success) {
+            var errors = result.variants.map(function (v) { return describeRoute(v) + ': ' + v.error; });
+            if (result.budgetMessage) errors.push(result.budgetMessage);
+            addMessage('assistant', 'No provider returned a usable script.\n\n' + errors.join('\n'), {
+                error: 'All providers failed',
+                usage: usageMeta(result.usage)
+            });
+            return;
+        }
+
+        var cost = result.usage && typeof result.usage.cost === 'number'
+            ? ' Total ' + AEConjure.Usage.formatCost(result.usage.cost) + '.' : '';
+        addSystemMessage('Compared ' + result.variants.length + ' providers.' + cost + ' Pick one to run.' +
+            (result.budgetMessage ? '\n' + result.budgetMessage : ''));
+
+        $chatContainer.appendChild(AEConjure.UI.createComparison(result.variants, {
+            onRun: function (entry) {
+                if (isProcessing) return;
+                startRun(prompt, { variant: entry });
+            },
+            onDryRun: function (entry) {
+                return AEConjure.RetryEngine.dryRun(entry.code);
+            },
+            onExplain: handleExplain
+        }));
+    }
+
+    /**
+     * Toggle the panel between idle and processing states.
+     * While processing, Run is disabled and the Stop button is shown.
+     *
+     * @param {boolean} processing
+     * @param {Object} [cancelToken] - Token cancelled by the Stop button
+     */
+    function setProcessing(processing, cancelToken) {
+        isProcessing = processing;
+        activeCancelToken = processing ? cancelToken || null : null;
+        $runBtn.disabled = processing;
+        $runBtn.textContent = processing ? 'Running...' : 'Run';
+        $stopBtn.disabled = false;
+        $stopBtn.classList.toggle('visible', processing);
+    }
+
+    /**
+     * Handle the Stop button: abort the in-flight request and any remaining retries.
+     */
+    function handleStop() {
+        if (!isProcessing || !activeCancelToken) return;
+        activeCancelToken.cancel();
+        if (pendingReview) {
+            AEConjure.UI.settleReviewPrompt(pendingReview.element, 'Cancelled.');
+            pendingReview.resolve({ action: 'discard', code: '' });
+            pendingReview = null;
+        }
+        $stopBtn.disabled = true;
+        $runBtn.textContent = 'Stopping...';
+    }
+
+    /**
+     * Resolve the fallback chain from settings into runnable routes.
+     * Entries without a usable key, unknown providers and the primary
+     * selection itself are skipped.
+     *
+     * @returns {Array<{provider: string, model: string, apiKey: string}>}
+     */
+    function buildFallbackRoutes(primaryProvider, primaryModel) {
+        var chain = AEConjure.Settings.get('fallbackChain') || [];
+        var routes = [];
+        chain.forEach(function (entry) {
+            if (!AEConjure.AIClient.PROVIDERS[entry.provider]) return;
+            if (entry.provider === primaryProvider && entry.model === primaryModel) return;
+            var apiKey = AEConjure.Settings.getApiKey(entry.provider);
+            if (isKeyMissing(entry.provider, apiKey)) return;
+            routes.push({ provider: entry.provider, model: entry.model, apiKey: apiKey });
         });
+        return routes;
+    }
+
+    /**
+     * Human-readable "Provider model" label for a route or attempt.
+     */
+    function describeRoute(route) {
+        var providerData = AEConjure.AIClient.PROVIDERS[route.provider];
+        return (providerData ? providerData.name : route.provider) + ' ' + route.model;
+    }
+
+    /**
+     * Shorten text for inline display.
+     */
+    function truncate(text, max) {
+        text = String(text || '');
+        return text.length > max ? text.substring(0, max) + '\u2026' : text;
+    }
+
+    /**
+     * Check whether a provider needs an API key that hasn't been set.
+     * Custom endpoints (local servers) usually run without one.
+     */
+    function isKeyMissing(provider, apiKey) {
+        var providerData = AEConjure.AIClient.PROVIDERS[provider];
+        return !apiKey && !(providerData && providerData.requiresKey === false);
     }
 
     /**
@@ -292,8 +693,49 @@
         });
     }
 
+    /**
+     * Render the current comp frame to attach to the request, showing a
+     * thumbnail in the user message. Resolves with null (after a note in the
+     * chat) if no provider in the run accepts images or the render fails.
+     *
+     * @param {Object[]} routes - { provider } for each provider in the run
+     * @param {HTMLElement} [userMessage] - Message to attach the thumbnail to
+     * @returns {Promise<Object|null>}
+     */
+    function captureFrame(routes, userMessage) {
+        var supported = routes.some(function (route) {
+            var providerData = AEConjure.AIClient.PROVIDERS[route.provider];
+            return providerData && providerData.images;
+        });
+        if (!supported) {
+            addSystemMessage('Frame not attached: ' + routes.map(describeProvider).join(', ') +
+                (routes.length > 1 ? ' do not' : ' does not') + ' accept images.');
+            return Promise.resolve(null);
+        }
+
+        return AEConjure.Frame.capture().then(function (frame) {
+            if (userMessage) {
+                userMessage.appendChild(AEConjure.UI.createFrameThumbnail(frame));
+                scrollToBottom();
+            }
+            return frame;
+        }, function (err) {
+            addSystemMessage('Frame not attached: ' + (err.message || err));
+            return null;
+        });
+    }
+
+    /**
+     * Display name of a route's provider.
+     */
+    function describeProvider(route) {
+        var providerData = AEConjure.AIClient.PROVIDERS[route.provider];
+        return providerData ? providerData.name : route.provider;
+    }
+
     /**
      * Add a message to the chat container.
+     * @returns {HTMLElement} The message element
      */
     function addMessage(role, content, meta, callbacks) {
         hideOnboarding();
@@ -301,6 +743,7 @@
         $chatContainer.appendChild(msg);
         chatHistory.push({ role: role, content: content });
         scrollToBottom();
+        return msg;
     }
 
     /**
@@ -314,6 +757,31 @@
         scrollToBottom();
     }
 
+    /**
+     * Create or update the live message for a streaming response.
+     * Kept above the progress indicator and not added to chat history.
+     */
+    function updateStreamingMessage(text) {
+        if (!streamingMessage) {
+            streamingMessage = AEConjure.UI.createMessage('assistant', text, { streaming: true });
+            var progress = document.getElementById('progress');
+            $chatContainer.insertBefore(streamingMessage, progress);
+        } else {
+            AEConjure.UI.updateStreamingMessage(streamingMessage, text);
+        }
+        scrollToBottom();
+    }
+
+    /**
+     * Remove the live streaming message (the final result replaces it).
+     */
+    function removeStreamingMessage() {
+        if (streamingMessage) {
+            streamingMessage.remove();
+            streamingMessage = null;
+        }
+    }
+
     /**
      * Update or create progress indicator.
      */
@@ -364,27 +832,136 @@
         var providerData = AEConjure.AIClient.PROVIDERS[provider];
         if (!providerData) return;
 
-        providerData.models.forEach(function (m) {
+        var models = AEConjure.AIClient.getModels(provider);
+        if (models.length === 0) {
+            var placeholder = document.createElement('option');
+            placeholder.value = '';
+            placeholder.textContent = 'Add models in Settings';
+            $modelSelect.appendChild(placeholder);
+            return;
+        }
+
+        selectedModel = selectedModel && AEConjure.AIClient.canonicalModel(provider, selectedModel);
+        models.forEach(function (m) {
             var opt = document.createElement('option');
             opt.value = m.id;
             opt.textContent = m.label;
-            if (m.id === selectedModel || (!selectedModel && m.id === providerData.defaultModel)) {
+            if (m.rejected) {
+                opt.textContent += ' (rejected)';
+                opt.title = m.rejected;
+            } else if (m.unavailable) {
+                opt.textContent += ' (not listed for your key)';
+            }
+            if (m.id === selectedModel || (!selectedModel && m.id === (providerData.defaultModel || models[0].id))) {
                 opt.selected = true;
             }
             $modelSelect.appendChild(opt);
         });
     }
 
+    /**
+     * Fetch the model lists of providers that have a key and refresh the
+     * model dropdown if the selected provider's list changed.
+     *
+     * @param {string[]} providers - Provider keys
+     * @param {boolean} force - Ignore cached lists
+     * @returns {Promise<Object>} Results keyed by provider
+     */
+    function refreshModelLists(providers, force) {
+        var results = {};
+        return Promise.all(providers.map(function (provider) {
+            var apiKey = AEConjure.Settings.getApiKey(provider);
+            return AEConjure.AIClient.refreshModels(provider, apiKey, { force: force }).then(function (result) {
+                results[provider] = result;
+            });
+        })).then(function () {
+            var current = results[$providerSelect.value];
+            if (current && current.success && !current.cached && !isProcessing) {
+                populateModelSelect($providerSelect.value, $modelSelect.value);
+            }
+            return results;
+        });
+    }
+
+    /**
+     * Build one API key field per registered provider in the Settings overlay.
+     */
+    function buildApiKeyFields() {
+        var container = document.getElementById('api-key-fields');
+        container.textContent = '';
+        var providers = AEConjure.AIClient.PROVIDERS;
+        for (var key in providers) {
+            if (providers.hasOwnProperty(key) && providers[key].keyField) {
+                var field = document.createElement('div');
+                field.className = 'settings-field';
+
+                var label = document.createElement('label');
+                label.htmlFor = 'key-' + key;
+                label.textContent = providers[key].keyLabel;
+
+                var input = document.createElement('input');
+                input.type = 'password';
+                input.id = 'key-' + key;
+                input.placeholder = providers[key].keyPlaceholder;
+
+                field.appendChild(label);
+                field.appendChild(input);
+                container.appendChild(field);
+            }
+        }
+    }
+
+    /**
+     * Call fn(providerKey, inputElement) for each generated API key field.
+     */
+    function forEachKeyField(fn) {
+        var providers = AEConjure.AIClient.PROVIDERS;
+        for (var key in providers) {
+            if (providers.hasOwnProperty(key) && providers[key].keyField) {
+                var input = document.getElementById('key-' + key);
+                if (input) fn(key, input);
+            }
+        }
+    }
+
     /**
      * Show settings overlay.
      */
     function showSettings() {
         var settings = AEConjure.Settings.load();
-        document.getElementById('key-anthropic').value = settings.apiKeys.anthropic || '';
-        document.getElementById('key-openai').value = settings.apiKeys.openai || '';
-        document.getElementById('key-google').value = settings.apiKeys.google || '';
+        forEachKeyField(function (key, input) {
+            input.value = settings.apiKeys[key] || '';
+        });
+        var custom = settings.customProvider || {};
+        document.getElementById('custom-base-url').value = custom.baseUrl || '';
+        document.getElementById('custom-auth-header').value = custom.authHeader || 'Authorization';
+        document.getElementById('key-custom').value = settings.apiKeys.custom || '';
+        document.getElementById('custom-models').value = (custom.models || []).join(', ');
         document.getElementById('max-retries').value = settings.maxRetries || 3;
+        document.getElementById('http-retries').value = typeof settings.httpRetries === 'number' ? settings.httpRetries : 4;
         document.getElementById('conversation-turns').value = settings.conversationTurns || 6;
+        document.getElementById('stream-responses').checked = settings.streamResponses !== false;
+        document.getElementById('agent-mode').checked = !!settings.agentMode;
+        document.getElementById('structured-output').checked = !!settings.structuredOutput;
+        document.getElementById('audit-log').checked = !!settings.auditLog;
+        document.getElementById('keep-failed-changes').checked = !!settings.keepFailedChanges;
+        document.getElementById('review-before-run').checked = !!settings.reviewBeforeRun;
+        document.getElementById('record-fixtures').checked = !!settings.recordFixtures;
+        document.getElementById('fixtures-dir').value = settings.fixturesDir || '';
+        var network = settings.network || {};
+        document.getElementById('net-proxy').value = network.proxy || '';
+        document.getElementById('net-no-proxy').value = network.noProxy || '';
+        document.getElementById('net-ca-file').value = network.caFile || '';
+        document.getElementById('net-timeout').value = network.timeout || AEConjure.Net.DEFAULT_TIMEOUT_SEC;
+        document.getElementById('fallback-chain').value = (settings.fallbackChain || []).map(function (entry) {
+            return entry.provider + '/' + entry.model;
+        }).join('\n');
+        document.getElementById('generation-params').value = formatGenerationParams(settings.generation || {});
+        var budget = settings.budget || {};
+        document.getElementById('budget-daily').value = budget.daily || 0;
+        document.getElementById('budget-monthly').value = budget.monthly || 0;
+        document.getElementById('budget-mode').value = budget.mode === 'warn' ? 'warn' : 'block';
+        buildProfileScopes();
         $settingsOverlay.classList.add('visible');
     }
 
@@ -399,15 +976,284 @@
      * Save settings from the overlay form.
      */
     function saveSettings() {
-        AEConjure.Settings.setApiKey('anthropic', document.getElementById('key-anthropic').value.trim());
-        AEConjure.Settings.setApiKey('openai', document.getElementById('key-openai').value.trim());
-        AEConjure.Settings.setApiKey('google', document.getElementById('key-google').value.trim());
+        var changedKeys = [];
+        forEachKeyField(function (key, input) {
+            if (AEConjure.Settings.getApiKey(key) !== input.value.trim()) {
+                changedKeys.push(key);
+            }
+            AEConjure.Settings.setApiKey(key, input.value.trim());
+        });
+        AEConjure.Settings.setApiKey('custom', document.getElementById('key-custom').value.trim());
+        AEConjure.Settings.set('customProvider', {
+            baseUrl: document.getElementById('custom-base-url').value.trim(),
+            authHeader: document.getElementById('custom-auth-header').value.trim() || 'Authorization',
+            models: parseModelList(document.getElementById('custom-models').value)
+        });
         AEConjure.Settings.set('maxRetries', parseInt(document.getElementById('max-retries').value, 10) || 3);
+        var httpRetries = parseInt(document.getElementById('http-retries').value, 10);
+        AEConjure.Settings.set('httpRetries', isNaN(httpRetries) ? 4 : Math.max(0, httpRetries));
         AEConjure.Settings.set('conversationTurns', parseInt(document.getElementById('conversation-turns').value, 10) || 6);
         AEConjure.Settings.set('includeCompContext', $compToggle.checked);
+        AEConjure.Settings.set('streamResponses', document.getElementById('stream-responses').checked);
+        AEConjure.Settings.set('agentMode', document.getElementById('agent-mode').checked);
+        AEConjure.Settings.set('structuredOutput', document.getElementById('structured-output').checked);
+        AEConjure.Settings.set('auditLog', document.getElementById('audit-log').checked);
+        AEConjure.Settings.set('keepFailedChanges', document.getElementById('keep-failed-changes').checked);
+        AEConjure.Settings.set('reviewBeforeRun', document.getElementById('review-before-run').checked);
+        if ($reviewToggle) $reviewToggle.checked = document.getElementById('review-before-run').checked;
+        AEConjure.Settings.set('recordFixtures', document.getElementById('record-fixtures').checked);
+        AEConjure.Settings.set('fixturesDir', document.getElementById('fixtures-dir').value.trim());
+        AEConjure.Settings.set('network', {
+            proxy: document.getElementById('net-proxy').value.trim(),
+            noProxy: document.getElementById('net-no-proxy').value.trim(),
+            caFile: document.getElementById('net-ca-file').value.trim(),
+            timeout: Math.max(10, parseInt(document.getElementById('net-timeout').value, 10) || AEConjure.Net.DEFAULT_TIMEOUT_SEC)
+        });
+        AEConjure.Settings.set('fallbackChain', parseFallbackChain(document.getElementById('fallback-chain').value));
+        AEConjure.Settings.set('generation', parseGenerationParams(document.getElementById('generation-params').value));
+        AEConjure.Settings.set('budget', {
+            daily: Math.max(0, parseFloat(document.getElementById('budget-daily').value) || 0),
+            monthly: Math.max(0, parseFloat(document.getElementById('budget-monthly').value) || 0),
+            mode: document.getElementById('budget-mode').value
+        });
         AEConjure.UI.showToast('Settings saved!', 'success');
         hideSettings();
         updateOnboardingStep();
+
+        // Custom endpoint models (or the fixtures folder) may have changed
+        if ($providerSelect.value === 'custom' || $providerSelect.value === AEConjure.Replay.PROVIDER) {
+            populateModelSelect($providerSelect.value, $modelSelect.value);
+            AEConjure.Settings.set('model', $modelSelect.value);
+        }
+
+        // New keys may see different models
+        if (changedKeys.length > 0) {
+            refreshModelLists(changedKeys, true);
+        }
+    }
+
+    /**
+     * Split a comma/newline separated model list into unique IDs.
+     */
+    function parseModelList(text) {
+        var seen = {};
+        return text.split(/[,\n]/).map(function (id) {
+            return id.trim();
+        }).filter(function (id) {
+            if (!id || seen[id]) return false;
+            seen[id] = true;
+            return true;
+        });
+    }
+
+    /**
+     * Parse "provider/model" lines into fallback chain entries.
+     * Only the first slash separates provider from model, so model IDs
+     * containing slashes (e.g. "meta-llama/Llama-3.1-8B") survive.
+     */
+    function parseFallbackChain(text) {
+        var chain = [];
+        text.split('\n').forEach(function (line) {
+            line = line.trim();
+            var slash = line.indexOf('/');
+            if (!line || slash <= 0 || slash === line.length - 1) return;
+            chain.push({
+                provider: line.substring(0, slash).trim(),
+                model: line.substring(slash + 1).trim()
+            });
+        });
+        return chain;
+    }
+
+    /**
+     * Parse generation parameter lines, one provider or provider/model per line:
+     *   anthropic maxTokens=8192 reasoning=medium
+     *   openai/gpt-4.1: temperature=0.2
+     * Unknown keys and out-of-range values are dropped.
+     *
+     * @returns {Object} Keyed by "provider" or "provider/model"
+     */
+    function parseGenerationParams(text) {
+        var generation = {};
+        text.split('\n').forEach(function (line) {
+            var tokens = line.trim().split(/\s+/);
+            var scope = tokens.shift().replace(/:$/, '');
+            if (!scope) return;
+
+            var params = {};
+            tokens.forEach(function (token) {
+                var eq = token.indexOf('=');
+                if (eq <= 0) return;
+                var key = token.substring(0, eq);
+                var value = token.substring(eq + 1);
+                if (key === 'maxTokens' && parseInt(value, 10) > 0) {
+                    params.maxTokens = parseInt(value, 10);
+                } else if (key === 'temperature' && !isNaN(parseFloat(value))) {
+                    params.temperature = Math.max(0, Math.min(2, parseFloat(value)));
+                } else if (key === 'reasoning' && AEConjure.AIClient.REASONING_LEVELS.indexOf(value) !== -1) {
+                    params.reasoning = value;
+                }
+            });
+            if (Object.keys(params).length > 0) {
+                generation[scope] = params;
+            }
+        });
+        return generation;
+    }
+
+    /**
+     * Format settings.generation back into lines for the settings field.
+     */
+    function formatGenerationParams(generation) {
+        return Object.keys(generation).map(function (scope) {
+            var params = generation[scope];
+            return [scope].concat(Object.keys(params).map(function (key) {
+                return key + '=' + params[key];
+            })).join(' ');
+        }).join('\n');
+    }
+
+    /**
+     * Query the custom endpoint for its models and fill the models field.
+     */
+    function discoverCustomModels() {
+        var $btn = document.getElementById('custom-discover');
+        var $models = document.getElementById('custom-models');
+        $btn.disabled = true;
+
+        AEConjure.AIClient.discoverCustomModels({
+            baseUrl: document.getElementById('custom-base-url').value,
+            authHeader: document.getElementById('custom-auth-header').value,
+            apiKey: document.getElementById('key-custom').value.trim()
+        }).then(function (result) {
+            $btn.disabled = false;
+            if (!result.success) {
+                AEConjure.UI.showToast('Discovery failed: ' + result.error, 'error');
+                return;
+            }
+            if (result.models.length === 0) {
+                AEConjure.UI.showToast('The endpoint did not list any models.', 'info');
+                return;
+            }
+            var merged = parseModelList($models.value + ',' + result.models.join(','));
+            $models.value = merged.join(', ');
+            AEConjure.UI.showToast('Found ' + result.models.length + ' model(s).', 'success');
+        });
+    }
+
+    // ---- Prompt Profiles ----
+
+    /**
+     * Fill the profile pickers: every provider, each of its models, and any
+     * other scope that already has a profile. Keeps the current selection.
+     */
+    function buildProfileScopes() {
+        var Profiles = AEConjure.PromptProfiles;
+        var $scope = document.getElementById('profile-scope');
+        var $kind = document.getElementById('profile-kind');
+        var selected = $scope.value || $providerSelect.value;
+        var custom = Profiles.listScopes();
+        var seen = {};
+
+        function addScope(scope, label) {
+            if (seen[scope]) return;
+            seen[scope] = true;
+            var option = document.createElement('option');
+            option.value = scope;
+            option.textContent = label + (custom.indexOf(scope) !== -1 ? ' \u2022 custom' : '');
+            $scope.appendChild(option);
+        }
+
+        $scope.textContent = '';
+        var providers = AEConjure.AIClient.PROVIDERS;
+        Object.keys(providers).forEach(function (key) {
+            // Replays use the profile of the route they were recorded from
+            if (key === AEConjure.Replay.PROVIDER) return;
+            addScope(key, providers[key].name + ' (all models)');
+            (AEConjure.AIClient.getModels(key) || []).forEach(function (model) {
+                addScope(key + '/' + model.id, providers[key].name + ' \u2014 ' + (model.label || model.id));
+            });
+        });
+        custom.forEach(function (scope) {
+            addScope(scope, scope);
+        });
+        $scope.value = seen[selected] ? selected : $scope.options[0].value;
+
+        if ($kind.options.length === 0) {
+            Profiles.KINDS.forEach(function (kind) {
+                var option = document.createElement('option');
+                option.value = kind;
+                option.textContent = Profiles.KIND_LABELS[kind];
+                $kind.appendChild(option);
+            });
+        }
+        showPromptProfile();
+    }
+
+    /**
+     * Show the prompt in effect for the selected scope and kind, and where it comes from.
+     */
+    function showPromptProfile() {
+        var Profiles = AEConjure.PromptProfiles;
+        var scope = document.getElementById('profile-scope').value;
+        var kind = document.getElementById('profile-kind').value;
+        var $status = document.getElementById('profile-status');
+
+        var profile = Profiles.get(scope, kind);
+        var inherited = !profile && scope.indexOf('/') !== -1 ? Profiles.get(scope.split('/')[0], kind) : null;
+        var effective = profile || inherited;
+        document.getElementById('profile-text').value = effective ? effective.text : Profiles.getDefault(kind);
+
+        var status;
+        if (profile) {
+            status = 'Custom, version ' + profile.version + ', saved ' + new Date(profile.updatedAt).toLocaleString() + '.';
+        } else if (inherited) {
+            status = 'Using the ' + scope.split('/')[0] + ' profile (version ' + inherited.version + '). Save to override it for this model.';
+        } else {
+            status = 'Shipped default (v' + AEConjure.AIClient.PROMPTS_VERSION + ').';
+        }
+        if (Profiles.isOutdated(effective)) {
+            status += ' The shipped defaults have changed since it was written (v' + (effective.baseVersion || 0) +
+                ' \u2192 v' + AEConjure.AIClient.PROMPTS_VERSION + ').';
+        }
+        $status.textContent = status;
+        $status.classList.toggle('outdated', Profiles.isOutdated(effective));
+        document.getElementById('profile-previous').disabled = !(profile && profile.history && profile.history.length);
+        document.getElementById('profile-reset').disabled = !profile;
+    }
+
+    function savePromptProfile() {
+        var scope = document.getElementById('profile-scope').value;
+        var kind = document.getElementById('profile-kind').value;
+        var profile;
+        try {
+            profile = AEConjure.PromptProfiles.save(scope, kind, document.getElementById('profile-text').value);
+        } catch (e) {
+            AEConjure.UI.showToast(e.message, 'error');
+            return;
+        }
+        AEConjure.UI.showToast(profile ? 'Prompt saved (version ' + profile.version + ').' : 'That is the shipped default \u2014 nothing to save.', profile ? 'success' : 'info');
+        buildProfileScopes();
+    }
+
+    function restorePromptProfile() {
+        var profile = AEConjure.PromptProfiles.restorePrevious(
+            document.getElementById('profile-scope').value,
+            document.getElementById('profile-kind').value
+        );
+        if (profile) {
+            AEConjure.UI.showToast('Restored the previous prompt as version ' + profile.version + '.', 'success');
+        }
+        showPromptProfile();
+    }
+
+    function resetPromptProfile() {
+        AEConjure.PromptProfiles.reset(
+            document.getElementById('profile-scope').value,
+            document.getElementById('profile-kind').value
+        );
+        AEConjure.UI.showToast('Prompt reset to the shipped default.', 'success');
+        buildProfileScopes();
     }
 
     /**
@@ -579,10 +1425,11 @@
         var model = $modelSelect.value;
         var apiKey = AEConjure.Settings.getApiKey(provider);
 
-        if (!apiKey) {
+        if (isKeyMissing(provider, apiKey)) {
             AEConjure.UI.showToast('Set your API key first to use refine.', 'error');
             return;
         }
+        if (!checkBudget()) return;
 
         $refineBtn.classList.add('refining');
         $refineBtn.disabled = true;
@@ -600,7 +1447,9 @@
         }).then(function (result) {
             if (result.success && result.refined) {
                 $promptInput.value = result.refined;
-                AEConjure.UI.showToast('Prompt refined!', 'success');
+                var cost = result.usage && typeof result.usage.cost === 'number'
+                    ? ' (' + AEConjure.Usage.formatCost(result.usage.cost) + ')' : '';
+                AEConjure.UI.showToast('Prompt refined!' + cost, 'success');
             } else {
                 AEConjure.UI.showToast('Refine failed: ' + (result.error || 'Unknown error'), 'error');
             }
@@ -691,6 +1540,12 @@
                     '  /help \u2014 Show this help\n' +
                     '  /context \u2014 Show current comp context\n' +
                     '  /kb \u2014 Show knowledge base stats\n' +
+                    '  /usage \u2014 Show token usage and API spend\n' +
+                    '  /variants [n] <prompt> \u2014 Generate n candidate scripts (default 3) to pick from\n' +
+                    '  /compare [provider[:model],...] <prompt> \u2014 Ask several providers side by side\n' +
+                    '  /preview <prompt> \u2014 Run the script, report what it changed, and undo it\n' +
+                    '  /models \u2014 Refresh the model lists from the providers\n' +
+                    '  /log [n] \u2014 Show the last n audit log entries (default 5)\n' +
                     '\n' +
                     'Tips:\n' +
                     '  \u2022 Be specific: "red 100x100 solid" beats "make a layer"\n' +
@@ -714,11 +1569,309 @@
                 }
                 break;
 
+            case '/variants':
+                handleVariantsCommand(parts.slice(1));
+                break;
+
+            case '/compare':
+                handleCompareCommand(parts.slice(1));
+                break;
+
+            case '/preview':
+                handlePreviewCommand(parts.slice(1));
+                break;
+
+            case '/models':
+                addSystemMessage('Fetching model lists...');
+                refreshModelLists(Object.keys(AEConjure.AIClient.PROVIDERS), true).then(function (results) {
+                    addSystemMessage(describeModelRefresh(results));
+                });
+                break;
+
+            case '/usage':
+                addSystemMessage(describeUsage());
+                break;
+
+            case '/log':
+                addSystemMessage(describeAuditLog(parseInt(parts[1], 10) || 5));
+                break;
+
             default:
                 addSystemMessage('Unknown command: ' + cmd + '. Type /help for available commands.');
         }
     }
 
+    /**
+     * /variants [n] <prompt>
+     */
+    function handleVariantsCommand(args) {
+        var count = 3;
+        if (args.length > 0 && /^\d+$/.test(args[0])) {
+            count = parseInt(args.shift(), 10);
+        }
+        var prompt = args.join(' ').trim();
+        var max = AEConjure.RetryEngine.MAX_VARIANTS;
+        if (!prompt) {
+            addSystemMessage('Usage: /variants [2-' + max + '] <prompt>');
+            return;
+        }
+        startRun(prompt, { variants: Math.max(2, Math.min(count, max)) });
+    }
+
+    /**
+     * /preview <prompt>
+     */
+    function handlePreviewCommand(args) {
+        var prompt = args.join(' ').trim();
+        if (!prompt) {
+            addSystemMessage('Usage: /preview <prompt>');
+            return;
+        }
+        startRun(prompt, { preview: true });
+    }
+
+    /**
+     * /compare [provider[:model],...] <prompt>
+     * Without a list, compares the selected model with the fallback chain and
+     * then any other provider that has a key, up to RetryEngine.MAX_COMPARE.
+     */
+    function handleCompareCommand(args) {
+        var routes = args.length > 1 ? parseCompareRoutes(args[0]) : null;
+        if (routes) args.shift();
+        var prompt = args.join(' ').trim();
+        if (!prompt) {
+            addSystemMessage('Usage: /compare [provider[:model],...] <prompt>\n' +
+                'e.g. /compare anthropic,openai:gpt-4.1 Add a drop shadow to the selected layers');
+            return;
+        }
+
+        routes = (routes || defaultCompareRoutes()).filter(function (route) {
+            route.apiKey = AEConjure.Settings.getApiKey(route.provider);
+            return !isKeyMissing(route.provider, route.apiKey);
+        }).slice(0, AEConjure.RetryEngine.MAX_COMPARE);
+
+        if (routes.length < 2) {
+            addSystemMessage('Compare needs at least two providers with API keys. Add keys in Settings, ' +
+                'or name the models: /compare anthropic,openai <prompt>');
+            return;
+        }
+        startRun(prompt, { compare: routes });
+    }
+
+    /**
+     * Parse "anthropic,openai:gpt-4.1". Returns null if any entry is not a
+     * provider, so a prompt that merely starts with a word is left alone.
+     */
+    function parseCompareRoutes(list) {
+        var routes = [];
+        var entries = list.split(',');
+        for (var i = 0; i < entries.length; i++) {
+            var sep = entries[i].indexOf(':');
+            var provider = (sep >= 0 ? entries[i].substring(0, sep) : entries[i]).toLowerCase();
+            if (!AEConjure.AIClient.PROVIDERS[provider]) return null;
+            var model = sep >= 0 ? entries[i].substring(sep + 1) : '';
+            routes.push({ provider: provider, model: model || defaultModel(provider) });
+        }
+        return routes;
+    }
+
+    /**
+     * Selected model, then the fallback chain, then one model per other provider.
+     */
+    function defaultCompareRoutes() {
+        var routes = [{ provider: $providerSelect.value, model: $modelSelect.value }];
+        var seen = {};
+        seen[$providerSelect.value + '/' + $modelSelect.value] = true;
+
+        function add(provider, model) {
+            if (!model || seen[provider + '/' + model]) return;
+            seen[provider + '/' + model] = true;
+            routes.push({ provider: provider, model: model });
+        }
+
+        (AEConjure.Settings.get('fallbackChain') || []).forEach(function (entry) {
+            if (AEConjure.AIClient.PROVIDERS[entry.provider]) add(entry.provider, entry.model);
+        });
+        Object.keys(AEConjure.AIClient.PROVIDERS).forEach(function (provider) {
+            var covered = routes.some(function (route) { return route.provider === provider; });
+            if (!covered) add(provider, defaultModel(provider));
+        });
+        return routes;
+    }
+
+    /**
+     * First listed model of a provider.
+     */
+    function defaultModel(provider) {
+        var models = AEConjure.AIClient.getModels(provider) || [];
+        return models.length > 0 ? models[0].id : '';
+    }
+
+    /**
+     * Summarise a model list refresh for the chat.
+     */
+    function describeModelRefresh(results) {
+        var lines = ['Model lists:'];
+        Object.keys(results).forEach(function (provider) {
+            var result = results[provider];
+            var name = describeProvider({ provider: provider });
+            if (result.success) {
+                var models = AEConjure.AIClient.getModels(provider);
+                var flagged = models.filter(function (m) { return m.unavailable || m.rejected; });
+                lines.push('  ' + name + ': ' + result.models.length + ' models' +
+                    (flagged.length ? ' (not available: ' + flagged.map(function (m) { return m.id; }).join(', ') + ')' : ''));
+            } else if (!result.skipped) {
+                lines.push('  ' + name + ': ' + result.error);
+            }
+        });
+        return lines.join('\n');
+    }
+
+    // ---- Usage ----
+
+    /**
+     * Usage to show under a message, or null if the provider reported none.
+     */
+    function usageMeta(usage) {
+        if (!usage || (!usage.inputTokens && !usage.outputTokens && !usage.cacheReadTokens)) return null;
+        return usage;
+    }
+
+    /**
+     * Show the session spend in the toolbar.
+     */
+    function updateSessionCost(entry, session) {
+        if (!$sessionCost) return;
+        $sessionCost.textContent = AEConjure.Usage.formatCost(session.cost) +
+            (session.unpriced > 0 ? '+' : '');
+    }
+
+    /**
+     * Check the spend limits before sending a request.
+     * Blocks with a toast, or warns and lets the request through.
+     *
+     * @returns {boolean} True if the request may be sent
+     */
+    function checkBudget() {
+        var budget = AEConjure.Usage.checkBudget();
+        if (budget.ok) return true;
+        if (budget.allowed) {
+            AEConjure.UI.showToast(budget.message, 'warning');
+            return true;
+        }
+        AEConjure.UI.showToast(budget.message + ' Raise the limit in Settings to continue.', 'error');
+        return false;
+    }
+
+    /**
+     * Summarize session and monthly usage for /usage.
+     */
+    function describeUsage() {
+        var Usage = AEConjure.Usage;
+
+        function line(label, totals) {
+            return label + ': ' + totals.calls + ' call(s), ' +
+                Usage.formatTokens(totals.inputTokens) + ' in / ' +
+                Usage.formatTokens(totals.outputTokens) + ' out, ' +
+                (totals.cacheReadTokens ? Usage.formatTokens(totals.cacheReadTokens) + ' cached, ' : '') +
+                Usage.formatCost(totals.cost) +
+                (totals.unpriced > 0 ? ' (+' + totals.unpriced + ' unpriced)' : '');
+        }
+
+        var lines = [line('This session', Usage.getSessionTotals()), line('Today', Usage.getDay())];
+        var month = Usage.getMonth();
+        if (month) {
+            lines.push(line('This month', month.total));
+            lines.push('', 'By model:');
+            Object.keys(month.models).forEach(function (key) {
+                lines.push(line('  ' + key, month.models[key]));
+            });
+            lines.push('', 'By request type:');
+            Object.keys(month.kinds).forEach(function (key) {
+                lines.push(line('  ' + key, month.kinds[key]));
+            });
+        }
+        var budget = Usage.checkBudget();
+        if (budget.remaining !== Infinity) {
+            lines.push('', 'Budget remaining: ' + Usage.formatCost(budget.remaining) +
+                (budget.ok ? '' : ' \u2014 ' + budget.message));
+        }
+        if (Usage.LEDGER_FILE) {
+            lines.push('', 'Ledger: ' + Usage.LEDGER_FILE);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Summarize the last entries of the audit log for /log.
+     *
+     * @param {number} count
+     */
+    function describeAuditLog(count) {
+        var AuditLog = AEConjure.AuditLog;
+        var lines = [];
+        var oneLine = function (text) {
+            return String(text).replace(/\s+/g, ' ');
+        };
+        if (!AuditLog.isEnabled()) {
+            lines.push('Audit logging is off (Settings \u2192 Behavior).');
+        }
+
+        var entries = AuditLog.readLast(Math.max(1, Math.min(count, 50)));
+        if (entries.length === 0) {
+            lines.push('The audit log is empty.');
+        }
+        entries.forEach(function (entry) {
+            var head = entry.time.replace('T', ' ').substring(0, 19) + '  ' + entry.type;
+            if (entry.provider) head += '  ' + entry.provider + '/' + entry.model;
+            if (entry.kind) head += ' (' + entry.kind + ')';
+            if (entry.attempt) head += ' attempt ' + entry.attempt;
+            head += '  ' + entry.durationMs + 'ms';
+            if (entry.usage) {
+                head += '  ' + AEConjure.Usage.formatTokens(entry.usage.inputTokens) + ' in / ' +
+                    AEConjure.Usage.formatTokens(entry.usage.outputTokens) + ' out';
+            }
+            lines.push(head);
+
+            if (entry.prompt) lines.push('  Prompt: ' + truncate(oneLine(entry.prompt), 100));
+            if (entry.code) lines.push('  Code: ' + entry.code.split('\n').length + ' line(s)');
+            if (entry.truncated) lines.push('  Reply was cut off at the output limit');
+            if (entry.error) {
+                lines.push('  Error: ' + truncate(oneLine(entry.error), 100) + (entry.line ? ' (line ' + entry.line + ')' : ''));
+            } else if (entry.result) {
+                lines.push('  Result: ' + truncate(oneLine(entry.result), 100));
+            }
+        });
+
+        if (AuditLog.LOG_DIR) {
+            lines.push('', 'Log folder: ' + AuditLog.LOG_DIR);
+        }
+        return lines.join('\n');
+    }
+
+    // ---- Layer Highlighting ----
+
+    /**
+     * Add the named layers in the active comp to the selection so they stand
+     * out in the timeline (the existing selection is kept).
+     *
+     * @param {string[]} names - Layer names
+     */
+    function highlightLayers(names) {
+        csInterface.evalScript('selectLayersByName(' + JSON.stringify(JSON.stringify(names)) + ')', function (result) {
+            try {
+                var parsed = JSON.parse(result);
+                if (!parsed.success) {
+                    AEConjure.UI.showToast(parsed.error, 'error');
+                } else if (parsed.missing.length > 0) {
+                    AEConjure.UI.showToast('Not in the active comp: ' + parsed.missing.join(', '), 'info');
+                }
+            } catch (e) {
+                AEConjure.UI.showToast('Could not select layers', 'error');
+            }
+        });
+    }
+
     // ---- Undo ----
 
     /**
@@ -745,41 +1898,71 @@
      * Send code to AI for explanation.
      */
     function handleExplain(code) {
+        // Explain streams into the shared streaming bubble, so it cannot
+        // overlap a generation (or another explanation)
+        if (isProcessing) {
+            AEConjure.UI.showToast('Wait for the current run to finish, or stop it, before explaining.', 'error');
+            return;
+        }
+
         var provider = $providerSelect.value;
         var apiKey = AEConjure.Settings.getApiKey(provider);
 
-        if (!apiKey) {
+        if (isKeyMissing(provider, apiKey)) {
             AEConjure.UI.showToast('Set your API key first.', 'error');
             return;
         }
+        if (!checkBudget()) return;
 
         addSystemMessage('Explaining...');
 
+        var stream = AEConjure.Settings.get('streamResponses') !== false;
+        var cancelToken = AEConjure.AIClient.createCancelToken();
+        setProcessing(true, cancelToken);
+
         AEConjure.AIClient.explainCode({
             code: code,
             provider: provider,
             model: $modelSelect.value,
-            apiKey: apiKey
+            apiKey: apiKey,
+            cancelToken: cancelToken,
+            onToken: stream ? function (delta, text) {
+                removeExplainingNotice();
+                updateStreamingMessage(text);
+            } : null
         }).then(function (result) {
-            // Remove the "Explaining..." message
-            var messages = $chatContainer.querySelectorAll('.message-system');
-            if (messages.length > 0) {
-                var last = messages[messages.length - 1];
-                if (last.textContent === 'Explaining...') {
-                    last.remove();
-                }
-            }
+            removeExplainingNotice();
+            removeStreamingMessage();
 
             if (result.success) {
-                addMessage('assistant', result.rawResponse);
-            } else {
+                addMessage('assistant', result.rawResponse, { usage: usageMeta(result.usage) });
+            } else if (!cancelToken.cancelled) {
                 AEConjure.UI.showToast('Explain failed: ' + result.error, 'error');
             }
         }).catch(function (err) {
-            AEConjure.UI.showToast('Explain error: ' + (err.message || err), 'error');
+            removeExplainingNotice();
+            removeStreamingMessage();
+            if (!cancelToken.cancelled) {
+                AEConjure.UI.showToast('Explain error: ' + (err.message || err), 'error');
+            }
+        }).then(function () {
+            setProcessing(false);
         });
     }
 
+    /**
+     * Remove the "Explaining..." system message.
+     */
+    function removeExplainingNotice() {
+        var messages = $chatContainer.querySelectorAll('.message-system');
+        if (messages.length > 0) {
+            var last = messages[messages.length - 1];
+            if (last.textContent === 'Explaining...') {
+                last.remove();
+            }
+        }
+    }
+
     // ---- Context Preview ----
 
     /**
@@ -0,0 +1,343 @@
+/**
+ * AE Conjure — Network
+ * Outbound HTTP(S) for every Node.js request the panel makes (AI providers,
+ * model lists, knowledge download). Applies the proxy (Settings or
+ * HTTPS_PROXY / HTTP_PROXY / NO_PROXY), an extra CA bundle for proxies
+ * with TLS inspection, and a shared inactivity timeout.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.Net = (function () {
+    'use strict';
+
+    var http, https, tls, fs, urlModule;
+    try {
+        http = require('http');
+        https = require('https');
+        tls = require('tls');
+        fs = require('fs');
+        urlModule = require('url');
+    } catch (e) {
+        // Node.js modules not available — callers fall back to XHR
+    }
+
+    // Seconds without any data before a request is abandoned. Generous
+    // because non-streamed replies with extended thinking can take minutes.
+    var DEFAULT_TIMEOUT_SEC = 300;
+
+    // Local servers (custom endpoints) are never reached through the proxy
+    var LOOPBACK = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+    var _caCache = { file: '', trust: null };
+
+    /**
+     * Effective network configuration. Settings win over the environment.
+     *
+     * @returns {{ httpsProxy: string, httpProxy: string, noProxy: string[], caFile: string, timeoutMs: number }}
+     */
+    function getConfig() {
+        var network = (AEConjure.Settings && AEConjure.Settings.get('network')) || {};
+        var env = (typeof process !== 'undefined' && process.env) || {};
+        var proxy = (network.proxy || '').trim();
+        var noProxy = network.noProxy || env.NO_PROXY || env.no_proxy || '';
+        var timeout = Number(network.timeout);
+
+        return {
+            httpsProxy: proxy || env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy || '',
+            httpProxy: proxy || env.HTTP_PROXY || env.http_proxy || '',
+            noProxy: noProxy.split(/[,\s]+/).filter(Boolean),
+            caFile: (network.caFile || '').trim(),
+            timeoutMs: (timeout > 0 ? timeout : DEFAULT_TIMEOUT_SEC) * 1000
+        };
+    }
+
+    /**
+     * Whether a host is excluded from proxying by NO_PROXY rules:
+     * '*', exact hosts, 'host:port', and domain suffixes ('.corp.com' or 'corp.com').
+     */
+    function bypassesProxy(hostname, port, noProxy) {
+        hostname = hostname.toLowerCase();
+        if (LOOPBACK.indexOf(hostname) !== -1) return true;
+
+        return noProxy.some(function (rule) {
+            rule = rule.toLowerCase();
+            if (rule === '*') return true;
+            var ruleHost = rule;
+            var colon = rule.lastIndexOf(':');
+            if (colon > 0 && rule.indexOf(']') < colon) {
+                if (rule.substring(colon + 1) !== String(port)) return false;
+                ruleHost = rule.substring(0, colon);
+            }
+            ruleHost = ruleHost.replace(/^\*?\./, '');
+            return hostname === ruleHost || hostname.slice(-(ruleHost.length + 1)) === '.' + ruleHost;
+        });
+    }
+
+    /**
+     * The proxy to use for a target URL, or null to connect directly.
+     *
+     * @param {Object} target - Parsed target URL
+     * @param {Object} config - From getConfig()
+     * @returns {Object|null} Parsed proxy URL
+     */
+    function proxyFor(target, config) {
+        var proxy = target.protocol === 'http:' ? config.httpProxy : config.httpsProxy;
+        if (!proxy || bypassesProxy(target.hostname, targetPort(target), config.noProxy)) {
+            return null;
+        }
+        if (!/^[a-z]+:\/\//i.test(proxy)) proxy = 'http://' + proxy;
+        var parsed = urlModule.parse(proxy);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error('Unsupported proxy protocol ' + parsed.protocol + ' (use http:// or https://).');
+        }
+        return parsed;
+    }
+
+    function targetPort(target) {
+        return target.port || (target.protocol === 'http:' ? 80 : 443);
+    }
+
+    /**
+     * TLS options that trust Node's built-in roots plus the configured PEM
+     * bundle, or null to use the defaults. Read once per file. Node before
+     * 12.3 (CEP 9 and 10) has no tls.rootCertificates to add the bundle to,
+     * so there it goes into a secure context that starts with the defaults.
+     */
+    function getTrust(caFile) {
+        if (!caFile) return null;
+        if (_caCache.file !== caFile) {
+            var pem;
+            try {
+                pem = fs.readFileSync(caFile, 'utf8');
+            } catch (e) {
+                throw new Error('Could not read the CA bundle ' + caFile + ': ' + e.message);
+            }
+            var certs = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+            if (!certs) {
+                throw new Error('No PEM certificates found in ' + caFile + '.');
+            }
+            var trust;
+            if (tls.rootCertificates) {
+                trust = { ca: tls.rootCertificates.concat(certs) };
+            } else {
+                var secureContext = tls.createSecureContext();
+                certs.forEach(function (cert) { secureContext.context.addCACert(cert); });
+                trust = { secureContext: secureContext };
+            }
+            _caCache = { file: caFile, trust: trust };
+        }
+        return _caCache.trust;
+    }
+
+    /**
+     * Copy getTrust() options onto request or TLS options.
+     */
+    function withTrust(options, trust) {
+        for (var key in trust || {}) {
+            if (trust.hasOwnProperty(key)) options[key] = trust[key];
+        }
+        return options;
+    }
+
+    function proxyAuthorization(proxy) {
+        return proxy.auth ? 'Basic ' + Buffer.from(decodeURIComponent(proxy.auth)).toString('base64') : null;
+    }
+
+    /**
+     * Open a CONNECT tunnel through the proxy and start TLS to the target
+     * inside it.
+     *
+     * @returns {{ abort: Function }} Calls done(err, tlsSocket)
+     */
+    function openTunnel(proxy, target, trust, timeoutMs, done) {
+        var host = target.hostname;
+        var port = targetPort(target);
+        var headers = { Host: host + ':' + port };
+        var auth = proxyAuthorization(proxy);
+        if (auth) headers['Proxy-Authorization'] = auth;
+
+        var connect = (proxy.protocol === 'https:' ? https : http).request(withTrust({
+            hostname: proxy.hostname,
+            port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+            method: 'CONNECT',
+            path: host + ':' + port,
+            headers: headers
+        }, trust));
+
+        connect.setTimeout(timeoutMs, function () {
+            connect.abort();
+            done(new Error('The proxy ' + proxy.host + ' did not answer within ' + timeoutMs / 1000 + 's.'));
+        });
+        connect.on('connect', function (res, socket) {
+            connect.setTimeout(0);
+            if (res.statusCode !== 200) {
+                socket.destroy();
+                done(new Error('The proxy ' + proxy.host + ' refused the tunnel to ' + host + ' (HTTP ' + res.statusCode + ').'));
+                return;
+            }
+            done(null, tls.connect(withTrust({ socket: socket, servername: host }, trust)));
+        });
+        connect.on('error', function (e) {
+            done(new Error('Proxy ' + proxy.host + ': ' + e.message));
+        });
+        connect.end();
+
+        return { abort: function () { connect.abort(); } };
+    }
+
+    /**
+     * Send a request with the proxy, CA and timeout settings applied.
+     *
+     * @param {Object} options
+     * @param {string} options.method
+     * @param {string} options.url
+     * @param {Object} [options.headers]
+     * @param {string|Buffer} [options.body]
+     * @param {Function} onResponse - (res) => void with the Node.js response
+     * @param {Function} onError - (Error) => void; called at most once, never after abort()
+     * @returns {{ abort: Function }}
+     */
+    function request(options, onResponse, onError) {
+        var target = urlModule.parse(options.url);
+        var isHttp = target.protocol === 'http:';
+        var config = getConfig();
+        var finished = false;
+        var req = null;
+        var tunnel = null;
+
+        function fail(err) {
+            if (finished) return;
+            finished = true;
+            if (req) req.abort();
+            onError(err);
+        }
+
+        var controller = {
+            abort: function () {
+                finished = true;
+                if (tunnel) tunnel.abort();
+                if (req) req.abort();
+            }
+        };
+
+        var headers = {};
+        for (var name in options.headers || {}) {
+            if (options.headers.hasOwnProperty(name)) headers[name] = options.headers[name];
+        }
+
+        function send(transport, requestOptions) {
+            requestOptions.method = options.method;
+            requestOptions.headers = headers;
+            req = transport.request(requestOptions, function (res) {
+                if (finished) return;
+                res.on('end', function () { finished = true; });
+                onResponse(res);
+            });
+            req.setTimeout(config.timeoutMs, function () {
+                fail(new Error('No response from ' + target.hostname + ' within ' + config.timeoutMs / 1000 + 's.'));
+            });
+            req.on('error', function (e) {
+                fail(e);
+            });
+            if (options.body !== undefined && options.body !== null) req.write(options.body);
+            req.end();
+        }
+
+        var proxy, trust;
+        try {
+            proxy = proxyFor(target, config);
+            trust = isHttp ? null : getTrust(config.caFile);
+        } catch (e) {
+            setTimeout(function () { fail(e); }, 0);
+            return controller;
+        }
+
+        var direct = {
+            hostname: target.hostname,
+            port: targetPort(target),
+            path: target.path
+        };
+
+        if (!proxy) {
+            send(isHttp ? http : https, withTrust(direct, trust));
+        } else if (isHttp) {
+            // Plain HTTP goes to the proxy with the absolute URL as the path
+            var auth = proxyAuthorization(proxy);
+            if (auth) headers['Proxy-Authorization'] = auth;
+            headers.Host = target.host;
+            send(proxy.protocol === 'https:' ? https : http, {
+                hostname: proxy.hostname,
+                port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+                path: options.url
+            });
+        } else {
+            tunnel = openTunnel(proxy, target, trust, config.timeoutMs, function (err, socket) {
+                tunnel = null;
+                if (finished) {
+                    if (socket) socket.destroy();
+                    return;
+                }
+                if (err) {
+                    fail(err);
+                    return;
+                }
+                // Hand the TLS socket to https.request through a one-off agent
+                var agent = new https.Agent({ keepAlive: false });
+                agent.createConnection = function () { return socket; };
+                direct.agent = agent;
+                send(https, direct);
+            });
+        }
+
+        return controller;
+    }
+
+    /**
+     * GET a URL, following up to five redirects.
+     *
+     * @param {string} url
+     * @param {Object} [headers]
+     * @returns {Promise<{ status: number, body: string }>}
+     */
+    function get(url, headers) {
+        var redirects = 0;
+
+        return new Promise(function (resolve, reject) {
+            function fetch(current) {
+                request({ method: 'GET', url: current, headers: headers }, function (res) {
+                    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < 5) {
+                        redirects++;
+                        res.resume();
+                        fetch(urlModule.resolve(current, res.headers.location));
+                        return;
+                    }
+                    var chunks = [];
+                    res.on('data', function (chunk) { chunks.push(chunk); });
+                    res.on('end', function () {
+                        resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString() });
+                    });
+                }, reject);
+            }
+            fetch(url);
+        });
+    }
+
+    /**
+     * Whether Node.js networking is available.
+     * @returns {boolean}
+     */
+    function isAvailable() {
+        return !!http;
+    }
+
+    return {
+        request: request,
+        get: get,
+        isAvailable: isAvailable,
+        getConfig: getConfig,
+        DEFAULT_TIMEOUT_SEC: DEFAULT_TIMEOUT_SEC
+    };
+})();
@@ -0,0 +1,190 @@
+/**
+ * AE Conjure — Prompt Profiles
+ * Per-provider and per-model overrides of the system, explain and refine
+ * prompts (e.g. a stricter code-block rule for Gemini). Stored in
+ * settings.promptProfiles, keyed by scope ('provider' or 'provider/model');
+ * a model override wins over its provider's. Every save bumps the profile's
+ * version and keeps the previous texts, and each profile records which
+ * shipped defaults it was based on.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.PromptProfiles = (function () {
+    'use strict';
+
+    var KINDS = ['system', 'explain', 'refine'];
+    var KIND_LABELS = { system: 'System (script generation)', explain: 'Explain', refine: 'Refine' };
+
+    // Earlier versions kept per profile
+    var MAX_HISTORY = 5;
+
+    /**
+     * All profiles: { scope: { kind: profile } }.
+     */
+    function getAll() {
+        return (AEConjure.Settings && AEConjure.Settings.get('promptProfiles')) || {};
+    }
+
+    function saveAll(profiles) {
+        AEConjure.Settings.set('promptProfiles', profiles);
+    }
+
+    /**
+     * The shipped default for a prompt kind.
+     * @param {string} kind
+     * @returns {string}
+     */
+    function getDefault(kind) {
+        return AEConjure.AIClient.PROMPTS[kind];
+    }
+
+    /**
+     * The override for one scope and kind.
+     *
+     * @param {string} scope - 'provider' or 'provider/model'
+     * @param {string} kind - 'system', 'explain' or 'refine'
+     * @returns {Object|null} { text, version, updatedAt, baseVersion, history: [{ version, text, updatedAt, baseVersion }] }
+     */
+    function get(scope, kind) {
+        var profiles = getAll();
+        return (profiles[scope] && profiles[scope][kind]) || null;
+    }
+
+    /**
+     * The overriding prompt text for a provider/model, or null for the default.
+     * Replay requests use the profile of the route they were recorded from.
+     *
+     * @param {string} kind
+     * @param {string} provider
+     * @param {string} model
+     * @returns {string|null}
+     */
+    function resolve(kind, provider, model) {
+        var route = provider + '/' + model;
+        if (AEConjure.Replay && provider === AEConjure.Replay.PROVIDER) {
+            route = model;
+            provider = model.split('/')[0];
+        }
+        var profile = get(route, kind) || get(provider, kind);
+        return profile ? profile.text : null;
+    }
+
+    /**
+     * Save a prompt for a scope as a new version.
+     * Saving the shipped default text over no override stores nothing.
+     *
+     * @param {string} scope
+     * @param {string} kind
+     * @param {string} text
+     * @returns {Object|null} The stored profile
+     */
+    function save(scope, kind, text) {
+        if (KINDS.indexOf(kind) === -1) {
+            throw new Error('Unknown prompt kind: ' + kind);
+        }
+        text = String(text || '').trim();
+        if (!text) {
+            throw new Error('The prompt is empty. Use Reset to go back to the default.');
+        }
+
+        var profiles = getAll();
+        var current = profiles[scope] && profiles[scope][kind];
+        if (current && current.text === text) return current;
+        if (!current && text === getDefault(kind)) return null;
+
+        profiles[scope] = profiles[scope] || {};
+        profiles[scope][kind] = {
+            text: text,
+            version: current ? current.version + 1 : 1,
+            updatedAt: new Date().toISOString(),
+            baseVersion: AEConjure.AIClient.PROMPTS_VERSION,
+            history: current ? [historyEntry(current)].concat(current.history || []).slice(0, MAX_HISTORY) : []
+        };
+        saveAll(profiles);
+        return profiles[scope][kind];
+    }
+
+    function historyEntry(profile) {
+        return {
+            version: profile.version,
+            text: profile.text,
+            updatedAt: profile.updatedAt,
+            baseVersion: profile.baseVersion
+        };
+    }
+
+    /**
+     * Go back to the previous version. It is stored as a new version, so
+     * version numbers only ever grow, and the current text moves into the
+     * history.
+     *
+     * @returns {Object|null} The stored profile, or null if there is no earlier version
+     */
+    function restorePrevious(scope, kind) {
+        var profiles = getAll();
+        var current = profiles[scope] && profiles[scope][kind];
+        if (!current || !current.history || current.history.length === 0) return null;
+
+        var previous = current.history[0];
+        profiles[scope][kind] = {
+            text: previous.text,
+            version: current.version + 1,
+            updatedAt: new Date().toISOString(),
+            baseVersion: previous.baseVersion,
+            history: [historyEntry(current)].concat(current.history.slice(1))
+        };
+        saveAll(profiles);
+        return profiles[scope][kind];
+    }
+
+    /**
+     * Remove an override so the shipped default applies again.
+     *
+     * @param {string} scope
+     * @param {string} [kind] - Omit to reset every prompt of the scope
+     */
+    function reset(scope, kind) {
+        var profiles = getAll();
+        if (!profiles[scope]) return;
+        if (kind) {
+            delete profiles[scope][kind];
+        }
+        if (!kind || Object.keys(profiles[scope]).length === 0) {
+            delete profiles[scope];
+        }
+        saveAll(profiles);
+    }
+
+    /**
+     * Whether a profile was written against older shipped defaults.
+     * @param {Object} profile
+     * @returns {boolean}
+     */
+    function isOutdated(profile) {
+        return !!profile && (profile.baseVersion || 0) < AEConjure.AIClient.PROMPTS_VERSION;
+    }
+
+    /**
+     * Scopes that override at least one prompt.
+     * @returns {string[]}
+     */
+    function listScopes() {
+        return Object.keys(getAll()).sort();
+    }
+
+    return {
+        KINDS: KINDS,
+        KIND_LABELS: KIND_LABELS,
+        get: get,
+        getDefault: getDefault,
+        resolve: resolve,
+        save: save,
+        restorePrevious: restorePrevious,
+        reset: reset,
+        isOutdated: isOutdated,
+        listScopes: listScopes
+    };
+})();
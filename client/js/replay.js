@@ -0,0 +1,232 @@
+/**
+ * AE Conjure — Record & Replay
+ * Offline testing without network access. With recording on, every reply
+ * from a real provider is saved as a fixture in ~/ae-conjure/fixtures,
+ * keyed by a hash of the request. The "Replay" provider then serves those
+ * replies for identical requests, so prompt building, retries and the UI
+ * can be exercised deterministically.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.Replay = (function () {
+    'use strict';
+
+    var fs, path, os, crypto;
+    try {
+        fs = require('fs');
+        path = require('path');
+        os = require('os');
+        crypto = require('crypto');
+    } catch (e) {
+        // Node.js modules not available — no fixtures can be read or written
+    }
+
+    var PROVIDER = 'replay';
+    var DEFAULT_DIR = os ? path.join(os.homedir(), 'ae-conjure', 'fixtures') : '';
+
+    // Replayed streams are cut into chunks of this many characters
+    var STREAM_CHUNK = 40;
+
+    /**
+     * Whether replies from real providers are being saved as fixtures.
+     * @returns {boolean}
+     */
+    function isRecording() {
+        return !!(fs && AEConjure.Settings && AEConjure.Settings.get('recordFixtures'));
+    }
+
+    /**
+     * Folder holding the fixtures (settings.fixturesDir or ~/ae-conjure/fixtures).
+     * @returns {string}
+     */
+    function getDir() {
+        var configured = AEConjure.Settings && AEConjure.Settings.get('fixturesDir');
+        if (!configured) return DEFAULT_DIR;
+        return configured.replace(/^~(?=$|[\/\\])/, os.homedir());
+    }
+
+    /**
+     * Fixture key for a request. Covers everything that shapes the prompt —
+     * system prompt, messages (including knowledge, comp context, history and
+     * images), tools, response schema and continuation turns — plus the
+     * route. Generation parameters and streaming are left out so a fixture
+     * replays under any settings. Native tool-loop turns differ per provider,
+     * so only their number is included.
+     *
+     * @param {string} route - 'provider/model' the reply came from
+     * @param {Object} request - Neutral request (see AIClient.registerProvider)
+     * @returns {string}
+     */
+    function requestKey(route, request) {
+        var material = JSON.stringify({
+            route: route,
+            system: request.system,
+            messages: request.messages,
+            tools: (request.tools || []).map(function (tool) { return tool.name; }),
+            responseSchema: request.responseSchema || null,
+            continuation: request.continuation || [],
+            toolRounds: (request.nativeTail || []).length
+        });
+        return crypto.createHash('sha256').update(material).digest('hex').substring(0, 16);
+    }
+
+    function fixtureFile(key) {
+        return path.join(getDir(), key + '.json');
+    }
+
+    /**
+     * Save a reply as a fixture, replacing any earlier one for the same request.
+     *
+     * @param {string} provider - Provider that answered
+     * @param {Object} request - Neutral request that was sent
+     * @param {Object} reply - { text, usage, toolCalls, nativeMessage, structured,
+     *     truncated } or { error }, or { httpError: { message, status } }
+     */
+    function save(provider, request, reply) {
+        var route = provider + '/' + request.model;
+        var key = requestKey(route, request);
+        var fixture = {
+            key: key,
+            route: route,
+            recordedAt: new Date().toISOString(),
+            request: {
+                system: request.system,
+                messages: request.messages,
+                continuation: request.continuation
+            },
+            reply: reply
+        };
+
+        try {
+            var dir = getDir();
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(fixtureFile(key), JSON.stringify(fixture, null, 2));
+        } catch (e) {
+            console.warn('AE Conjure Replay: Failed to save fixture:', e.message);
+        }
+    }
+
+    /**
+     * Load the fixture for a key.
+     * @returns {Object|null}
+     */
+    function load(key) {
+        try {
+            return JSON.parse(fs.readFileSync(fixtureFile(key), 'utf8'));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Routes that have at least one fixture, for the model dropdown.
+     * @returns {Array<{id: string, label: string}>}
+     */
+    function listRoutes() {
+        var dir = getDir();
+        if (!fs || !fs.existsSync(dir)) return [];
+        var seen = {};
+        fs.readdirSync(dir).forEach(function (file) {
+            if (!/^[0-9a-f]{16}\.json$/.test(file)) return;
+            try {
+                seen[JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).route] = true;
+            } catch (e) {
+                // Skip unreadable fixtures
+            }
+        });
+        return Object.keys(seen).sort().map(function (route) {
+            return { id: route, label: route };
+        });
+    }
+
+    // ---- Transport ----
+
+    /**
+     * Find the fixture a replay URL points at.
+     * @returns {Promise<Object>} The fixture's reply
+     */
+    function lookup(url) {
+        if (!fs) {
+            return Promise.reject(new Error('Replay needs Node.js file access.'));
+        }
+        var key = url.substring((PROVIDER + ':').length);
+        var fixture = load(key);
+        if (!fixture) {
+            return Promise.reject(new Error('No fixture for this request (' + key + ') in ' + getDir() +
+                '. Turn on fixture recording and send it to a real provider first.'));
+        }
+        var reply = fixture.reply || {};
+        if (reply.httpError) {
+            var err = new Error(reply.httpError.message);
+            err.status = reply.httpError.status;
+            return Promise.reject(err);
+        }
+        return Promise.resolve(reply);
+    }
+
+    var transport = {
+        post: function (url) {
+            return lookup(url).then(function (reply) {
+                return JSON.stringify(reply);
+            });
+        },
+        stream: function (url, body, headers, cancelToken, onData) {
+            return lookup(url).then(function (reply) {
+                if (reply.error) {
+                    onData(JSON.stringify({ error: reply.error }));
+                    return;
+                }
+                var text = reply.text || '';
+                for (var i = 0; i < text.length; i += STREAM_CHUNK) {
+                    if (cancelToken && cancelToken.cancelled) {
+                        throw AEConjure.AIClient.CANCELLED;
+                    }
+                    onData(JSON.stringify({ text: text.substring(i, i + STREAM_CHUNK) }));
+                }
+                onData(JSON.stringify({ usage: reply.usage, truncated: reply.truncated }));
+            });
+        }
+    };
+
+    // The request's model is the recorded route, so the key matches the
+    // one computed while recording.
+    AEConjure.AIClient.registerProvider(PROVIDER, {
+        name: 'Replay',
+        requiresKey: false,
+        keyField: false,
+        auth: { type: 'none' },
+        getModels: listRoutes,
+        images: true,
+        transport: transport,
+        buildRequest: function (request) {
+            if (!request.model) {
+                throw new Error('No recorded fixtures. Turn on fixture recording in Settings and run some prompts first.');
+            }
+            return { url: PROVIDER + ':' + requestKey(request.model, request), body: {} };
+        },
+        // Fixtures already hold the parsed reply
+        parseResponse: function (reply) {
+            return reply;
+        },
+        parseStreamEvent: function (event) {
+            return event;
+        },
+        formatToolResults: function (results) {
+            return [{ role: 'tool', results: results }];
+        }
+    });
+
+    return {
+        isRecording: isRecording,
+        getDir: getDir,
+        requestKey: requestKey,
+        save: save,
+        listRoutes: listRoutes,
+        PROVIDER: PROVIDER
+    };
+})();
@@ -11,6 +11,17 @@ AEConjure.RetryEngine = (function () {
     'use strict';
 
     var DEFAULT_MAX_RETRIES = 3;
+    var MAX_VARIANTS = 5;
+    var MAX_COMPARE = 3;
+
+    // Nudges that make parallel variants differ; the first is the plain request
+    var VARIANT_HINTS = [
+        '',
+        'Interpret the request boldly: stronger, more pronounced changes.',
+        'Interpret the request subtly: restrained, minimal changes.',
+        'Use a different technique than the most obvious one (e.g. expressions instead of keyframes, or the reverse).',
+        'Where the request is ambiguous, choose a different reading than the most literal one.'
+    ];
 
     /**
      * Run the full generate → execute → retry loop.
@@ -24,61 +35,219 @@ AEConjure.RetryEngine = (function () {
      * @param {number} [options.maxRetries] - Max retry attempts (default: 3)
      * @param {Function} [options.onAttempt] - Callback for each attempt: (attemptNum, totalAttempts, status)
      * @param {Function} [options.onCode] - Callback when code is generated: (code, attemptNum)
-     * @returns {Promise<Object>} Final result with all attempts
+     * @param {Function} [options.onTranspile] - Code was rewritten to ES3 before running: (changes, attemptNum);
+     *     changes as from ES3.downlevel()
+     * @param {boolean} [options.keepFailedChanges] - Leave what a failed script changed in the project
+     *     instead of undoing it (for debugging)
+     * @param {Function} [options.onRollback] - A failed attempt's changes were undone: (rollback, attemptNum);
+     *     rollback is { undone, verified, remaining, error } (see rollback())
+     * @param {Function} [options.onApiCheck] - The API check stopped a script before it ran: (findings, attemptNum);
+     *     findings as from APICheck.check()
+     * @param {Function} [options.onReview] - Review-before-run: called with each generated script,
+     *     retries included, before anything else happens to it: (code, attemptNum) => Promise resolving
+     *     to { action: 'run' | 'edit' | 'discard', code } where 'edit' runs the given code instead.
+     *     Discarding ends the run (result.discarded). Not called for options.initialCode
+     * @param {Function} [options.onStream] - Stream the response as it arrives: (textSoFar, attemptNum)
+     * @param {Object} [options.cancelToken] - From AIClient.createCancelToken(); stops the loop when cancelled
+     * @param {Function} [options.onBackoff] - Provider busy, waiting before a transport retry: (info, attemptNum)
+     * @param {Object[]} [options.fallbacks] - Ordered { provider, model, apiKey } to try when the AI call fails
+     * @param {Function} [options.onFallback] - Switching providers: (failedRoute, nextRoute, errorMessage)
+     * @param {boolean} [options.structured] - Ask for structured JSON replies (see AIClient.sendPrompt)
+     * @param {Object[]} [options.images] - Images sent with every attempt, e.g. a rendered frame
+     *     (see AIClient.sendPrompt)
+     * @param {Object[]} [options.tools] - Agent mode: tools the model may call (see AIClient.sendPrompt)
+     * @param {Function} [options.onToolCall] - Runs a tool call: (call, attemptNum) => Promise<string>
+     * @param {Function} [options.onBudgetWarning] - Retrying, running another agent tool round or sending
+     *     candidates past the spend limit in 'warn' mode (once per run): (message, attemptNum)
+     * @param {number} [options.variants] - Variants mode: generate this many candidates in parallel
+     *     (max 5) without executing them; resolves with { success, cancelled, variants, usage }
+     * @param {Object[]} [options.compare] - Compare mode: send the prompt to each
+     *     { provider, model, apiKey } in parallel (max 3) without executing; resolves like variants mode
+     * @param {Object} [options.initialCode] - Run this candidate as attempt 1 instead of generating:
+     *     { code, rawResponse, structured } (e.g. a chosen variant); retries work as usual
+     * @param {boolean} [options.preview] - Preview mode: run each attempt with preview() and undo it
+     *     straight away; a successful attempt carries the change report in its changes property
+     * @returns {Promise<Object>} Final result with all attempts; budgetMessage is set
+     *     when a retry or candidate was skipped because it would exceed the spend limit
      */
     function run(options) {
+        if (options.compare && options.compare.length > 0) {
+            return compareProviders(options);
+        }
+        if (options.variants > 1) {
+            return generateVariants(options);
+        }
+
         var maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
         var attempts = [];
         var csInterface = new CSInterface();
+        var cancelToken = options.cancelToken || null;
+
+        // Provider chain: the selected provider first, then configured fallbacks
+        var routes = [{ provider: options.provider, model: options.model, apiKey: options.apiKey }]
+            .concat(options.fallbacks || []);
+        var routeIndex = 0;
+        var budgetWarned = false;
 
         return executeAttempt(0);
 
+        function isCancelled() {
+            return !!(cancelToken && cancelToken.cancelled);
+        }
+
+        /**
+         * Passes the first spend-limit warning of the run (a retry or an
+         * agent tool round in 'warn' mode) on to options.onBudgetWarning.
+         */
+        function budgetWarning(attemptNum) {
+            return function (message) {
+                if (budgetWarned || !options.onBudgetWarning) return;
+                budgetWarned = true;
+                options.onBudgetWarning(message, attemptNum);
+            };
+        }
+
+        function cancelled(attemptNum, code) {
+            attempts.push({
+                attempt: attemptNum,
+                code: code || '',
+                provider: routes[routeIndex].provider,
+                model: routes[routeIndex].model,
+                success: false,
+                cancelled: true,
+                error: AEConjure.AIClient.CANCELLED
+            });
+            return buildFinalResult(attempts, false);
+        }
+
+        /**
+         * Record a failed AI call, then move down the fallback chain.
+         * Switching providers does not use up a code-fix retry.
+         */
+        function aiFailed(attemptIndex, message, usage) {
+            var route = routes[routeIndex];
+            attempts.push({
+                attempt: attemptIndex + 1,
+                code: '',
+                provider: route.provider,
+                model: route.model,
+                usage: usage || null,
+                aiError: message,
+                success: false,
+                error: 'AI generation failed: ' + message
+            });
+
+            if (routeIndex < routes.length - 1) {
+                routeIndex++;
+                if (options.onFallback) {
+                    options.onFallback(route, routes[routeIndex], message);
+                }
+                return executeAttempt(attemptIndex);
+            }
+            return buildFinalResult(attempts, false);
+        }
+
         function executeAttempt(attemptIndex) {
             var attemptNum = attemptIndex + 1;
             var isRetry = attemptIndex > 0;
 
+            if (isCancelled()) {
+                return Promise.resolve(cancelled(attemptNum));
+            }
+
             // Notify progress
             if (options.onAttempt) {
                 options.onAttempt(attemptNum, maxRetries, isRetry ? 'retrying' : 'generating');
             }
 
+            var route = routes[routeIndex];
+
             // Build retry context if this is a retry
             var retryContext = '';
             if (isRetry) {
-                var lastAttempt = attempts[attempts.length - 1];
+                var budget = checkRetryBudget(attempts);
+                if (budget && !budget.allowed) {
+                    var stopped = buildFinalResult(attempts, false);
+                    stopped.budgetMessage = budget.message + ' Stopped before attempt ' + attemptNum + '.';
+                    return Promise.resolve(stopped);
+                }
+                if (budget && !budget.ok) {
+                    budgetWarning(attemptNum)(budget.message);
+                }
+
+                var lastAttempt = lastCodeAttempt(attempts);
                 retryContext = buildRetryPrompt(
                     options.prompt,
                     lastAttempt.code,
-                    lastAttempt.error
+                    lastAttempt.error,
+                    lastAttempt.apiFindings
                 );
             }
 
-            // Generate code via AI
-            return AEConjure.AIClient.sendPrompt({
+            // Generate code via AI, unless the first attempt's code was supplied
+            var generated = (!isRetry && options.initialCode) ? Promise.resolve({
+                success: true,
+                code: options.initialCode.code,
+                rawResponse: options.initialCode.rawResponse,
+                structured: options.initialCode.structured
+            }) : AEConjure.AIClient.sendPrompt({
                 prompt: isRetry ? retryContext : options.prompt,
-                provider: options.provider,
-                model: options.model,
-                apiKey: options.apiKey,
+                knowledgeQuery: options.prompt,
+                provider: route.provider,
+                model: route.model,
+                apiKey: route.apiKey,
                 compContext: options.compContext,
-                history: options.history || []
-            }).then(function (aiResult) {
-                if (!aiResult.success) {
+                history: options.history || [],
+                images: options.images,
+                onToken: options.onStream ? function (delta, text) {
+                    options.onStream(text, attemptNum);
+                } : null,
+                cancelToken: cancelToken,
+                onBackoff: options.onBackoff ? function (info) {
+                    options.onBackoff(info, attemptNum);
+                } : null,
+                usageKind: isRetry ? 'retry' : 'generate',
+                structured: options.structured,
+                tools: options.tools,
+                onToolCall: options.onToolCall ? function (call) {
+                    return options.onToolCall(call, attemptNum);
+                } : null,
+                onBudgetWarning: budgetWarning(attemptNum)
+            });
+
+            return generated.then(function (aiResult) {
+                if (isCancelled()) {
+                    return cancelled(attemptNum, aiResult.code);
+                }
+
+                // Another provider would spend past the limit just the same
+                if (aiResult.budgetExceeded) {
                     attempts.push({
                         attempt: attemptNum,
                         code: '',
+                        provider: route.provider,
+                        model: route.model,
+                        usage: aiResult.usage || null,
                         aiError: aiResult.error,
                         success: false,
-                        error: 'AI generation failed: ' + aiResult.error
+                        error: aiResult.error
                     });
                     return buildFinalResult(attempts, false);
                 }
 
+                if (!aiResult.success) {
+                    return aiFailed(attemptIndex, aiResult.error, aiResult.usage);
+                }
+
                 var code = aiResult.code;
                 if (!code) {
                     attempts.push({
                         attempt: attemptNum,
                         code: '',
+                        provider: route.provider,
+                        model: route.model,
                         rawResponse: aiResult.rawResponse,
+                        usage: aiResult.usage || null,
                         success: false,
                         error: 'AI response did not contain a code block.'
                     });
@@ -94,16 +263,134 @@ AEConjure.RetryEngine = (function () {
                     options.onCode(code, attemptNum);
                 }
 
+                // Review-before-run: wait for the user to run, edit or discard
+                // the script. Supplied code was already chosen by the user.
+                if (!options.onReview || (!isRetry && options.initialCode)) {
+                    return checkAndExecute(code, aiResult, false);
+                }
+                return options.onReview(code, attemptNum).then(function (decision) {
+                    if (isCancelled()) {
+                        return cancelled(attemptNum, code);
+                    }
+                    if (decision.action === 'discard') {
+                        attempts.push({
+                            attempt: attemptNum,
+                            code: code,
+                            provider: route.provider,
+                            model: route.model,
+                            rawResponse: aiResult.rawResponse,
+                            structured: aiResult.structured || null,
+                            usage: aiResult.usage || null,
+                            success: false,
+                            discarded: true,
+                            error: 'Discarded before running.'
+                        });
+                        return buildFinalResult(attempts, false);
+                    }
+                    if (decision.action === 'edit') {
+                        return checkAndExecute(decision.code, aiResult, true);
+                    }
+                    return checkAndExecute(code, aiResult, false);
+                });
+            }).catch(function (err) {
+                if (isCancelled()) {
+                    return cancelled(attemptNum);
+                }
+                return aiFailed(attemptIndex, typeof err === 'string' ? err : (err.message || err.error || JSON.stringify(err)));
+            });
+
+            /**
+             * Down-level, check and execute an attempt's code.
+             * edited is true when the user changed the code during review.
+             */
+            function checkAndExecute(code, aiResult, edited) {
+                // Rewrite ES6 syntax for ExtendScript; only what cannot be
+                // rewritten goes back to the AI
+                var downleveled = downlevel(code);
+                if (!downleveled.success) {
+                    attempts.push({
+                        attempt: attemptNum,
+                        code: code,
+                        provider: route.provider,
+                        model: route.model,
+                        rawResponse: aiResult.rawResponse,
+                        structured: aiResult.structured || null,
+                        usage: aiResult.usage || null,
+                        edited: edited,
+                        success: false,
+                        error: downleveled.error
+                    });
+                    if (attemptNum < maxRetries) {
+                        return executeAttempt(attemptIndex + 1);
+                    }
+                    return buildFinalResult(attempts, false);
+                }
+                if (downleveled.changes.length > 0) {
+                    code = downleveled.code;
+                    if (options.onTranspile) {
+                        options.onTranspile(downleveled.changes, attemptNum);
+                    }
+                }
+
+                // Catch wrong-class members and call signatures without
+                // touching the project; warnings only go along with a retry
+                var findings = checkAPI(code);
+                if (findings.errors.length > 0) {
+                    if (options.onApiCheck) {
+                        options.onApiCheck(findings, attemptNum);
+                    }
+                    var more = findings.errors.length - 1;
+                    attempts.push({
+                        attempt: attemptNum,
+                        code: code,
+                        provider: route.provider,
+                        model: route.model,
+                        rawResponse: aiResult.rawResponse,
+                        structured: aiResult.structured || null,
+                        usage: aiResult.usage || null,
+                        edited: edited,
+                        success: false,
+                        error: 'Not run — API check: ' + findings.errors[0].message + (more > 0 ? ' (+' + more + ' more)' : ''),
+                        apiFindings: findings
+                    });
+                    if (attemptNum < maxRetries) {
+                        return executeAttempt(attemptIndex + 1);
+                    }
+                    return buildFinalResult(attempts, false);
+                }
+
                 // Execute in After Effects (pass prompt as undo label)
                 var undoLabel = 'AE Conjure: ' + options.prompt;
-                return executeInAE(csInterface, code, undoLabel).then(function (execResult) {
+                var started;
+                var snapshot = null;
+                // A preview undoes itself, so there is nothing to roll back
+                var snapshotTaken = (options.keepFailedChanges || options.preview)
+                    ? Promise.resolve(null) : getChangeSnapshot(csInterface);
+                return snapshotTaken.then(function (before) {
+                    snapshot = before;
+                    started = Date.now();
+                    return options.preview ? previewInAE(csInterface, code) : executeInAE(csInterface, code, undoLabel);
+                }).then(function (execResult) {
+                    logExecution(options.preview ? 'preview' : 'execution', code, execResult, started, {
+                        prompt: options.prompt,
+                        attempt: attemptNum,
+                        provider: route.provider,
+                        model: route.model
+                    });
                     var attempt = {
                         attempt: attemptNum,
                         code: code,
+                        provider: route.provider,
+                        model: route.model,
                         rawResponse: aiResult.rawResponse,
+                        structured: aiResult.structured || null,
+                        usage: aiResult.usage || null,
+                        edited: edited,
                         success: execResult.success,
                         result: execResult.result || null,
-                        error: execResult.error || null
+                        error: execResult.error || null,
+                        apiFindings: findings,
+                        changes: execResult.changes || null
                     };
                     attempts.push(attempt);
 
@@ -111,23 +398,333 @@ AEConjure.RetryEngine = (function () {
                         return buildFinalResult(attempts, true);
                     }
 
-                    // Retry if under limit
-                    if (attemptNum < maxRetries) {
-                        return executeAttempt(attemptIndex + 1);
+                    // Undo whatever the failed script managed to change, so
+                    // the next attempt starts from the same project
+                    var rolledBack = Promise.resolve();
+                    if (!options.keepFailedChanges && execResult.undoGroup) {
+                        rolledBack = rollback(csInterface, snapshot).then(function (info) {
+                            attempt.rollback = info;
+                            if (options.onRollback) {
+                                options.onRollback(info, attemptNum);
+                            }
+                        });
                     }
 
-                    return buildFinalResult(attempts, false);
-                });
-            }).catch(function (err) {
-                attempts.push({
-                    attempt: attemptNum,
-                    code: '',
-                    success: false,
-                    error: typeof err === 'string' ? err : (err.message || JSON.stringify(err))
+                    return rolledBack.then(function () {
+                        // Retry if under limit
+                        if (attemptNum < maxRetries) {
+                            return executeAttempt(attemptIndex + 1);
+                        }
+                        return buildFinalResult(attempts, false);
+                    });
                 });
-                return buildFinalResult(attempts, false);
+            }
+        }
+    }
+
+    /**
+     * Variants mode: request several candidates for the same prompt in
+     * parallel. Nothing is executed; the caller runs the one the user picks
+     * via run({ initialCode }).
+     *
+     * @param {Object} options - As for run()
+     * @returns {Promise<Object>} { success, cancelled, variants, usage, budgetMessage }; each variant is
+     *     { index, label, provider, model, success, code, rawResponse, structured, usage, latencyMs, error }.
+     *     Candidates that would exceed the spend limit are not requested; budgetMessage then says so
+     */
+    function generateVariants(options) {
+        var route = { provider: options.provider, model: options.model, apiKey: options.apiKey };
+        var routes = [];
+        for (var i = 0; i < Math.min(options.variants, MAX_VARIANTS); i++) {
+            routes.push(route);
+        }
+
+        var fit = fitCandidates(options, routes);
+        var requests = [];
+        for (var j = 0; j < fit.count; j++) {
+            requests.push(generateVariant(options, j, route, VARIANT_HINTS[j % VARIANT_HINTS.length], 'variant'));
+        }
+
+        return collectVariants(options, requests, fit.message);
+    }
+
+    /**
+     * Compare mode: send the same prompt, comp context and knowledge to
+     * several providers in parallel. Each candidate is labelled with its
+     * provider and carries its latency; the caller runs the one the user
+     * picks via run({ initialCode }).
+     *
+     * @param {Object} options - As for run(), with options.compare routes
+     * @returns {Promise<Object>} As generateVariants()
+     */
+    function compareProviders(options) {
+        var routes = options.compare.slice(0, MAX_COMPARE);
+        var fit = fitCandidates(options, routes);
+        var requests = routes.slice(0, fit.count).map(function (route, i) {
+            return generateVariant(options, i, route, '', 'compare');
+        });
+        return collectVariants(options, requests, fit.message);
+    }
+
+    /**
+     * Wait for parallel candidates and summarise them.
+     *
+     * @param {string} [budgetMessage] - Set when fitCandidates() dropped candidates
+     */
+    function collectVariants(options, requests, budgetMessage) {
+        var cancelToken = options.cancelToken || null;
+        return Promise.all(requests).then(function (variants) {
+            var cancelled = !!(cancelToken && cancelToken.cancelled);
+            var result = {
+                success: !cancelled && variants.some(function (v) { return v.success; }),
+                cancelled: cancelled,
+                variants: variants,
+                usage: sumUsage(variants)
+            };
+            if (budgetMessage) result.budgetMessage = budgetMessage;
+            return result;
+        });
+    }
+
+    /**
+     * How many of a set of parallel candidates fit in the spend limit, taking
+     * them in order. They are sent at once, so unlike retries they are checked
+     * together up front. In 'warn' mode all of them go ahead after a warning.
+     *
+     * @param {Object} options - As for run()
+     * @param {Object[]} routes - { provider, model } of each candidate
+     * @returns {{ count: number, message: string }} message says why candidates were dropped
+     */
+    function fitCandidates(options, routes) {
+        if (!AEConjure.Usage) return { count: routes.length, message: '' };
+        var estimates = routes.map(function (route) {
+            return estimateCandidateCost(options, route);
+        });
+        var total = estimates.reduce(function (sum, cost) { return sum + cost; }, 0);
+        var budget = AEConjure.Usage.checkBudget(total);
+        if (budget.ok) return { count: routes.length, message: '' };
+        if (budget.allowed) {
+            if (options.onBudgetWarning) options.onBudgetWarning(budget.message, 1);
+            return { count: routes.length, message: '' };
+        }
+
+        var count = 0;
+        var planned = 0;
+        while (count < estimates.length && planned + estimates[count] <= budget.remaining) {
+            planned += estimates[count];
+            count++;
+        }
+        var message = budget.remaining > 0
+            ? 'The ' + routes.length + ' requests would cost about ' + AEConjure.Usage.formatCost(total) +
+                ', but only ' + AEConjure.Usage.formatCost(budget.remaining) + ' of the spend limit remains.'
+            : budget.message;
+        return {
+            count: count,
+            message: message + (count > 0 ? ' Sent ' + count + ' of ' + routes.length + ' requests.' : ' Nothing was sent.')
+        };
+    }
+
+    /**
+     * Rough cost of one candidate request: the system prompt, request, comp
+     * context and history at about four characters per token, and a reply
+     * that fills the output limit. 0 if the model has no price.
+     */
+    function estimateCandidateCost(options, route) {
+        var AIClient = AEConjure.AIClient;
+        var chars = AIClient.resolvePrompt('system', route.provider, route.model).length +
+            options.prompt.length + (options.compContext || '').length;
+        (options.history || []).forEach(function (turn) {
+            chars += AIClient.contentText(turn.content).length;
+        });
+        var params = AIClient.getGenerationParams(route.provider, route.model);
+        return AEConjure.Usage.estimateCost(route.provider, route.model, {
+            inputTokens: Math.ceil(chars / 4),
+            outputTokens: params.maxTokens || AIClient.DEFAULT_MAX_TOKENS
+        }) || 0;
+    }
+
+    /**
+     * Request one candidate. Never rejects; failures are reported on the variant.
+     *
+     * @param {Object} options - As for run()
+     * @param {number} index - Position in the set
+     * @param {Object} route - { provider, model, apiKey }
+     * @param {string} hint - Appended to the prompt to steer this candidate
+     * @param {string} usageKind - 'variant' or 'compare'
+     */
+    function generateVariant(options, index, route, hint, usageKind) {
+        var variant = {
+            index: index,
+            label: String.fromCharCode(65 + index), // A, B, C...
+            provider: route.provider,
+            model: route.model,
+            success: false,
+            code: '',
+            rawResponse: '',
+            structured: null,
+            usage: null,
+            latencyMs: null,
+            error: null
+        };
+        var started = Date.now();
+
+        return AEConjure.AIClient.sendPrompt({
+            prompt: hint ? options.prompt + '\n\n' + hint : options.prompt,
+            knowledgeQuery: options.prompt,
+            provider: route.provider,
+            model: route.model,
+            apiKey: route.apiKey,
+            compContext: options.compContext,
+            history: options.history || [],
+            images: options.images,
+            cancelToken: options.cancelToken,
+            onBackoff: options.onBackoff ? function (info) {
+                options.onBackoff(info, index + 1);
+            } : null,
+            usageKind: usageKind,
+            structured: options.structured,
+            tools: options.tools,
+            onToolCall: options.onToolCall ? function (call) {
+                return options.onToolCall(call, index + 1);
+            } : null,
+            onBudgetWarning: options.onBudgetWarning ? function (message) {
+                options.onBudgetWarning(message, index + 1);
+            } : null
+        }).then(function (aiResult) {
+            variant.latencyMs = Date.now() - started;
+            variant.usage = aiResult.usage || null;
+            variant.rawResponse = aiResult.rawResponse || '';
+            variant.structured = aiResult.structured || null;
+            variant.code = aiResult.code || '';
+            variant.success = !!(aiResult.success && aiResult.code);
+            variant.error = aiResult.success
+                ? (aiResult.code ? null : 'AI response did not contain a code block.')
+                : aiResult.error;
+            return variant;
+        }, function (err) {
+            variant.latencyMs = Date.now() - started;
+            variant.error = typeof err === 'string' ? err : (err.message || err.error || JSON.stringify(err));
+            return variant;
+        });
+    }
+
+    /**
+     * Try a script and undo it straight away (host dryRunScript). The code
+     * is down-leveled to ES3 first, as for a real run.
+     *
+     * @param {string} code - ExtendScript code
+     * @returns {Promise<Object>} { success, result/error, dryRun: true }
+     */
+    function dryRun(code) {
+        var csInterface = new CSInterface();
+        var started = Date.now();
+        var downleveled = downlevel(code);
+        if (!downleveled.success) {
+            return Promise.resolve({ success: false, error: downleveled.error, line: downleveled.line, dryRun: true });
+        }
+        code = downleveled.code;
+        return new Promise(function (resolve) {
+            csInterface.evalScript("dryRunScript('" + escapeForEval(code) + "')", function (result) {
+                if (result === 'EvalScript error.' || result === EvalScript_ErrMessage) {
+                    resolve({
+                        success: false,
+                        error: 'ExtendScript evaluation error. The host script may not be loaded.'
+                    });
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(result));
+                } catch (e) {
+                    resolve({ success: true, result: result, dryRun: true });
+                }
             });
+        }).then(function (outcome) {
+            logExecution('dry-run', code, outcome, started, {});
+            return outcome;
+        });
+    }
+
+    /**
+     * Preview a script: run it, record what it changed, and undo it (host
+     * previewScript). The code is down-leveled to ES3 first, as for a real run.
+     *
+     * @param {string} code - ExtendScript code
+     * @returns {Promise<Object>} { success, result/error, changes, undone, preview: true };
+     *     changes is a ChangeReport.diff() report, or null if the project could not be read
+     */
+    function preview(code) {
+        var csInterface = new CSInterface();
+        var started = Date.now();
+        var downleveled = downlevel(code);
+        if (!downleveled.success) {
+            return Promise.resolve({ success: false, error: downleveled.error, line: downleveled.line, changes: null, preview: true });
         }
+        code = downleveled.code;
+        return previewInAE(csInterface, code).then(function (outcome) {
+            logExecution('preview', code, outcome, started, {});
+            return outcome;
+        });
+    }
+
+    /**
+     * Run host previewScript and turn its snapshots into a change report.
+     */
+    function previewInAE(csInterface, code) {
+        return callHost(csInterface, "previewScript('" + escapeForEval(code) + "')").then(function (outcome) {
+            outcome.changes = (outcome.before && outcome.after && AEConjure.ChangeReport)
+                ? AEConjure.ChangeReport.diff(outcome.before, outcome.after) : null;
+            // The snapshots hold every property value; only the report is kept
+            delete outcome.before;
+            delete outcome.after;
+            outcome.preview = true;
+            return outcome;
+        });
+    }
+
+    /**
+     * APICheck.check() when the checker is loaded, otherwise no findings.
+     */
+    function checkAPI(code) {
+        if (!AEConjure.APICheck) {
+            return { errors: [], warnings: [] };
+        }
+        return AEConjure.APICheck.check(code);
+    }
+
+    /**
+     * ES3.downlevel() when the down-leveler is loaded, otherwise the code as is.
+     */
+    function downlevel(code) {
+        if (!AEConjure.ES3) {
+            return { success: true, code: code, changes: [] };
+        }
+        return AEConjure.ES3.downlevel(code);
+    }
+
+    /**
+     * Write a script execution to the audit log (when enabled).
+     *
+     * @param {string} type - 'execution', 'dry-run' or 'preview'
+     * @param {string} code - The script that ran
+     * @param {Object} outcome - { success, result/error, line }
+     * @param {number} started - Date.now() before the evalScript call
+     * @param {Object} fields - Extra fields (prompt, attempt, provider, model)
+     */
+    function logExecution(type, code, outcome, started, fields) {
+        if (!AEConjure.AuditLog || !AEConjure.AuditLog.isEnabled()) return;
+        var entry = {
+            type: type,
+            code: code,
+            success: !!outcome.success,
+            result: outcome.result || null,
+            error: outcome.error || null,
+            line: outcome.line,
+            durationMs: Date.now() - started
+        };
+        for (var key in fields) {
+            if (fields.hasOwnProperty(key)) entry[key] = fields[key];
+        }
+        AEConjure.AuditLog.record(entry);
     }
 
     /**
@@ -140,11 +737,7 @@ AEConjure.RetryEngine = (function () {
     function executeInAE(csInterface, code, label) {
         return new Promise(function (resolve) {
             // Escape the code for passing through evalScript
-            var escapedCode = code
-                .replace(/\\/g, '\\\\')
-                .replace(/'/g, "\\'")
-                .replace(/\n/g, '\\n')
-                .replace(/\r/g, '\\r');
+            var escapedCode = escapeForEval(code);
 
             var escapedLabel = (label || 'AE Conjure')
                 .replace(/\\/g, '\\\\')
@@ -173,20 +766,104 @@ AEConjure.RetryEngine = (function () {
         });
     }
 
+    /**
+     * Call a host function that returns JSON.
+     * @returns {Promise<Object>} The parsed result, or { success: false, error }
+     */
+    function callHost(csInterface, script) {
+        return new Promise(function (resolve) {
+            csInterface.evalScript(script, function (result) {
+                if (result === 'EvalScript error.' || result === EvalScript_ErrMessage) {
+                    resolve({
+                        success: false,
+                        error: 'ExtendScript evaluation error. The host script may not be loaded.'
+                    });
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(result));
+                } catch (e) {
+                    resolve({ success: false, error: String(result) });
+                }
+            });
+        });
+    }
+
+    /**
+     * Snapshot of the project structure and the active comp's property
+     * values (host getChangeSnapshot).
+     *
+     * @param {CSInterface} csInterface
+     * @param {number} [compId] - Comp to record property values for (default: the active comp)
+     * @returns {Promise<Object|null>} null if it could not be read
+     */
+    function getChangeSnapshot(csInterface, compId) {
+        var args = (compId === undefined || compId === null) ? '' : String(compId);
+        return callHost(csInterface, 'getChangeSnapshot(' + args + ')').then(function (snapshot) {
+            return snapshot.success ? snapshot : null;
+        });
+    }
+
+    /**
+     * Undo a failed script's undo group and check the project matches the
+     * snapshot taken before it ran, property values of the comp that was
+     * active included.
+     *
+     * @param {CSInterface} csInterface
+     * @param {Object|null} before - From getChangeSnapshot()
+     * @returns {Promise<Object>} { undone, verified, remaining, error }; remaining is the
+     *     ChangeReport.diff() of what the undo did not restore, when it can be computed
+     */
+    function rollback(csInterface, before) {
+        return callHost(csInterface, 'undoLast()').then(function (undo) {
+            if (!undo.success) {
+                return { undone: false, verified: false, remaining: null, error: undo.error || 'Undo failed.' };
+            }
+            return getChangeSnapshot(csInterface, before ? before.activeComp : null).then(function (after) {
+                if (!before || !after) {
+                    return { undone: true, verified: false, remaining: null, error: null };
+                }
+                if (!AEConjure.ChangeReport) {
+                    return { undone: true, verified: JSON.stringify(before.items) === JSON.stringify(after.items), remaining: null, error: null };
+                }
+                var remaining = AEConjure.ChangeReport.diff(before, after);
+                return { undone: true, verified: AEConjure.ChangeReport.count(remaining) === 0, remaining: remaining, error: null };
+            });
+        });
+    }
+
+    /**
+     * Escape code for a single-quoted string literal in an evalScript call.
+     */
+    function escapeForEval(code) {
+        return code
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, "\\'")
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r');
+    }
+
     /**
      * Build a retry prompt with error context.
      *
      * @param {string} originalPrompt - The original user request
      * @param {string} failedCode - The code that failed
      * @param {string} errorMessage - The error message from execution
+     * @param {Object} [apiFindings] - APICheck.check() result for the failed code
      * @returns {string} Retry prompt
      */
-    function buildRetryPrompt(originalPrompt, failedCode, errorMessage) {
+    function buildRetryPrompt(originalPrompt, failedCode, errorMessage, apiFindings) {
+        var checked = apiFindings && AEConjure.APICheck ? AEConjure.APICheck.describe(apiFindings) : '';
         return [
             'The previous script failed with this error:',
             '',
             'ERROR: ' + errorMessage,
-            '',
+            ''
+        ].concat(checked ? [
+            'API CHECK (static check against the After Effects scripting reference):',
+            checked,
+            ''
+        ] : []).concat([
             'FAILED CODE:',
             '```javascript',
             failedCode,
@@ -195,26 +872,86 @@ AEConjure.RetryEngine = (function () {
             'ORIGINAL REQUEST: ' + originalPrompt,
             '',
             'Please fix the script. Remember: ExtendScript uses ES3 syntax only (var, not let/const; no arrow functions; no template literals).'
-        ].join('\n');
+        ]).join('\n');
+    }
+
+    /**
+     * Check whether another attempt fits in the spend limit, estimating its
+     * cost from the previous priced attempt (retries resend the failed code,
+     * so they cost at least as much).
+     *
+     * @returns {Object|null} Usage.checkBudget() result, or null if usage is not tracked
+     */
+    function checkRetryBudget(attempts) {
+        if (!AEConjure.Usage) return null;
+        var estimate = 0;
+        for (var i = attempts.length - 1; i >= 0; i--) {
+            if (attempts[i].usage && typeof attempts[i].usage.cost === 'number') {
+                estimate = attempts[i].usage.cost;
+                break;
+            }
+        }
+        return AEConjure.Usage.checkBudget(estimate);
+    }
+
+    /**
+     * Find the most recent attempt that produced (or failed to produce) code,
+     * skipping AI-call failures that were handed to a fallback provider.
+     */
+    function lastCodeAttempt(attempts) {
+        for (var i = attempts.length - 1; i >= 0; i--) {
+            if (!attempts[i].aiError) return attempts[i];
+        }
+        return attempts[attempts.length - 1];
+    }
+
+    /**
+     * Sum the token usage and cost of every attempt.
+     * Cost is null when none of the attempts used a priced model.
+     */
+    function sumUsage(attempts) {
+        var total = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: null };
+        attempts.forEach(function (attempt) {
+            if (!attempt.usage) return;
+            total.inputTokens += attempt.usage.inputTokens || 0;
+            total.outputTokens += attempt.usage.outputTokens || 0;
+            total.cacheReadTokens += attempt.usage.cacheReadTokens || 0;
+            total.cacheWriteTokens += attempt.usage.cacheWriteTokens || 0;
+            if (typeof attempt.usage.cost === 'number') {
+                total.cost = (total.cost || 0) + attempt.usage.cost;
+            }
+        });
+        return total;
     }
 
     /**
      * Build the final result object with all attempts.
      */
     function buildFinalResult(attempts, success) {
+        var last = attempts[attempts.length - 1];
         return {
             success: success,
+            cancelled: !!(last && last.cancelled),
+            discarded: !!(last && last.discarded),
+            provider: last ? last.provider : null,
+            model: last ? last.model : null,
             attempts: attempts,
             totalAttempts: attempts.length,
             finalCode: success ? attempts[attempts.length - 1].code : null,
             finalResult: success ? attempts[attempts.length - 1].result : null,
-            finalError: !success ? attempts[attempts.length - 1].error : null
+            finalError: !success ? attempts[attempts.length - 1].error : null,
+            structured: last ? last.structured || null : null,
+            usage: sumUsage(attempts)
         };
     }
 
     // Public API
     return {
         run: run,
-        DEFAULT_MAX_RETRIES: DEFAULT_MAX_RETRIES
+        dryRun: dryRun,
+        preview: preview,
+        DEFAULT_MAX_RETRIES: DEFAULT_MAX_RETRIES,
+        MAX_VARIANTS: MAX_VARIANTS,
+        MAX_COMPARE: MAX_COMPARE
     };
 })();
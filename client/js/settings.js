@@ -27,11 +27,41 @@ AEConjure.Settings = (function () {
         provider: 'anthropic',
         model: 'claude-sonnet-4-5-20250929',
         maxRetries: 3,
+        httpRetries: 4,
         includeCompContext: true,
+        includeFrame: false,
+        streamResponses: true,
+        agentMode: false,
+        structuredOutput: false,
+        auditLog: false,
+        keepFailedChanges: false,
+        reviewBeforeRun: false,
+        recordFixtures: false,
+        fixturesDir: '',
+        network: {
+            proxy: '',
+            noProxy: '',
+            caFile: '',
+            timeout: 300
+        },
+        fallbackChain: [],
+        generation: {},
+        promptProfiles: {},
+        budget: {
+            daily: 0,
+            monthly: 0,
+            mode: 'block'
+        },
         apiKeys: {
             anthropic: '',
             openai: '',
-            google: ''
+            google: '',
+            custom: ''
+        },
+        customProvider: {
+            baseUrl: 'http://localhost:8080/v1',
+            authHeader: 'Authorization',
+            models: []
         }
     };
 
@@ -141,9 +171,14 @@ AEConjure.Settings = (function () {
 
     /**
      * Check if the current provider has an API key configured.
+     * The custom provider only needs an endpoint; its key is optional.
      * @returns {boolean}
      */
     function hasApiKey() {
+        var settings = load();
+        if (settings.provider === 'custom') {
+            return !!(settings.customProvider && settings.customProvider.baseUrl);
+        }
         return getApiKey().length > 0;
     }
 
@@ -0,0 +1,298 @@
+/**
+ * AE Conjure — Tokenizer
+ * Lossless JavaScript tokenizer for generated scripts: joining the values
+ * of all tokens gives back the source exactly, so passes can rewrite a
+ * token stream and print it again. Used by the ES3 down-leveler and the
+ * API checker.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.Tokenizer = (function () {
+    'use strict';
+
+    // Longest first so '>>>=' wins over '>>' and '>'
+    var PUNCTUATORS = [
+        '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+        '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+        '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**',
+        '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|',
+        '^', '!', '~', '?', ':', '=', '.', '@', '#'
+    ];
+
+    // After these keywords a '/' starts a regular expression, not a division
+    var REGEX_AFTER_KEYWORDS = [
+        'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+        'case', 'do', 'else', 'yield', 'await'
+    ];
+
+    var NAME_START = /[A-Za-z_$\u00c0-\uffff]/;
+    var NAME_PART = /[\w$\u00c0-\uffff]/;
+
+    /**
+     * Split source into tokens.
+     * Token: { type, value, line } where type is 'whitespace', 'newline',
+     * 'comment', 'name', 'number', 'string', 'template', 'regex' or 'punct'.
+     * Template tokens also carry part ('full', 'head', 'middle' or 'tail')
+     * and text (the raw characters between the delimiters); the expressions
+     * of a template are ordinary tokens between its head and tail.
+     *
+     * @param {string} source
+     * @returns {Object[]}
+     * @throws {Error} With a line property, for unterminated strings, templates,
+     *     comments and regular expressions
+     */
+    function tokenize(source) {
+        var tokens = [];
+        var pos = 0;
+        var line = 1;
+        var braces = []; // '{' or 'template' for each open brace / substitution
+        var lastSignificant = null;
+
+        function fail(message) {
+            var err = new Error(message + ' (line ' + line + ')');
+            err.line = line;
+            throw err;
+        }
+
+        function push(type, start, extra) {
+            var token = { type: type, value: source.substring(start, pos), line: line };
+            if (extra) {
+                for (var key in extra) {
+                    if (extra.hasOwnProperty(key)) token[key] = extra[key];
+                }
+            }
+            tokens.push(token);
+            line += countNewlines(token.value);
+            if (isSignificant(token)) lastSignificant = token;
+            return token;
+        }
+
+        // Template text from pos (just after '`' or '}') to '`' or '${'
+        function readTemplate(start, opening) {
+            var textStart = pos;
+            while (pos < source.length) {
+                var ch = source[pos];
+                if (ch === '\\') {
+                    pos += 2;
+                } else if (ch === '`') {
+                    var text = source.substring(textStart, pos);
+                    pos++;
+                    push('template', start, { part: opening ? 'full' : 'tail', text: text });
+                    return;
+                } else if (ch === '$' && source[pos + 1] === '{') {
+                    var head = source.substring(textStart, pos);
+                    pos += 2;
+                    braces.push('template');
+                    push('template', start, { part: opening ? 'head' : 'middle', text: head });
+                    return;
+                } else {
+                    pos++;
+                }
+            }
+            fail('Unterminated template literal');
+        }
+
+        while (pos < source.length) {
+            var start = pos;
+            var ch = source[pos];
+            var next = source[pos + 1];
+
+            if (ch === '\n' || ch === '\r') {
+                pos += (ch === '\r' && next === '\n') ? 2 : 1;
+                push('newline', start);
+            } else if (/\s/.test(ch)) {
+                while (pos < source.length && /\s/.test(source[pos]) && source[pos] !== '\n' && source[pos] !== '\r') pos++;
+                push('whitespace', start);
+            } else if (ch === '/' && next === '/') {
+                while (pos < source.length && source[pos] !== '\n' && source[pos] !== '\r') pos++;
+                push('comment', start);
+            } else if (ch === '/' && next === '*') {
+                var close = source.indexOf('*/', pos + 2);
+                if (close === -1) fail('Unterminated comment');
+                pos = close + 2;
+                push('comment', start);
+            } else if (ch === '"' || ch === "'") {
+                pos++;
+                while (pos < source.length && source[pos] !== ch) {
+                    if (source[pos] === '\\') pos++;
+                    else if (source[pos] === '\n') fail('Unterminated string');
+                    pos++;
+                }
+                if (pos >= source.length) fail('Unterminated string');
+                pos++;
+                push('string', start);
+            } else if (ch === '`') {
+                pos++;
+                readTemplate(start, true);
+            } else if (ch === '}' && braces[braces.length - 1] === 'template') {
+                braces.pop();
+                pos++;
+                readTemplate(start, false);
+            } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next))) {
+                if (ch === '0' && /[xXoObB]/.test(next)) {
+                    pos += 2;
+                    while (pos < source.length && /[0-9a-fA-F_]/.test(source[pos])) pos++;
+                } else {
+                    while (pos < source.length && /[0-9._]/.test(source[pos])) pos++;
+                    if (/[eE]/.test(source[pos])) {
+                        pos++;
+                        if (/[+-]/.test(source[pos])) pos++;
+                        while (pos < source.length && /[0-9]/.test(source[pos])) pos++;
+                    }
+                }
+                push('number', start);
+            } else if (NAME_START.test(ch) || ch === '\\') {
+                while (pos < source.length && (NAME_PART.test(source[pos]) || source[pos] === '\\')) pos++;
+                push('name', start);
+            } else if (ch === '/' && regexAllowed(lastSignificant)) {
+                var inClass = false;
+                var closed = false;
+                pos++;
+                while (pos < source.length && !closed) {
+                    var c = source[pos];
+                    if (c === '\n' || c === '\r') break;
+                    if (c === '\\') {
+                        pos += 2;
+                        continue;
+                    }
+                    pos++;
+                    if (c === '[') inClass = true;
+                    else if (c === ']') inClass = false;
+                    else if (c === '/' && !inClass) closed = true;
+                }
+                if (!closed) fail('Unterminated regular expression');
+                while (pos < source.length && /[a-z]/i.test(source[pos])) pos++;
+                push('regex', start);
+            } else {
+                var punct = matchPunctuator(source, pos);
+                pos += punct.length;
+                if (punct === '{') braces.push('{');
+                else if (punct === '}') braces.pop();
+                push('punct', start);
+            }
+        }
+
+        return tokens;
+    }
+
+    function matchPunctuator(source, pos) {
+        for (var i = 0; i < PUNCTUATORS.length; i++) {
+            var p = PUNCTUATORS[i];
+            if (source.substr(pos, p.length) === p) {
+                // '?.5' is a conditional followed by a number
+                if (p === '?.' && /[0-9]/.test(source[pos + 2] || '')) continue;
+                return p;
+            }
+        }
+        return source[pos];
+    }
+
+    /**
+     * Whether a '/' after this token starts a regular expression.
+     */
+    function regexAllowed(previous) {
+        if (!previous) return true;
+        switch (previous.type) {
+            case 'punct':
+                return previous.value !== ')' && previous.value !== ']';
+            case 'name':
+                return REGEX_AFTER_KEYWORDS.indexOf(previous.value) !== -1;
+            case 'template':
+                return previous.part === 'head' || previous.part === 'middle';
+            default:
+                return false;
+        }
+    }
+
+    function countNewlines(text) {
+        var count = 0;
+        for (var i = 0; i < text.length; i++) {
+            if (text[i] === '\n' || (text[i] === '\r' && text[i + 1] !== '\n')) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Whether a token matters to the grammar (not whitespace or a comment).
+     * @param {Object} token
+     * @returns {boolean}
+     */
+    function isSignificant(token) {
+        return token.type !== 'whitespace' && token.type !== 'newline' && token.type !== 'comment';
+    }
+
+    /**
+     * Index of the next significant token at or after index, or -1.
+     */
+    function nextSignificant(tokens, index) {
+        for (var i = index; i < tokens.length; i++) {
+            if (isSignificant(tokens[i])) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Index of the previous significant token at or before index, or -1.
+     */
+    function previousSignificant(tokens, index) {
+        for (var i = index; i >= 0; i--) {
+            if (isSignificant(tokens[i])) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Nesting change of a token: +1 for openers ( [ { and template heads,
+     * -1 for closers and template tails.
+     */
+    function depthDelta(token) {
+        if (token.type === 'punct') {
+            if (token.value === '(' || token.value === '[' || token.value === '{') return 1;
+            if (token.value === ')' || token.value === ']' || token.value === '}') return -1;
+        } else if (token.type === 'template') {
+            if (token.part === 'head') return 1;
+            if (token.part === 'tail') return -1;
+        }
+        return 0;
+    }
+
+    /**
+     * Index of the bracket matching the opener or closer at index, or -1.
+     *
+     * @param {Object[]} tokens
+     * @param {number} index - Index of ( [ { ) ] } or a template head/tail
+     * @returns {number}
+     */
+    function findMatching(tokens, index) {
+        var step = depthDelta(tokens[index]);
+        if (step === 0) return -1;
+        var depth = 0;
+        for (var i = index; i >= 0 && i < tokens.length; i += step) {
+            depth += depthDelta(tokens[i]);
+            if (depth === 0) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Print a token stream back to source.
+     * @param {Object[]} tokens
+     * @returns {string}
+     */
+    function print(tokens) {
+        return tokens.map(function (token) { return token.value; }).join('');
+    }
+
+    return {
+        tokenize: tokenize,
+        print: print,
+        isSignificant: isSignificant,
+        nextSignificant: nextSignificant,
+        previousSignificant: previousSignificant,
+        depthDelta: depthDelta,
+        findMatching: findMatching
+    };
+})();
@@ -15,8 +15,8 @@ AEConjure.UI = (function () {
      *
      * @param {string} role - 'user' or 'assistant'
      * @param {string} content - Message content (plain text or code)
-     * @param {Object} [meta] - Optional metadata { attempt, maxAttempts, success }
-     * @param {Object} [callbacks] - Optional callbacks { onExplain }
+     * @param {Object} [meta] - Optional metadata { attempt, maxAttempts, success, preview, cancelled, streaming, usage, structured }
+     * @param {Object} [callbacks] - Optional callbacks { onExplain, onLayerClick }
      * @returns {HTMLElement}
      */
     function createMessage(role, content, meta, callbacks) {
@@ -31,6 +31,135 @@ AEConjure.UI = (function () {
         var body = document.createElement('div');
         body.className = 'message-body';
 
+        if (meta && meta.streaming) {
+            msg.classList.add('message-streaming');
+            renderStreamingBody(body, content);
+            msg.appendChild(body);
+            return msg;
+        }
+
+        renderBody(body, role, content, callbacks);
+        msg.appendChild(body);
+
+        if (meta && meta.structured) {
+            msg.appendChild(createStructuredInfo(meta.structured, callbacks));
+        }
+
+        // Add status badge if meta provided
+        if (meta) {
+            var badge = document.createElement('div');
+            badge.className = 'message-status';
+            if (meta.preview) {
+                badge.innerHTML = '<span class="status-success">&#10003; Previewed (changes undone)</span>';
+            } else if (meta.success) {
+                badge.innerHTML = '<span class="status-success">&#10003; Script executed successfully</span>';
+            } else if (meta.cancelled) {
+                badge.innerHTML = '<span class="status-cancelled">&#8856; Cancelled</span>';
+            } else if (meta.attempt && meta.maxAttempts) {
+                badge.innerHTML = '<span class="status-retry">Attempt ' + meta.attempt + '/' + meta.maxAttempts + '</span>';
+            } else if (meta.error) {
+                badge.innerHTML = '<span class="status-error">&#10007; ' + escapeHtml(meta.error) + '</span>';
+            }
+            if (badge.innerHTML) msg.appendChild(badge);
+
+            if (meta.usage) {
+                msg.appendChild(createUsageLine(meta.usage));
+            }
+        }
+
+        return msg;
+    }
+
+    /**
+     * Create the risk level and affected-layer chips for a structured reply.
+     * Clicking a chip (or "all") calls callbacks.onLayerClick with the layer names.
+     *
+     * @param {Object} structured - { summary, affectedLayers, risk }
+     * @param {Object} [callbacks] - { onLayerClick }
+     * @returns {HTMLElement}
+     */
+    function createStructuredInfo(structured, callbacks) {
+        var info = document.createElement('div');
+        info.className = 'message-structured';
+
+        var risk = document.createElement('span');
+        risk.className = 'risk-badge risk-' + structured.risk;
+        risk.textContent = structured.risk + ' risk';
+        info.appendChild(risk);
+
+        var layers = structured.affectedLayers || [];
+        var onLayerClick = callbacks && callbacks.onLayerClick;
+
+        function addChip(label, names, extraClass) {
+            var chip = document.createElement('button');
+            chip.className = 'layer-chip' + (extraClass ? ' ' + extraClass : '');
+            chip.textContent = label;
+            chip.title = 'Add to the selection in the active comp';
+            chip.disabled = !onLayerClick;
+            chip.addEventListener('click', function () {
+                onLayerClick(names);
+            });
+            info.appendChild(chip);
+        }
+
+        layers.forEach(function (name) {
+            addChip(name, [name]);
+        });
+        if (layers.length > 1) {
+            addChip('all', layers, 'layer-chip-all');
+        }
+
+        return info;
+    }
+
+    /**
+     * Create the thumbnail of a rendered frame shown in the user message.
+     * Clicking it toggles full width.
+     *
+     * @param {Object} frame - From Frame.capture(): { dataUrl, width, height, comp, time }
+     * @returns {HTMLElement}
+     */
+    function createFrameThumbnail(frame) {
+        var img = document.createElement('img');
+        img.className = 'frame-thumbnail';
+        img.src = frame.dataUrl;
+        img.alt = 'Frame sent to the AI';
+        img.title = (frame.comp ? frame.comp + ' @ ' + frame.time.toFixed(2) + 's' : 'Current frame') +
+            (frame.width ? ' (' + frame.width + '\u00d7' + frame.height + ' sent)' : '');
+        img.addEventListener('click', function () {
+            img.classList.toggle('expanded');
+        });
+        return img;
+    }
+
+    /**
+     * Create the token/cost line shown under a message's status badge.
+     *
+     * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, cost }
+     * @returns {HTMLElement}
+     */
+    function createUsageLine(usage) {
+        var line = document.createElement('div');
+        line.className = 'message-usage';
+        var text = AEConjure.Usage.formatTokens(usage.inputTokens) + ' in \u00b7 ' +
+            AEConjure.Usage.formatTokens(usage.outputTokens) + ' out';
+        if (usage.cacheReadTokens) {
+            text += ' \u00b7 ' + AEConjure.Usage.formatTokens(usage.cacheReadTokens) + ' cached';
+        }
+        if (usage.cacheWriteTokens) {
+            text += ' \u00b7 ' + AEConjure.Usage.formatTokens(usage.cacheWriteTokens) + ' cache write';
+        }
+        if (typeof usage.cost === 'number') {
+            text += ' \u00b7 ' + AEConjure.Usage.formatCost(usage.cost);
+        }
+        line.textContent = text;
+        return line;
+    }
+
+    /**
+     * Render message content into a message body element.
+     */
+    function renderBody(body, role, content, callbacks) {
         if (role === 'assistant' && content) {
             // Parse the response for code blocks and text
             var parts = parseResponse(content);
@@ -48,24 +177,47 @@ AEConjure.UI = (function () {
             p.textContent = content;
             body.appendChild(p);
         }
+    }
 
-        msg.appendChild(body);
+    /**
+     * Render a partial, still-streaming response.
+     * Closed code blocks render normally; an unclosed trailing fence is shown
+     * expanded as live code so the user can watch it being written.
+     */
+    function renderStreamingBody(body, content) {
+        body.textContent = '';
+        content = content || '';
 
-        // Add status badge if meta provided
-        if (meta) {
-            var badge = document.createElement('div');
-            badge.className = 'message-status';
-            if (meta.success) {
-                badge.innerHTML = '<span class="status-success">&#10003; Script executed successfully</span>';
-            } else if (meta.attempt && meta.maxAttempts) {
-                badge.innerHTML = '<span class="status-retry">Attempt ' + meta.attempt + '/' + meta.maxAttempts + '</span>';
-            } else if (meta.error) {
-                badge.innerHTML = '<span class="status-error">&#10007; ' + escapeHtml(meta.error) + '</span>';
-            }
-            msg.appendChild(badge);
+        var fences = content.match(/```/g);
+        var openIndex = (fences && fences.length % 2 === 1) ? content.lastIndexOf('```') : -1;
+        var settled = openIndex === -1 ? content : content.substring(0, openIndex);
+
+        if (settled.trim()) {
+            renderBody(body, 'assistant', settled);
         }
 
-        return msg;
+        if (openIndex !== -1) {
+            var partialCode = content.substring(openIndex + 3).replace(/^(?:javascript|jsx|extendscript)?[^\n]*\n?/, '');
+            var block = createCodeBlock(partialCode);
+            block.classList.remove('collapsed');
+            block.classList.add('streaming');
+            body.appendChild(block);
+        }
+
+        var cursor = document.createElement('span');
+        cursor.className = 'stream-cursor';
+        body.appendChild(cursor);
+    }
+
+    /**
+     * Replace the content of a streaming message created with createMessage.
+     *
+     * @param {HTMLElement} msg - Message element with meta.streaming
+     * @param {string} content - Full response text received so far
+     */
+    function updateStreamingMessage(msg, content) {
+        var body = msg.querySelector('.message-body');
+        if (body) renderStreamingBody(body, content);
     }
 
     /**
@@ -147,6 +299,323 @@ AEConjure.UI = (function () {
         return container;
     }
 
+    /**
+     * Create a tabbed view of candidate scripts from variants mode.
+     * Each tab shows the response with Run, Dry run and Compare actions.
+     *
+     * @param {Object[]} variants - From RetryEngine.run({ variants })
+     * @param {Object} handlers - { onRun(variant), onDryRun(variant) => Promise<result>, onExplain, onLayerClick }
+     * @returns {HTMLElement}
+     */
+    function createVariantTabs(variants, handlers) {
+        var el = document.createElement('div');
+        el.className = 'variant-set';
+
+        var tabs = document.createElement('div');
+        tabs.className = 'variant-tabs';
+        var panel = document.createElement('div');
+        panel.className = 'variant-panel';
+        el.appendChild(tabs);
+        el.appendChild(panel);
+
+        var tabButtons = [];
+
+        function select(index) {
+            tabButtons.forEach(function (btn, i) {
+                btn.classList.toggle('active', i === index);
+            });
+            renderVariantPanel(panel, variants, index, handlers, function () {
+                tabButtons[index].classList.add('chosen');
+            });
+        }
+
+        variants.forEach(function (variant, i) {
+            var tab = document.createElement('button');
+            tab.className = 'variant-tab' + (variant.success ? '' : ' failed');
+            tab.textContent = variant.label;
+            if (variant.structured) {
+                tab.title = variant.structured.summary;
+                tab.classList.add('risk-' + variant.structured.risk);
+            } else if (!variant.success) {
+                tab.title = variant.error || 'Failed';
+            }
+            tab.onclick = function () { select(i); };
+            tabs.appendChild(tab);
+            tabButtons.push(tab);
+        });
+
+        var first = 0;
+        while (first < variants.length - 1 && !variants[first].success) first++;
+        select(first);
+
+        return el;
+    }
+
+    /**
+     * Render one variant into the tab panel.
+     */
+    function renderVariantPanel(panel, variants, index, handlers, onChosen) {
+        var variant = variants[index];
+        panel.textContent = '';
+
+        if (!variant.success) {
+            var error = document.createElement('p');
+            error.className = 'status-error';
+            error.textContent = 'Variant ' + variant.label + ' failed: ' + (variant.error || 'Unknown error');
+            panel.appendChild(error);
+            return;
+        }
+
+        var body = document.createElement('div');
+        body.className = 'message-body';
+        renderBody(body, 'assistant', variant.rawResponse || '```javascript\n' + variant.code + '\n```',
+            { onExplain: handlers.onExplain });
+        var block = body.querySelector('.code-block');
+        if (block) block.classList.remove('collapsed');
+        panel.appendChild(body);
+
+        if (variant.structured) {
+            panel.appendChild(createStructuredInfo(variant.structured, handlers));
+        }
+        if (variant.usage) {
+            panel.appendChild(createUsageLine(variant.usage));
+        }
+
+        var actions = document.createElement('div');
+        actions.className = 'variant-actions';
+        var result = document.createElement('div');
+        result.className = 'variant-result';
+        var diff = document.createElement('div');
+        diff.className = 'variant-diff';
+
+        var runBtn = document.createElement('button');
+        runBtn.className = 'btn btn-small btn-primary';
+        runBtn.textContent = 'Run ' + variant.label;
+        runBtn.title = 'Run this variant (retries on error) and add it to the conversation';
+        runBtn.onclick = function () {
+            onChosen();
+            handlers.onRun(variant);
+        };
+        actions.appendChild(runBtn);
+
+        actions.appendChild(createDryRunButton(variant, handlers.onDryRun, result));
+
+        var others = variants.filter(function (v) { return v !== variant && v.success; });
+        if (others.length > 0) {
+            var compare = document.createElement('select');
+            compare.className = 'variant-compare';
+            compare.title = 'Show the differences from another variant';
+            var none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'Compare with\u2026';
+            compare.appendChild(none);
+            others.forEach(function (other) {
+                var opt = document.createElement('option');
+                opt.value = String(other.index);
+                opt.textContent = 'Variant ' + other.label;
+                compare.appendChild(opt);
+            });
+            compare.onchange = function () {
+                diff.textContent = '';
+                if (!compare.value) return;
+                var other = variants[parseInt(compare.value, 10)];
+                diff.appendChild(createDiffView(other.code, variant.code, other.label, variant.label));
+            };
+            actions.appendChild(compare);
+        }
+
+        panel.appendChild(actions);
+        panel.appendChild(result);
+        panel.appendChild(diff);
+    }
+
+    /**
+     * Create a Dry run button that reports into a result element.
+     */
+    function createDryRunButton(variant, onDryRun, result) {
+        var dryBtn = document.createElement('button');
+        dryBtn.className = 'btn btn-small';
+        dryBtn.textContent = 'Dry run';
+        dryBtn.title = 'Run it and undo straight away to check for errors';
+        dryBtn.onclick = function () {
+            dryBtn.disabled = true;
+            result.textContent = 'Dry run...';
+            onDryRun(variant).then(function (outcome) {
+                result.innerHTML = outcome.success
+                    ? '<span class="status-success">&#10003; Runs without errors (changes undone)</span>'
+                    : '<span class="status-error">&#10007; ' + escapeHtml(outcome.error || 'Failed') + '</span>';
+                dryBtn.disabled = false;
+            });
+        };
+        return dryBtn;
+    }
+
+    /**
+     * Create a side-by-side comparison of candidates from different providers
+     * (RetryEngine.run({ compare })), with latency, tokens and cost per column.
+     *
+     * @param {Object[]} entries - Candidates with provider, model and latencyMs
+     * @param {Object} handlers - { onRun(entry), onDryRun(entry) => Promise<result>, onExplain }
+     * @returns {HTMLElement}
+     */
+    function createComparison(entries, handlers) {
+        var el = document.createElement('div');
+        el.className = 'compare-set';
+        var columns = [];
+
+        entries.forEach(function (entry) {
+            var col = document.createElement('div');
+            col.className = 'compare-column' + (entry.success ? '' : ' failed');
+
+            var title = document.createElement('div');
+            title.className = 'compare-title';
+            title.textContent = routeLabel(entry);
+            col.appendChild(title);
+
+            var stats = document.createElement('div');
+            stats.className = 'compare-stats';
+            var parts = [];
+            if (entry.latencyMs !== null && entry.latencyMs !== undefined) {
+                parts.push((entry.latencyMs / 1000).toFixed(1) + 's');
+            }
+            if (entry.usage) {
+                parts.push(AEConjure.Usage.formatTokens(entry.usage.inputTokens) + ' in');
+                parts.push(AEConjure.Usage.formatTokens(entry.usage.outputTokens) + ' out');
+                parts.push(AEConjure.Usage.formatCost(typeof entry.usage.cost === 'number' ? entry.usage.cost : null));
+            }
+            stats.textContent = parts.join(' \u00b7 ');
+            col.appendChild(stats);
+
+            if (!entry.success) {
+                var error = document.createElement('p');
+                error.className = 'status-error';
+                error.textContent = entry.error || 'Failed';
+                col.appendChild(error);
+                el.appendChild(col);
+                return;
+            }
+
+            var block = createCodeBlock(entry.code, { onExplain: handlers.onExplain });
+            block.classList.remove('collapsed');
+            col.appendChild(block);
+
+            var actions = document.createElement('div');
+            actions.className = 'variant-actions';
+            var result = document.createElement('div');
+            result.className = 'variant-result';
+
+            var runBtn = document.createElement('button');
+            runBtn.className = 'btn btn-small btn-primary';
+            runBtn.textContent = 'Run';
+            runBtn.title = 'Run this script (retries with the same provider) and add it to the conversation';
+            runBtn.onclick = function () {
+                columns.forEach(function (other) { other.classList.remove('chosen'); });
+                col.classList.add('chosen');
+                handlers.onRun(entry);
+            };
+            actions.appendChild(runBtn);
+            actions.appendChild(createDryRunButton(entry, handlers.onDryRun, result));
+
+            col.appendChild(actions);
+            col.appendChild(result);
+            el.appendChild(col);
+            columns.push(col);
+        });
+
+        return el;
+    }
+
+    /**
+     * "Provider · Model label" for a candidate.
+     */
+    function routeLabel(entry) {
+        var providerData = AEConjure.AIClient.PROVIDERS[entry.provider];
+        var models = AEConjure.AIClient.getModels(entry.provider) || [];
+        var modelLabel = entry.model;
+        for (var i = 0; i < models.length; i++) {
+            if (models[i].id === entry.model) {
+                modelLabel = models[i].label;
+                break;
+            }
+        }
+        return (providerData ? providerData.name : entry.provider) + ' \u00b7 ' + modelLabel;
+    }
+
+    /**
+     * Line diff of two scripts (longest common subsequence).
+     *
+     * @param {string} a - Old text
+     * @param {string} b - New text
+     * @returns {Array<{ type: string, line: string }>} type is 'same', 'removed' or 'added'
+     */
+    function diffLines(a, b) {
+        var x = a.split('\n');
+        var y = b.split('\n');
+        var n = x.length;
+        var m = y.length;
+        var lcs = [];
+        var i, j;
+
+        for (i = 0; i <= n; i++) {
+            var row = [];
+            for (j = 0; j <= m; j++) row.push(0);
+            lcs.push(row);
+        }
+        for (i = n - 1; i >= 0; i--) {
+            for (j = m - 1; j >= 0; j--) {
+                lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        var out = [];
+        i = 0;
+        j = 0;
+        while (i < n && j < m) {
+            if (x[i] === y[j]) {
+                out.push({ type: 'same', line: x[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                out.push({ type: 'removed', line: x[i++] });
+            } else {
+                out.push({ type: 'added', line: y[j++] });
+            }
+        }
+        while (i < n) out.push({ type: 'removed', line: x[i++] });
+        while (j < m) out.push({ type: 'added', line: y[j++] });
+        return out;
+    }
+
+    /**
+     * Render a line diff between two scripts.
+     *
+     * @param {string} oldCode
+     * @param {string} newCode
+     * @param {string} oldLabel
+     * @param {string} newLabel
+     * @returns {HTMLElement}
+     */
+    function createDiffView(oldCode, newCode, oldLabel, newLabel) {
+        var el = document.createElement('div');
+        el.className = 'diff-view';
+
+        var legend = document.createElement('div');
+        legend.className = 'diff-legend';
+        legend.textContent = '\u2212 ' + oldLabel + '   + ' + newLabel;
+        el.appendChild(legend);
+
+        var pre = document.createElement('pre');
+        diffLines(oldCode, newCode).forEach(function (entry) {
+            var line = document.createElement('div');
+            line.className = 'diff-line diff-' + entry.type;
+            var sign = entry.type === 'added' ? '+ ' : entry.type === 'removed' ? '\u2212 ' : '  ';
+            line.textContent = sign + entry.line;
+            pre.appendChild(line);
+        });
+        el.appendChild(pre);
+        return el;
+    }
+
     /**
      * Create a progress indicator for retry attempts.
      *
@@ -225,6 +694,166 @@ AEConjure.UI = (function () {
         return el;
     }
 
+    /**
+     * Create the change report of a preview run, with an "Apply for real"
+     * button that runs the script.
+     *
+     * @param {Object|null} changes - ChangeReport.diff() report (null if the project could not be read)
+     * @param {Function} onApply - Called once when the button is clicked
+     * @returns {HTMLElement}
+     */
+    function createChangeReport(changes, onApply) {
+        var el = document.createElement('div');
+        el.className = 'change-report';
+
+        var title = document.createElement('div');
+        title.className = 'change-report-title';
+        el.appendChild(title);
+
+        if (!changes) {
+            title.textContent = 'The script ran and was undone, but the project could not be compared.';
+        } else {
+            var all = AEConjure.ChangeReport.lines(changes);
+            title.textContent = all.length === 0
+                ? 'The script ran without changing the project.'
+                : 'Running this script will make ' + all.length + ' change' + (all.length === 1 ? '' : 's') + ':';
+
+            if (all.length > 0) {
+                var list = document.createElement('ul');
+                list.className = 'change-list';
+                all.forEach(function (line) {
+                    var item = document.createElement('li');
+                    item.className = 'change-' + line.kind;
+                    item.textContent = line.text;
+                    list.appendChild(item);
+                });
+                el.appendChild(list);
+            }
+
+            if (changes.truncated) {
+                var note = document.createElement('div');
+                note.className = 'change-report-note';
+                note.textContent = AEConjure.ChangeReport.truncationNote();
+                el.appendChild(note);
+            }
+        }
+
+        var applyBtn = document.createElement('button');
+        applyBtn.className = 'btn btn-small btn-primary';
+        applyBtn.textContent = 'Apply for real';
+        applyBtn.title = 'Run this script in After Effects (undoable, retries on error)';
+        applyBtn.onclick = function () {
+            if (onApply() === false) return;
+            applyBtn.disabled = true;
+            applyBtn.textContent = 'Applied';
+        };
+        el.appendChild(applyBtn);
+
+        return el;
+    }
+
+    /**
+     * Create a review-before-run card: the script with Run, Edit and
+     * Discard. Edit swaps the code for an editor; Run then runs the edited code.
+     *
+     * @param {string} code - The generated script
+     * @param {Object} meta - { attempt, maxAttempts }
+     * @param {Object} callbacks - { onExplain }
+     * @param {Function} onDecision - Called once with { action: 'run' | 'edit' | 'discard', code }
+     * @returns {HTMLElement}
+     */
+    function createReviewPrompt(code, meta, callbacks, onDecision) {
+        var el = document.createElement('div');
+        el.className = 'review-prompt';
+
+        var title = document.createElement('div');
+        title.className = 'review-title';
+        title.textContent = meta.attempt > 1
+            ? 'Attempt ' + meta.attempt + '/' + meta.maxAttempts + ' wants to retry with this script. Run it?'
+            : 'Review the script before it runs:';
+        el.appendChild(title);
+
+        var block = createCodeBlock(code, callbacks);
+        block.classList.remove('collapsed');
+        block.querySelector('.code-toggle').textContent = '\u25BC';
+        el.appendChild(block);
+
+        var editor = document.createElement('textarea');
+        editor.className = 'review-editor';
+        editor.value = code;
+        editor.spellcheck = false;
+        editor.rows = Math.min(Math.max(code.split('\n').length, 4), 20);
+        editor.style.display = 'none';
+        el.appendChild(editor);
+
+        var actions = document.createElement('div');
+        actions.className = 'review-actions';
+
+        var runBtn = document.createElement('button');
+        runBtn.className = 'btn btn-small btn-primary';
+        runBtn.textContent = 'Run';
+        runBtn.onclick = function () {
+            var editing = editor.style.display !== 'none';
+            if (editing && editor.value !== code) {
+                settleReviewPrompt(el, 'Running your edited script.');
+                onDecision({ action: 'edit', code: editor.value });
+            } else {
+                settleReviewPrompt(el, 'Running.');
+                onDecision({ action: 'run', code: code });
+            }
+        };
+
+        var editBtn = document.createElement('button');
+        editBtn.className = 'btn btn-small';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = function () {
+            var editing = editor.style.display === 'none';
+            editor.style.display = editing ? '' : 'none';
+            block.style.display = editing ? 'none' : '';
+            editBtn.textContent = editing ? 'Revert' : 'Edit';
+            runBtn.textContent = editing ? 'Run edited' : 'Run';
+            if (editing) {
+                editor.focus();
+            } else {
+                editor.value = code;
+            }
+        };
+
+        var discardBtn = document.createElement('button');
+        discardBtn.className = 'btn btn-small';
+        discardBtn.textContent = 'Discard';
+        discardBtn.onclick = function () {
+            settleReviewPrompt(el, 'Discarded.');
+            onDecision({ action: 'discard', code: code });
+        };
+
+        var status = document.createElement('span');
+        status.className = 'review-status';
+
+        actions.appendChild(runBtn);
+        actions.appendChild(editBtn);
+        actions.appendChild(discardBtn);
+        actions.appendChild(status);
+        el.appendChild(actions);
+
+        return el;
+    }
+
+    /**
+     * Close a review card: disable its buttons and editor and show a status.
+     *
+     * @param {HTMLElement} el - From createReviewPrompt()
+     * @param {string} text - e.g. 'Discarded.'
+     */
+    function settleReviewPrompt(el, text) {
+        var controls = el.querySelectorAll('.review-actions button, .review-editor');
+        for (var i = 0; i < controls.length; i++) {
+            controls[i].disabled = true;
+        }
+        el.querySelector('.review-status').textContent = text;
+        el.classList.add('settled');
+    }
+
     /**
      * Render the library panel content.
      *
@@ -389,9 +1018,18 @@ AEConjure.UI = (function () {
     // Public API
     return {
         createMessage: createMessage,
+        updateStreamingMessage: updateStreamingMessage,
         createCodeBlock: createCodeBlock,
+        createFrameThumbnail: createFrameThumbnail,
+        createVariantTabs: createVariantTabs,
+        createComparison: createComparison,
+        createDiffView: createDiffView,
+        diffLines: diffLines,
         createProgress: createProgress,
         createSavePrompt: createSavePrompt,
+        createChangeReport: createChangeReport,
+        createReviewPrompt: createReviewPrompt,
+        settleReviewPrompt: settleReviewPrompt,
         renderLibraryList: renderLibraryList,
         parseResponse: parseResponse,
         escapeHtml: escapeHtml,
@@ -0,0 +1,334 @@
+/**
+ * AE Conjure — Usage & Cost Tracking
+ * Records token usage for every AI call, prices it from the model table in
+ * AIClient.PROVIDERS, keeps a session total, and persists a monthly ledger
+ * to ~/ae-conjure/usage-ledger.json.
+ *
+ * @version 1.0.0
+ */
+
+var AEConjure = AEConjure || {};
+
+AEConjure.Usage = (function () {
+    'use strict';
+
+    var fs, path, os;
+    try {
+        fs = require('fs');
+        path = require('path');
+        os = require('os');
+    } catch (e) {
+        // Node.js modules not available — ledger will not persist
+    }
+
+    var USAGE_DIR = os ? path.join(os.homedir(), 'ae-conjure') : '';
+    var LEDGER_FILE = USAGE_DIR ? path.join(USAGE_DIR, 'usage-ledger.json') : '';
+
+    // Prompt-cache pricing relative to the model's input price, used when
+    // a model's pricing does not list cacheRead/cacheWrite explicitly
+    var CACHE_READ_MULTIPLIER = 0.1;
+    var CACHE_WRITE_MULTIPLIER = 1.25;
+
+    var _session = emptyTotals();
+    var _listeners = [];
+
+    /**
+     * Create a zeroed totals bucket.
+     * @returns {Object} { calls, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, cost, unpriced }
+     */
+    function emptyTotals() {
+        return {
+            calls: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            cacheReadTokens: 0,
+            cacheWriteTokens: 0,
+            cost: 0,
+            unpriced: 0
+        };
+    }
+
+    /**
+     * Add one call's usage to a totals bucket.
+     */
+    function addTo(totals, entry) {
+        totals.calls += 1;
+        totals.inputTokens += entry.inputTokens;
+        totals.outputTokens += entry.outputTokens;
+        // Ledgers written before cache tracking lack these fields
+        totals.cacheReadTokens = (totals.cacheReadTokens || 0) + entry.cacheReadTokens;
+        totals.cacheWriteTokens = (totals.cacheWriteTokens || 0) + entry.cacheWriteTokens;
+        if (entry.cost === null) {
+            totals.unpriced += 1;
+        } else {
+            totals.cost += entry.cost;
+        }
+    }
+
+    /**
+     * Look up the price of a model (USD per million tokens).
+     *
+     * @param {string} provider - Provider key
+     * @param {string} model - Model ID
+     * @returns {{ input: number, output: number, cacheRead: number, cacheWrite: number }|null}
+     *     cacheRead/cacheWrite are optional
+     */
+    function getPricing(provider, model) {
+        if (!AEConjure.AIClient) return null;
+        var models = AEConjure.AIClient.getModels(provider) || [];
+        for (var i = 0; i < models.length; i++) {
+            if (models[i].id === model && models[i].pricing) {
+                return models[i].pricing;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Estimate the cost of a call.
+     *
+     * @param {string} provider
+     * @param {string} model
+     * @param {Object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }
+     * @returns {number|null} USD, or null if the model has no price
+     */
+    function estimateCost(provider, model, usage) {
+        var pricing = getPricing(provider, model);
+        if (!pricing) return null;
+        var cacheRead = pricing.cacheRead !== undefined ? pricing.cacheRead : pricing.input * CACHE_READ_MULTIPLIER;
+        var cacheWrite = pricing.cacheWrite !== undefined ? pricing.cacheWrite : pricing.input * CACHE_WRITE_MULTIPLIER;
+        return ((usage.inputTokens || 0) * pricing.input +
+            (usage.outputTokens || 0) * pricing.output +
+            (usage.cacheReadTokens || 0) * cacheRead +
+            (usage.cacheWriteTokens || 0) * cacheWrite) / 1000000;
+    }
+
+    /**
+     * Record the usage of one AI call.
+     * Updates the session total and the persisted monthly ledger.
+     *
+     * @param {Object} call
+     * @param {string} call.provider - Provider key
+     * @param {string} call.model - Model ID
+     * @param {string} call.kind - 'generate', 'retry', 'variant', 'compare', 'refine' or 'explain'
+     * @param {Object} call.usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }
+     * @returns {Object} The recorded entry, including cost (null if unpriced)
+     */
+    function record(call) {
+        var entry = {
+            provider: call.provider,
+            model: call.model,
+            kind: call.kind || 'generate',
+            inputTokens: call.usage.inputTokens || 0,
+            outputTokens: call.usage.outputTokens || 0,
+            cacheReadTokens: call.usage.cacheReadTokens || 0,
+            cacheWriteTokens: call.usage.cacheWriteTokens || 0,
+            cost: estimateCost(call.provider, call.model, call.usage),
+            time: new Date().toISOString()
+        };
+
+        addTo(_session, entry);
+        appendToLedger(entry);
+
+        _listeners.forEach(function (fn) {
+            try {
+                fn(entry, _session);
+            } catch (e) {
+                console.warn('AE Conjure Usage: listener failed:', e.message);
+            }
+        });
+
+        return entry;
+    }
+
+    /**
+     * Subscribe to recorded usage.
+     * @param {Function} fn - Called with (entry, sessionTotals)
+     */
+    function onChange(fn) {
+        _listeners.push(fn);
+    }
+
+    /**
+     * Get the running totals for this panel session.
+     * @returns {Object}
+     */
+    function getSessionTotals() {
+        return JSON.parse(JSON.stringify(_session));
+    }
+
+    // ---- Ledger ----
+
+    /**
+     * Read the ledger from disk.
+     * Shape: { "YYYY-MM": { total, days: { "YYYY-MM-DD": totals },
+     *          models: { "provider/model": totals }, kinds: { kind: totals } } }
+     * @returns {Object}
+     */
+    function readLedger() {
+        if (!fs) return {};
+        try {
+            if (fs.existsSync(LEDGER_FILE)) {
+                return JSON.parse(fs.readFileSync(LEDGER_FILE, 'utf8'));
+            }
+        } catch (e) {
+            console.warn('AE Conjure Usage: Failed to read ledger:', e.message);
+        }
+        return {};
+    }
+
+    /**
+     * Write the ledger to disk.
+     */
+    function writeLedger(ledger) {
+        if (!fs) return;
+        try {
+            if (!fs.existsSync(USAGE_DIR)) {
+                fs.mkdirSync(USAGE_DIR, { recursive: true });
+            }
+            fs.writeFileSync(LEDGER_FILE, JSON.stringify(ledger, null, 2));
+        } catch (e) {
+            console.warn('AE Conjure Usage: Failed to write ledger:', e.message);
+        }
+    }
+
+    /**
+     * Local-time month and day keys for a date.
+     */
+    function dateKeys(date) {
+        var month = date.getFullYear() + '-' + pad(date.getMonth() + 1);
+        return { month: month, day: month + '-' + pad(date.getDate()) };
+    }
+
+    function pad(n) {
+        return n < 10 ? '0' + n : String(n);
+    }
+
+    /**
+     * Add an entry to the monthly ledger.
+     */
+    function appendToLedger(entry) {
+        if (!fs) return;
+        var ledger = readLedger();
+        var keys = dateKeys(new Date(entry.time));
+
+        var month = ledger[keys.month] = ledger[keys.month] || {
+            total: emptyTotals(), days: {}, models: {}, kinds: {}
+        };
+        var modelKey = entry.provider + '/' + entry.model;
+
+        month.days[keys.day] = month.days[keys.day] || emptyTotals();
+        month.models[modelKey] = month.models[modelKey] || emptyTotals();
+        month.kinds[entry.kind] = month.kinds[entry.kind] || emptyTotals();
+
+        addTo(month.total, entry);
+        addTo(month.days[keys.day], entry);
+        addTo(month.models[modelKey], entry);
+        addTo(month.kinds[entry.kind], entry);
+
+        writeLedger(ledger);
+    }
+
+    /**
+     * Get the ledger for a month.
+     *
+     * @param {string} [month] - "YYYY-MM" (default: current month)
+     * @returns {Object|null}
+     */
+    function getMonth(month) {
+        month = month || dateKeys(new Date()).month;
+        return readLedger()[month] || null;
+    }
+
+    /**
+     * Get the totals for a day.
+     *
+     * @param {string} [day] - "YYYY-MM-DD" (default: today)
+     * @returns {Object}
+     */
+    function getDay(day) {
+        day = day || dateKeys(new Date()).day;
+        var month = readLedger()[day.substring(0, 7)];
+        return (month && month.days[day]) || emptyTotals();
+    }
+
+    // ---- Budget ----
+
+    /**
+     * Check spend against the daily/monthly caps in settings.budget.
+     * A limit of 0 means no cap. In 'warn' mode an exceeded cap is reported
+     * but the request is still allowed.
+     *
+     * @param {number} [estimate] - Expected cost of the next call (USD)
+     * @returns {{ ok: boolean, allowed: boolean, mode: string, remaining: number, message: string }}
+     */
+    function checkBudget(estimate) {
+        var budget = (AEConjure.Settings && AEConjure.Settings.get('budget')) || {};
+        var mode = budget.mode === 'warn' ? 'warn' : 'block';
+        var caps = [];
+
+        if (budget.daily > 0) {
+            caps.push({ label: 'daily', limit: budget.daily, spent: getDay().cost });
+        }
+        if (budget.monthly > 0) {
+            var month = getMonth();
+            caps.push({ label: 'monthly', limit: budget.monthly, spent: month ? month.total.cost : 0 });
+        }
+
+        var remaining = Infinity;
+        var message = '';
+        caps.forEach(function (cap) {
+            var left = cap.limit - cap.spent;
+            remaining = Math.min(remaining, left);
+            if (message) return;
+            if (left <= 0) {
+                message = 'The ' + cap.label + ' spend limit of ' + formatCost(cap.limit) +
+                    ' has been reached (' + formatCost(cap.spent) + ' spent).';
+            } else if (estimate && estimate > left) {
+                message = 'The next request (about ' + formatCost(estimate) + ') would exceed the ' +
+                    cap.label + ' spend limit; ' + formatCost(left) + ' of ' + formatCost(cap.limit) + ' remains.';
+            }
+        });
+
+        return {
+            ok: !message,
+            allowed: !message || mode === 'warn',
+            mode: mode,
+            remaining: Math.max(0, remaining),
+            message: message
+        };
+    }
+
+    // ---- Formatting ----
+
+    /**
+     * Format a USD amount; small amounts keep more precision.
+     * @param {number} cost
+     * @returns {string}
+     */
+    function formatCost(cost) {
+        if (cost === null || cost === undefined) return 'n/a';
+        return '$' + (cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2));
+    }
+
+    /**
+     * Format a token count with thousands separators.
+     */
+    function formatTokens(n) {
+        return String(n || 0).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+
+    return {
+        record: record,
+        onChange: onChange,
+        estimateCost: estimateCost,
+        getPricing: getPricing,
+        getSessionTotals: getSessionTotals,
+        getMonth: getMonth,
+        getDay: getDay,
+        checkBudget: checkBudget,
+        formatCost: formatCost,
+        formatTokens: formatTokens,
+        LEDGER_FILE: LEDGER_FILE
+    };
+})();
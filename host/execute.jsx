@@ -12,10 +12,12 @@
 
 /**
  * Execute an ExtendScript string safely inside an undo group.
+ * undoGroup in the result is true once the group is open, so a single
+ * Edit > Undo reverts exactly what the script did (see openUndoGroup).
  *
  * @param {string} code - The ExtendScript code to execute
  * @param {string} [label] - Optional undo group label (default: "AE Conjure")
- * @returns {string} JSON string with { success, result/error }
+ * @returns {string} JSON string with { success, result/error, undoGroup }
  */
 var _aeConjureExecCount = (typeof _aeConjureExecCount !== "undefined") ? _aeConjureExecCount : 0;
 
@@ -23,14 +25,129 @@ function executeScript(code, label) {
     _aeConjureExecCount++;
     if (!label) label = "AE Conjure #" + _aeConjureExecCount;
 
-    var result;
-    var success = false;
-    var errorMsg = "";
-    var errorLine = -1;
+    var outcome;
+    var grouped = false;
+
+    try {
+        openUndoGroup(label);
+        grouped = true;
+        outcome = runCode(code);
+    } catch (e) {
+        outcome = { success: false, error: e.toString() };
+    } finally {
+        try {
+            app.endUndoGroup();
+        } catch (undoErr) {
+            // Undo group may not have been started if error was in beginUndoGroup
+        }
+    }
+
+    outcome.undoGroup = grouped;
+    return JSON.stringify(outcome);
+}
+
+/**
+ * Begin an undo group that is never empty: a temporary folder is added and
+ * removed inside it before the script runs. Otherwise undoing a script that
+ * changed nothing would revert the user's previous action instead.
+ *
+ * @param {string} label - Undo group label
+ */
+function openUndoGroup(label) {
+    app.beginUndoGroup(label);
+    var marker = app.project.items.addFolder(label);
+    marker.remove();
+}
+
+/**
+ * Execute a script and immediately undo it, to check that it runs.
+ *
+ * @param {string} code - The ExtendScript code to try
+ * @returns {string} JSON string with { success, result/error, dryRun: true }
+ */
+function dryRunScript(code) {
+    var outcome;
+    var grouped = false;
 
     try {
-        app.beginUndoGroup(label);
+        openUndoGroup("AE Conjure dry run");
+        grouped = true;
+        outcome = runCode(code);
+    } catch (e) {
+        outcome = { success: false, error: e.toString() };
+    } finally {
+        try {
+            app.endUndoGroup();
+        } catch (undoErr) {
+            // Undo group may not have been started if error was in beginUndoGroup
+        }
+    }
+
+    if (grouped) {
+        app.executeCommand(16); // Edit > Undo
+    }
+
+    outcome.dryRun = true;
+    return JSON.stringify(outcome);
+}
+
+/**
+ * Preview a script: run it in an undo group, snapshot the project before
+ * and after (see captureChangeSnapshot), then undo it. The panel compares
+ * the snapshots to report what the script would change.
+ *
+ * @param {string} code - The ExtendScript code to preview
+ * @returns {string} JSON string with { success, result/error, before, after, undone, preview: true }
+ */
+function previewScript(code) {
+    var outcome;
+    var grouped = false;
+    var before = null;
+    var after = null;
 
+    try {
+        before = captureChangeSnapshot();
+        openUndoGroup("AE Conjure preview");
+        grouped = true;
+        outcome = runCode(code);
+    } catch (e) {
+        outcome = { success: false, error: e.toString() };
+    } finally {
+        try {
+            app.endUndoGroup();
+        } catch (undoErr) {
+            // Undo group may not have been started if error was in beginUndoGroup
+        }
+    }
+
+    if (grouped) {
+        // Changes from a failed script are reported too, so capture either way
+        try {
+            after = captureChangeSnapshot(before.activeComp);
+        } catch (snapshotErr) {
+            outcome.snapshotError = snapshotErr.toString();
+        }
+        app.executeCommand(16); // Edit > Undo
+    }
+
+    outcome.before = before;
+    outcome.after = after;
+    outcome.undone = grouped;
+    outcome.preview = true;
+    return JSON.stringify(outcome);
+}
+
+/**
+ * Evaluate a script and capture its result or error.
+ * Callers are responsible for the undo group.
+ *
+ * @param {string} code - The ExtendScript code to execute
+ * @returns {Object} { success, result } or { success: false, error, line }
+ */
+function runCode(code) {
+    var result;
+
+    try {
         // eval() is intentional here — this is the core mechanism for running
         // AI-generated ExtendScript inside After Effects. The code is sandboxed
         // within AE's scripting engine and wrapped in an undo group for rollback.
@@ -49,44 +166,22 @@ function executeScript(code, label) {
             result = String(result);
         }
 
-        success = true;
+        return { success: true, result: result };
 
     } catch (e) {
-        errorMsg = e.toString();
+        var errObj = { success: false, error: e.toString() };
 
-        // Extract line number if available
-        if (e.line !== undefined) {
-            errorLine = e.line;
-        }
         // Try to get more specific error info
         if (e.message) {
-            errorMsg = e.message;
+            errObj.error = e.message;
         }
         if (e.source) {
-            errorMsg += " (source: " + e.source + ")";
-        }
-
-    } finally {
-        try {
-            app.endUndoGroup();
-        } catch (undoErr) {
-            // Undo group may not have been started if error was in beginUndoGroup
+            errObj.error += " (source: " + e.source + ")";
         }
-    }
-
-    if (success) {
-        return JSON.stringify({
-            success: true,
-            result: result
-        });
-    } else {
-        var errObj = {
-            success: false,
-            error: errorMsg
-        };
-        if (errorLine >= 0) {
-            errObj.line = errorLine;
+        // Extract line number if available
+        if (e.line !== undefined) {
+            errObj.line = e.line;
         }
-        return JSON.stringify(errObj);
+        return errObj;
     }
 }
@@ -171,3 +171,501 @@ function getCompSummary() {
         return "Error reading composition: " + e.toString();
     }
 }
+
+// ---- Agent tools ----
+// Called by the panel when the AI asks for more detail than getCompSummary()
+// provides. Each returns a JSON string with success/error like introspectComp.
+
+/**
+ * Find a layer in the active comp by 1-based index or name.
+ *
+ * @param {string|number} layerRef - Layer index or name
+ * @returns {Object} { comp, layer } or { error }
+ */
+function findLayer(layerRef) {
+    var comp = app.project.activeItem;
+    if (!comp || !(comp instanceof CompItem)) {
+        return { error: "No active composition." };
+    }
+    var layer = null;
+    var ref = String(layerRef);
+    if (/^\d+$/.test(ref)) {
+        var index = parseInt(ref, 10);
+        if (index >= 1 && index <= comp.numLayers) layer = comp.layer(index);
+    } else {
+        layer = comp.layer(ref);
+    }
+    if (!layer) {
+        return { error: "Layer not found: " + ref };
+    }
+    return { comp: comp, layer: layer };
+}
+
+/**
+ * Resolve a property path like "Transform>Position" or
+ * "Effects>Gaussian Blur>Blurriness" below a layer.
+ * Each segment may be a display name or a match name.
+ *
+ * @param {Layer} layer
+ * @param {string} path - Segments separated by ">"
+ * @returns {PropertyBase|null}
+ */
+function resolveProperty(layer, path) {
+    var current = layer;
+    var segments = String(path).split(">");
+    for (var i = 0; i < segments.length; i++) {
+        var segment = segments[i].replace(/^\s+|\s+$/g, "");
+        if (!segment) continue;
+        current = current.property(segment);
+        if (!current) return null;
+    }
+    return current;
+}
+
+/**
+ * Convert a property value to something JSON can carry.
+ */
+function serializeValue(value) {
+    if (value === null || value === undefined) return null;
+    var type = typeof value;
+    if (type === "number" || type === "string" || type === "boolean") return value;
+    if (value instanceof Array) {
+        var arr = [];
+        for (var i = 0; i < value.length; i++) arr.push(serializeValue(value[i]));
+        return arr;
+    }
+    if (value instanceof TextDocument) {
+        return { text: value.text, font: value.font, fontSize: value.fontSize };
+    }
+    return value.toString();
+}
+
+/**
+ * Describe a property or property group (children up to the given depth).
+ */
+function describeProperty(prop, depth) {
+    var info = { name: prop.name, matchName: prop.matchName };
+
+    if (prop.propertyType === PropertyType.PROPERTY) {
+        try {
+            if (prop.propertyValueType !== PropertyValueType.NO_VALUE) {
+                info.value = serializeValue(prop.value);
+            }
+        } catch (e) {
+            // Some properties (e.g. custom effect UI) have no readable value
+        }
+        info.numKeys = prop.numKeys;
+        if (prop.canSetExpression && prop.expressionEnabled) {
+            info.expression = prop.expression;
+        }
+        return info;
+    }
+
+    info.numProperties = prop.numProperties;
+    if (depth > 0) {
+        info.properties = [];
+        for (var i = 1; i <= prop.numProperties; i++) {
+            info.properties.push(describeProperty(prop.property(i), depth - 1));
+        }
+    }
+    return info;
+}
+
+/**
+ * List the properties of a layer, or of a group below it.
+ *
+ * @param {string|number} layerRef - Layer index or name
+ * @param {string} [path] - Property group path, e.g. "Transform" (default: the layer's top-level groups)
+ * @returns {string} JSON string
+ */
+function getLayerProperties(layerRef, path) {
+    try {
+        var found = findLayer(layerRef);
+        if (found.error) return JSON.stringify({ success: false, error: found.error });
+
+        var target = path ? resolveProperty(found.layer, path) : found.layer;
+        if (!target) {
+            return JSON.stringify({ success: false, error: "Property not found: " + path });
+        }
+
+        var info = describeProperty(target, path ? 2 : 1);
+        info.layer = found.layer.name;
+        info.layerIndex = found.layer.index;
+        return JSON.stringify({ success: true, property: info });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
+/**
+ * List the effects on a layer with their parameters.
+ *
+ * @param {string|number} layerRef - Layer index or name
+ * @returns {string} JSON string
+ */
+function listLayerEffects(layerRef) {
+    try {
+        var found = findLayer(layerRef);
+        if (found.error) return JSON.stringify({ success: false, error: found.error });
+
+        var effects = [];
+        var parade = found.layer.property("ADBE Effect Parade");
+        if (parade) {
+            for (var i = 1; i <= parade.numProperties; i++) {
+                var effect = parade.property(i);
+                var info = describeProperty(effect, 1);
+                info.index = i;
+                info.enabled = effect.enabled;
+                effects.push(info);
+            }
+        }
+
+        return JSON.stringify({ success: true, layer: found.layer.name, effects: effects });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
+/**
+ * Name a KeyframeInterpolationType value.
+ */
+function interpolationName(type) {
+    if (type === KeyframeInterpolationType.LINEAR) return "linear";
+    if (type === KeyframeInterpolationType.BEZIER) return "bezier";
+    if (type === KeyframeInterpolationType.HOLD) return "hold";
+    return "unknown";
+}
+
+/**
+ * Get the keyframes of a property.
+ *
+ * @param {string|number} layerRef - Layer index or name
+ * @param {string} path - Property path, e.g. "Transform>Position"
+ * @returns {string} JSON string
+ */
+function getKeyframes(layerRef, path) {
+    try {
+        var found = findLayer(layerRef);
+        if (found.error) return JSON.stringify({ success: false, error: found.error });
+
+        var prop = resolveProperty(found.layer, path);
+        if (!prop || prop.propertyType !== PropertyType.PROPERTY) {
+            return JSON.stringify({ success: false, error: "Not an animatable property: " + path });
+        }
+
+        var keys = [];
+        var count = Math.min(prop.numKeys, 100);
+        for (var k = 1; k <= count; k++) {
+            var key = {
+                index: k,
+                time: prop.keyTime(k),
+                value: serializeValue(prop.keyValue(k)),
+                inInterpolation: interpolationName(prop.keyInInterpolationType(k)),
+                outInterpolation: interpolationName(prop.keyOutInterpolationType(k))
+            };
+            try {
+                var easeIn = prop.keyInTemporalEase(k)[0];
+                var easeOut = prop.keyOutTemporalEase(k)[0];
+                key.easeIn = { speed: easeIn.speed, influence: easeIn.influence };
+                key.easeOut = { speed: easeOut.speed, influence: easeOut.influence };
+            } catch (e) {
+                // Hold keyframes and some property types have no temporal ease
+            }
+            keys.push(key);
+        }
+
+        return JSON.stringify({
+            success: true,
+            layer: found.layer.name,
+            property: prop.name,
+            numKeys: prop.numKeys,
+            value: prop.numKeys === 0 ? serializeValue(prop.value) : undefined,
+            expression: prop.expressionEnabled ? prop.expression : undefined,
+            keyframes: keys
+        });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
+/**
+ * List the items in the project panel.
+ *
+ * @param {string} [type] - "comp", "footage", "folder" or "all" (default)
+ * @returns {string} JSON string
+ */
+function listProjectItems(type) {
+    try {
+        var typeNames = { comp: "Composition", footage: "Footage", folder: "Folder" };
+        var wanted = typeNames[type] || null;
+        var items = [];
+        var project = app.project;
+
+        for (var i = 1; i <= project.numItems && items.length < 200; i++) {
+            var item = project.item(i);
+            if (wanted && item.typeName !== wanted) continue;
+
+            var info = { id: item.id, name: item.name, type: item.typeName };
+            if (item.parentFolder && item.parentFolder !== project.rootFolder) {
+                info.folder = item.parentFolder.name;
+            }
+            if (item instanceof CompItem) {
+                info.width = item.width;
+                info.height = item.height;
+                info.duration = item.duration;
+                info.frameRate = item.frameRate;
+                info.numLayers = item.numLayers;
+            } else if (item instanceof FootageItem) {
+                info.width = item.width;
+                info.height = item.height;
+                info.duration = item.duration;
+                if (item.file) info.file = item.file.fsName;
+            }
+            items.push(info);
+        }
+
+        return JSON.stringify({ success: true, numItems: project.numItems, items: items });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
+/**
+ * Snapshot of the project (see captureChangeSnapshot) so the panel can
+ * check that undoing a failed script restored the structure and the
+ * property values of the active comp.
+ *
+ * @param {number} [compId] - Comp whose property values are recorded (default: the active comp)
+ * @returns {string} JSON string with { success, activeComp, items }
+ */
+function getChangeSnapshot(compId) {
+    try {
+        var snapshot = captureChangeSnapshot(compId);
+        snapshot.success = true;
+        return JSON.stringify(snapshot);
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
+/**
+ * Most properties recorded per snapshot. Layers past the limit are left out
+ * of the property comparison and the snapshot is marked truncated.
+ */
+var MAX_SNAPSHOT_PROPERTIES = 3000;
+
+/**
+ * Snapshot for previews and rollback checks: every item with its name,
+ * type and folder, every comp's settings and layers, plus the value,
+ * keyframe count and expression of the modified properties of the layers
+ * in one comp, so comparing the snapshots from before and after a script
+ * shows what it modified.
+ *
+ * @param {number} [compId] - Comp whose property values are recorded (default: the active comp)
+ * @returns {Object} { activeComp, items, truncated }; layers of that comp carry id and properties
+ */
+function captureChangeSnapshot(compId) {
+    var active = app.project.activeItem;
+    if (compId === undefined || compId === null) {
+        compId = (active && active instanceof CompItem) ? active.id : null;
+    }
+    var budget = { left: MAX_SNAPSHOT_PROPERTIES, truncated: false };
+    var items = collectProjectItems(compId, budget);
+    return { activeComp: compId, items: items, truncated: budget.truncated };
+}
+
+/**
+ * Every project item with its name, type and folder, and every comp's
+ * settings and layers.
+ *
+ * @param {number|null} detailCompId - Also record the property values of this comp's layers
+ * @param {Object} budget - { left, truncated }: properties still to record
+ * @returns {Object[]}
+ */
+function collectProjectItems(detailCompId, budget) {
+    var project = app.project;
+    var items = [];
+
+    for (var i = 1; i <= project.numItems; i++) {
+        var item = project.item(i);
+        var info = { id: item.id, name: item.name, type: item.typeName };
+        if (item.parentFolder) info.folder = item.parentFolder.id;
+        if (item instanceof CompItem) {
+            info.width = item.width;
+            info.height = item.height;
+            info.duration = item.duration;
+            info.frameRate = item.frameRate;
+            info.layers = [];
+            for (var j = 1; j <= item.numLayers; j++) {
+                var layer = item.layer(j);
+                var layerInfo = {
+                    name: layer.name,
+                    type: getLayerType(layer),
+                    enabled: layer.enabled,
+                    inPoint: layer.inPoint,
+                    outPoint: layer.outPoint,
+                    parent: layer.parent ? layer.parent.index : null
+                };
+                if (item.id === detailCompId) {
+                    // Layer.id is only there in newer versions of After Effects
+                    if (typeof layer.id === "number") layerInfo.id = layer.id;
+                    // A layer is compared whole or not at all, so the limit
+                    // never shows up as a change
+                    var properties = {};
+                    if (!budget.truncated && collectPropertyValues(layer, "", properties, budget)) {
+                        layerInfo.properties = properties;
+                    } else {
+                        budget.truncated = true;
+                    }
+                }
+                info.layers.push(layerInfo);
+            }
+        }
+        items.push(info);
+    }
+
+    return items;
+}
+
+/**
+ * Record the properties below a layer or group, keyed by their path of
+ * display names ("Transform>Position", as for resolveProperty). Named
+ * groups and properties still at their defaults are recorded as
+ * { unmodified: true } without walking or reading them, which skips most
+ * of a layer.
+ *
+ * @param {PropertyGroup|Layer} group
+ * @param {string} prefix - Path of the group ("" for a layer)
+ * @param {Object} values - Receives { path: { value, numKeys, expression } or { unmodified, group } }
+ * @param {Object} budget - { left }: properties still to record
+ * @returns {boolean} false if the budget ran out
+ */
+function collectPropertyValues(group, prefix, values, budget) {
+    for (var i = 1; i <= group.numProperties; i++) {
+        if (budget.left <= 0) return false;
+        budget.left--;
+
+        var prop = group.property(i);
+        var path = prefix ? prefix + ">" + prop.name : prop.name;
+        // Two children with the same name (rare: AE numbers effects and groups)
+        if (values.hasOwnProperty(path)) path += " #" + i;
+
+        var isGroup = prop.propertyType !== PropertyType.PROPERTY;
+        // Indexed groups (effects, masks, shape contents) are always walked:
+        // their children come and go, so "unmodified" says nothing about them
+        if (prop.propertyType !== PropertyType.INDEXED_GROUP && !isPropertyModified(prop, isGroup)) {
+            values[path] = isGroup ? { unmodified: true, group: true } : { unmodified: true };
+            continue;
+        }
+
+        if (isGroup) {
+            if (!collectPropertyValues(prop, path, values, budget)) return false;
+            continue;
+        }
+
+        var entry = {};
+        try {
+            var valueType = prop.propertyValueType;
+            if (valueType !== PropertyValueType.NO_VALUE && valueType !== PropertyValueType.CUSTOM_VALUE) {
+                entry.value = serializeValue(prop.value);
+            }
+            entry.numKeys = prop.numKeys;
+            if (prop.canSetExpression && prop.expressionEnabled) {
+                entry.expression = prop.expression;
+            }
+        } catch (e) {
+            // Hidden or inactive properties may not be readable
+        }
+        values[path] = entry;
+    }
+    return true;
+}
+
+/**
+ * Whether a property or group differs from its defaults: changed, keyframed
+ * or driven by an expression. Unreadable ones count as modified.
+ */
+function isPropertyModified(prop, isGroup) {
+    try {
+        if (prop.isModified) return true;
+        if (isGroup) return false;
+        return prop.numKeys > 0 || (prop.canSetExpression && prop.expressionEnabled);
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Add the named layers in the active comp to the selection so the layers a
+ * script touches are highlighted in the timeline. Other selected layers stay
+ * selected: selection changes are not undoable, so nothing is taken away.
+ *
+ * @param {string} namesJson - JSON array of layer names
+ * @returns {string} JSON string with { success, selected, missing }
+ */
+function selectLayersByName(namesJson) {
+    try {
+        var comp = app.project.activeItem;
+        if (!comp || !(comp instanceof CompItem)) {
+            return JSON.stringify({ success: false, error: "No active composition." });
+        }
+
+        var names = JSON.parse(namesJson);
+        var wanted = {};
+        for (var n = 0; n < names.length; n++) {
+            wanted[names[n]] = true;
+        }
+
+        var selected = 0;
+        var found = {};
+        for (var i = 1; i <= comp.numLayers; i++) {
+            var layer = comp.layer(i);
+            if (wanted[layer.name] === true) {
+                layer.selected = true;
+                selected++;
+                found[layer.name] = true;
+            }
+        }
+
+        var missing = [];
+        for (var m = 0; m < names.length; m++) {
+            if (!found[names[m]]) missing.push(names[m]);
+        }
+
+        return JSON.stringify({ success: true, selected: selected, missing: missing });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
+
+/**
+ * Render the current frame of the active comp to a PNG file.
+ * saveFrameToPng may finish writing after it returns, so the panel waits
+ * for the file to appear.
+ *
+ * @param {string} filePath - Absolute path of the PNG to write
+ * @returns {string} JSON string with { success, path, comp, time, width, height }
+ */
+function renderActiveFrame(filePath) {
+    try {
+        var comp = app.project.activeItem;
+        if (!comp || !(comp instanceof CompItem)) {
+            return JSON.stringify({ success: false, error: "No active composition." });
+        }
+
+        var file = new File(filePath);
+        if (file.exists) file.remove();
+        comp.saveFrameToPng(comp.time, file);
+
+        return JSON.stringify({
+            success: true,
+            path: file.fsName,
+            comp: comp.name,
+            time: comp.time,
+            width: comp.width,
+            height: comp.height
+        });
+    } catch (e) {
+        return JSON.stringify({ success: false, error: e.toString() });
+    }
+}
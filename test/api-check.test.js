@@ -0,0 +1,66 @@
+/**
+ * API check: calls that must not be blocked before they run.
+ * Loads the panel scripts into a sandbox the way index.html does.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var atoms = require('../data/knowledge.json').atoms;
+
+function loadAPICheck() {
+    var context = vm.createContext({
+        console: console,
+        AEConjure: { Knowledge: { getAtoms: function () { return atoms; } } }
+    });
+    ['tokenizer.js', 'api-check.js'].forEach(function (file) {
+        var source = fs.readFileSync(path.join(__dirname, '..', 'client', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context.AEConjure.APICheck;
+}
+
+var APICheck = loadAPICheck();
+
+// Plain arrays: results from the sandbox fail deepStrictEqual's prototype check
+function errorsFor(code) {
+    return JSON.parse(JSON.stringify(APICheck.check(code).errors.map(function (finding) {
+        return finding.message;
+    })));
+}
+
+test('precompose without moveAllAttributes is not an error', function () {
+    assert.deepStrictEqual(errorsFor(
+        'var comp = app.project.activeItem;\n' +
+        'comp.layers.precompose([1, 2], "Name");'
+    ), []);
+});
+
+test('setTemporalEaseAtKey without outTemporalEase is not an error', function () {
+    assert.deepStrictEqual(errorsFor(
+        'var comp = app.project.activeItem;\n' +
+        'var prop = comp.layer(1).property("Transform").property("Opacity");\n' +
+        'prop.setTemporalEaseAtKey(1, [new KeyframeEase(0, 33)]);'
+    ), []);
+});
+
+test('setInterpolationTypeAtKey without outType is not an error', function () {
+    assert.deepStrictEqual(errorsFor(
+        'var comp = app.project.activeItem;\n' +
+        'var prop = comp.layer(1).property("Transform").property("Position");\n' +
+        'prop.setInterpolationTypeAtKey(1, KeyframeInterpolationType.HOLD);'
+    ), []);
+});
+
+test('too many arguments is still an error', function () {
+    var errors = errorsFor(
+        'var comp = app.project.activeItem;\n' +
+        'comp.layers.precompose([1, 2], "Name", true, 4);'
+    );
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], /precompose\(.*\) is called with 4 arguments/);
+});
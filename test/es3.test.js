@@ -0,0 +1,153 @@
+/**
+ * ES3 down-leveler: the rewrites applied to generated scripts before they
+ * run, and the syntax it refuses to rewrite.
+ * Loads the panel scripts into a sandbox the way index.html does.
+ */
+'use strict';
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+function loadES3() {
+    var context = vm.createContext({ console: console });
+    ['tokenizer.js', 'es3.js'].forEach(function (file) {
+        var source = fs.readFileSync(path.join(__dirname, '..', 'client', 'js', file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    return context.AEConjure.ES3;
+}
+
+var ES3 = loadES3();
+
+// Plain objects: results from the sandbox fail deepStrictEqual's prototype check
+function downlevel(code) {
+    return JSON.parse(JSON.stringify(ES3.downlevel(code)));
+}
+
+function rewritten(code) {
+    var result = downlevel(code);
+    assert.strictEqual(result.success, true, result.error);
+    return result.code;
+}
+
+function refused(code) {
+    var result = downlevel(code);
+    assert.strictEqual(result.success, false, 'expected an error, got: ' + result.code);
+    assert.strictEqual(result.code, code);
+    return result.error;
+}
+
+// Run down-leveled code and read back a variable
+function evaluate(code, name, globals) {
+    var context = vm.createContext(globals || {});
+    vm.runInContext(code, context);
+    return context[name];
+}
+
+test('ES5 code is left alone', function () {
+    var code = 'var comp = app.project.activeItem;\nfor (var i = 1; i <= comp.numLayers; i++) { comp.layer(i).enabled = true; }';
+    assert.deepStrictEqual(downlevel(code), { success: true, code: code, changes: [] });
+});
+
+test('template literals become string concatenation', function () {
+    var code = rewritten('var s = `Layer ${i + 1} of ${n}`;');
+    assert.strictEqual(code, 'var s = ("Layer " + (i + 1) + " of " + (n));');
+    assert.strictEqual(evaluate(code, 's', { i: 1, n: 3 }), 'Layer 2 of 3');
+});
+
+test('multi-line templates keep their line breaks, quotes and line numbers', function () {
+    var source = 'var s = `a\nb "q" ${x}`;\nvar after = 1;';
+    var code = rewritten(source);
+    assert.strictEqual(code.split('\n').length, source.split('\n').length);
+    assert.strictEqual(evaluate(code, 's', { x: 'y' }), 'a\nb "q" y');
+});
+
+test('arrow functions become function expressions', function () {
+    assert.strictEqual(rewritten('var f = (a, b) => a + b;'), 'var f = function (a, b) { return a + b; };');
+    assert.strictEqual(rewritten('var f = () => { go(); };'), 'var f = function () { go(); };');
+});
+
+test('nested arrow functions are all rewritten', function () {
+    var code = rewritten('var g = x => y => x * y;');
+    assert.strictEqual(code, 'var g = function (x) { return function (y) { return x * y; }; };');
+    assert.strictEqual(evaluate(code + '\nvar r = g(3)(4);', 'r'), 12);
+
+    assert.strictEqual(rewritten('items.forEach(i => { var f = () => i; f(); });'),
+        'items.forEach(function (i) { var f = function () { return i; }; f(); });');
+});
+
+test('arrow functions using this or arguments are refused', function () {
+    assert.match(refused('var h = () => { return this.x; };'), /this or arguments inside an arrow function/);
+});
+
+test('for...of over AE collections counts from 1', function () {
+    var code = rewritten('for (const layer of comp.layers) { layer.enabled = false; }');
+    assert.strictEqual(code,
+        'for (var _i = 1, _list = comp.layers; _i <= _list.length; _i++) { var layer = _list[_i]; layer.enabled = false; }');
+
+    // A 1-based collection: nothing at 0, the last layer at length
+    var comp = { layers: { length: 2, 1: { enabled: true }, 2: { enabled: true } } };
+    evaluate(code, 'layer', { comp: comp });
+    assert.strictEqual(comp.layers[1].enabled, false);
+    assert.strictEqual(comp.layers[2].enabled, false);
+});
+
+test('for...of over arrays counts from 0 and wraps a statement body', function () {
+    var code = rewritten('var total = 0;\nfor (let x of list) total += x;');
+    assert.strictEqual(code,
+        'var total = 0;\nfor (var _i = 0, _list = list; _i < _list.length; _i++) { var x = _list[_i]; total += x; }');
+    assert.strictEqual(evaluate(code, 'total', { list: [1, 2, 3] }), 6);
+});
+
+test('for...of loop variables do not collide with names in the script', function () {
+    var code = rewritten('var _i = 5;\nfor (const x of list) use(x);');
+    assert.match(code, /for \(var _i2 = 0, _list = list; _i2 < _list\.length; _i2\+\+\)/);
+});
+
+test('let and const become var', function () {
+    assert.deepStrictEqual(downlevel('let a = 1;\nconst b = 2;'), {
+        success: true,
+        code: 'var a = 1;\nvar b = 2;',
+        changes: [{ kind: 'let', label: 'let/const → var', lines: [1, 2] }]
+    });
+});
+
+test('uninitialised let inside a loop gets = undefined', function () {
+    var code = rewritten('var seen = [];\nfor (var i = 0; i < 3; i++) { let y; if (i === 0) y = i; seen.push(y); }');
+    assert.strictEqual(code,
+        'var seen = [];\nfor (var i = 0; i < 3; i++) { var y = undefined; if (i === 0) y = i; seen.push(y); }');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(evaluate(code, 'seen'))), [0, null, null]);
+});
+
+test('let that shadows a declaration in the same function is refused', function () {
+    assert.match(refused('let a = 1;\n{ let a = 2; }'), /'let a' shadows another 'a' in the same function/);
+});
+
+test('a closure capturing a loop let is refused', function () {
+    assert.match(refused('for (let i = 0; i < 3; i++) { fns.push(function () { return i; }); }'),
+        /a function created in a loop captures 'i'/);
+});
+
+test('a synchronous callback may use a loop let', function () {
+    assert.strictEqual(rewritten('for (let i = 0; i < 3; i++) { [1].forEach(function () { use(i); }); }'),
+        'for (var i = 0; i < 3; i++) { [1].forEach(function () { use(i); }); }');
+});
+
+test('syntax without an ES3 rewrite is refused with its line', function () {
+    [
+        ['var o = { ...a };', /spread or rest syntax/],
+        ['var v = x?.y;', /optional chaining/],
+        ['var t = tag`a`;', /a tagged template/],
+        ['const { a } = b;', /destructuring/],
+        ['var x = a ** 2;', /the \*\* operator/],
+        ['class A {}', /a class/]
+    ].forEach(function (entry) {
+        var result = downlevel('var ok = 1;\n' + entry[0]);
+        assert.strictEqual(result.success, false, entry[0]);
+        assert.match(result.error, entry[1]);
+        assert.strictEqual(result.line, 2);
+    });
+});